@@ -0,0 +1,82 @@
+/**
+ * @file FileUriResolver.js - The built-in URI resolver
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+const { Utils } = require('./Utils');
+
+// ----------------------------------------------------------------------------
+/*
+ * @class FileUriResolver
+ * @classdesc Loads the documents referenced by <xsl:include>, <xsl:import>
+ *   and document(). A URI resolver is any object with an asynchronous
+ *   resolve(href, base) method returning the document either as text or as
+ *   a DOM document -- so modules may just as well come from an in-memory
+ *   map, a zip, or a database. This one, used by default, reads file: URLs
+ *   and file paths (relative ones from the baseDir) from the file system,
+ *   and retrieves any other URL with fetch().
+ */
+var FileUriResolver = class {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @constructor
+   * @param {Object} [options={}] - The baseDir that relative file paths
+   *   without a base are read from (the current directory by default).
+   */
+  constructor (
+    options = {}
+  ) {
+    this.baseDir = options.baseDir || process.cwd();
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Loads a document.
+   * @method resolve
+   * @instance
+   * @param {string} href - The URI reference, which may be relative.
+   * @param {string} [base=null] - The base URI to resolve it against.
+   * @returns {string} - The text of the document (or a promise still to be
+   *   fulfilled).
+   * @throws {Error} - An error if the document cannot be loaded.
+   */
+  async resolve (
+    href,
+    base = null
+  ) {
+    const url = Utils.resolveURI(href, base).replace(/#.*$/, '');
+
+    if ((/^file:/i).test(url)) {
+      return fs.promises.readFile(fileURLToPath(url), 'utf8');
+    } else if (!(/^[a-z][a-z0-9+.-]*:/i).test(url) || (/^[a-z]:[\\/]/i).test(url)) {
+      return fs.promises.readFile(path.resolve(this.baseDir, url), 'utf8');
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+
+    return response.text();
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+exports.FileUriResolver = FileUriResolver;
+
+// ----------------------------------------------------------------------------
@@ -12,7 +12,6 @@
 // ----------------------------------------------------------------------------
 
 const { Node } = require('./Node');
-const { XsltLog } = require('./XsltLog');
 
 // ----------------------------------------------------------------------------
 /*
@@ -25,7 +24,8 @@ const { XsltLog } = require('./XsltLog');
 class Utils {
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
-   * Reports a node identifier, primarily for debugging.
+   * Reports a node identifier, primarily for debugging. The line and column
+   * of the node are added when they are known (see getLine()).
    * @method identify
    * @memberof Utils
    * @static
@@ -34,6 +34,22 @@ class Utils {
    */
   static identify (
     node
+  ) {
+    const line = Utils.getLine(node);
+    return Utils.describe(node) + ((line) ? ' (line ' + line + ', column ' + Utils.getColumn(node) + ')' : '');
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Describes a node by its markup, as in <tag attr="...">.
+   * @method describe
+   * @memberof Utils
+   * @static
+   * @param {Node} node - The node to report on
+   * @returns - A string description
+   */
+  static describe (
+    node
   ) {
     switch (node.nodeType) {
       case Node.ELEMENT_NODE: {
@@ -64,32 +80,238 @@ class Utils {
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
-   * Retrieves text from a URL and saves to a cache for later use
-   * @method fetch
+   * Reports the line a node starts on in the document it was parsed from.
+   * The line is recorded by the parser when it is given a locator, as the
+   * xmldom DOMParser is by default.
+   * @method getLine
+   * @memberof Utils
+   * @static
+   * @param {Node} node - The node to report on
+   * @returns {number|null} - The line (from 1), or null if unknown
+   */
+  static getLine (
+    node
+  ) {
+    return (node && node.lineNumber > 0) ? node.lineNumber : null;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Reports the column a node starts at in the document it was parsed from
+   * (see getLine()).
+   * @method getColumn
+   * @memberof Utils
+   * @static
+   * @param {Node} node - The node to report on
+   * @returns {number|null} - The column (from 1), or null if unknown
+   */
+  static getColumn (
+    node
+  ) {
+    return (node && node.columnNumber > 0) ? node.columnNumber : null;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Records the URI of the document a node and its descendants (and their
+   * attributes) were parsed from, as their _systemId, so that it stays with
+   * them when they are copied into another document. Nodes that already have
+   * a system ID keep it.
+   * @method setSystemId
+   * @memberof Utils
+   * @static
+   * @param {Node} node - The node to record it on
+   * @param {string} systemId - The URI of the document
+   */
+  static setSystemId (
+    node,
+    systemId
+  ) {
+    if (node._systemId === undefined) {
+      node._systemId = systemId;
+    }
+    for (let i = 0; i < (node.attributes || []).length; i++) {
+      if (node.attributes[i]._systemId === undefined) {
+        node.attributes[i]._systemId = systemId;
+      }
+    }
+    for (let i = 0; i < (node.childNodes || []).length; i++) {
+      Utils.setSystemId(node.childNodes[i], systemId);
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Reports the path to a node, such as /xsl:stylesheet/xsl:template[2],
+   * primarily for locating nodes in messages.
+   * @method getPath
    * @memberof Utils
    * @static
-   * @param {string} url - The URL to retrieve from
-   * @returns - The text retrieved (or a promise still to be fulfilled)
+   * @param {Node} node - The node to report on
+   * @returns - The path from the document root
    */
-  static async fetch (
-    url
+  static getPath (
+    node
   ) {
-    if (!global._fetchCache) {
-      global._fetchCache = {};
+    let path = '';
+    while (node && node.nodeType !== Node.DOCUMENT_NODE && node.nodeType !== Node.DOCUMENT_FRAGMENT_NODE) {
+      if (node.nodeType === Node.ATTRIBUTE_NODE) {
+        path = '/@' + node.nodeName + path;
+        node = node.ownerElement;
+        continue;
+      }
+
+      let position = 1;
+      for (let siblingNode = node.previousSibling; siblingNode; siblingNode = siblingNode.previousSibling) {
+        if (siblingNode.nodeType === node.nodeType && siblingNode.nodeName === node.nodeName) {
+          position++;
+        }
+      }
+
+      let step = 'node()';
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        step = node.nodeName;
+      } else if (node.nodeType === Node.TEXT_NODE) {
+        step = 'text()';
+      } else if (node.nodeType === Node.COMMENT_NODE) {
+        step = 'comment()';
+      }
+      path = '/' + step + '[' + position + ']' + path;
+      node = node.parentNode;
     }
 
-    let srcXML = null;
+    return path || '/';
+  }
 
-    if (global._fetchCache[url]) {
-      srcXML = global._fetchCache[url];
-    } else {
-      const response = await fetch(url);
-      srcXML = response.text();
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Resolves a URI reference against a base URI, as specified by RFC 3986.
+   * A base URI that is a file path, rather than a URL, is resolved against
+   * in the same way. The reference is returned as it is when there is no
+   * base URI to make it absolute with.
+   * @method resolveURI
+   * @memberof Utils
+   * @static
+   * @param {string} href - The URI reference, which may be relative.
+   * @param {string} [baseURI=null] - The base URI.
+   * @returns {string} - The resolved URI
+   * @see {@link https://www.rfc-editor.org/rfc/rfc3986#section-5.2 RFC 3986}
+   */
+  static resolveURI (
+    href,
+    baseURI = null
+  ) {
+    const reference = Utils.parseURI(href);
+    if (reference.scheme !== undefined) {
+      reference.path = Utils.removeDotSegments(reference.path);
+      return Utils.formatURI(reference);
+    } else if (baseURI == null) {
+      return href;
+    }
 
-      global._fetchCache[url] = srcXML;
+    const base = Utils.parseURI(baseURI);
+    const target = {
+      scheme: base.scheme,
+      authority: base.authority,
+      path: base.path,
+      query: (reference.query !== undefined) ? reference.query : base.query,
+      fragment: reference.fragment
+    };
+    if (reference.authority !== undefined) {
+      target.authority = reference.authority;
+      target.path = Utils.removeDotSegments(reference.path);
+      target.query = reference.query;
+    } else if (reference.path) {
+      if (reference.path.startsWith('/')) {
+        target.path = Utils.removeDotSegments(reference.path);
+      } else if (base.authority !== undefined && base.path === '') {
+        target.path = Utils.removeDotSegments('/' + reference.path);
+      } else {
+        target.path = Utils.removeDotSegments(base.path.replace(/[^/]*$/, '') + reference.path);
+      }
+      target.query = reference.query;
     }
 
-    return srcXML;
+    return Utils.formatURI(target);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Splits a URI reference into its components. A component that is absent
+   * is undefined, while one that is present may be empty.
+   * @method parseURI
+   * @memberof Utils
+   * @static
+   * @param {string} uri - The URI reference.
+   * @returns {Object} - The scheme, authority, path, query, and fragment.
+   */
+  static parseURI (
+    uri
+  ) {
+    const match = uri.match(/^(?:([^:/?#]+):)?(?:\/\/([^/?#]*))?([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/);
+
+    return {
+      scheme: match[1],
+      authority: match[2],
+      path: match[3],
+      query: match[4],
+      fragment: match[5]
+    };
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Joins the components of a URI reference (see parseURI).
+   * @method formatURI
+   * @memberof Utils
+   * @static
+   * @param {Object} components - The scheme, authority, path, query, and
+   *   fragment.
+   * @returns {string} - The URI reference
+   */
+  static formatURI (
+    components
+  ) {
+    return ((components.scheme !== undefined) ? components.scheme + ':' : '') +
+      ((components.authority !== undefined) ? '//' + components.authority : '') +
+      components.path +
+      ((components.query !== undefined) ? '?' + components.query : '') +
+      ((components.fragment !== undefined) ? '#' + components.fragment : '');
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Removes the . and .. segments from the path of a URI.
+   * @method removeDotSegments
+   * @memberof Utils
+   * @static
+   * @param {string} path - The path.
+   * @returns {string} - The path without dot segments
+   * @see {@link https://www.rfc-editor.org/rfc/rfc3986#section-5.2.4 RFC 3986}
+   */
+  static removeDotSegments (
+    path
+  ) {
+    let input = path;
+    let output = '';
+    while (input) {
+      if (input.startsWith('../') || input.startsWith('./')) {
+        input = input.replace(/^\.\.?\//, '');
+      } else if (input.startsWith('/./') || input === '/.') {
+        input = '/' + input.substring(3);
+      } else if (input.startsWith('/../') || input === '/..') {
+        input = '/' + input.substring(4);
+        output = output.replace(/\/?[^/]*$/, '');
+      } else if (input === '.' || input === '..') {
+        input = '';
+      } else {
+        const segment = input.match(/^\/?[^/]*/)[0];
+        input = input.substring(segment.length);
+        output += segment;
+      }
+    }
+
+    return output;
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -100,34 +322,23 @@ class Utils {
    * @static
    * @param {string} name - The name to report as.
    * @param {Function} callback - The function call being measured.
+   * @param {Object} measures - The measures of the transformation, as
+   *   created by createMeasures().
    * @returns - The value returned by the callback
    */
   static measure (
     name,
     callback,
-    options = {}
+    measures
   ) {
-    if (!global._measures) {
-      global._measures = {};
-      global._measureStack = [];
-    }
-
-    global._measureStack.push({
+    measures.stack.push({
       startTime: Date.now(),
       innerTime: 0
     });
     try {
       return callback();
     } finally {
-      const startInfo = global._measureStack.pop();
-      startInfo.duration = Date.now() - startInfo.startTime;
-      if (global._measureStack.length > 0) {
-        global._measureStack[global._measureStack.length - 1].innerTime += startInfo.duration;
-      }
-
-      global._measures[name] = global._measures[name] || { count: 0, duration: 0 };
-      global._measures[name].count++;
-      global._measures[name].duration = global._measures[name].duration + startInfo.duration - startInfo.innerTime;
+      Utils.recordMeasure(name, measures);
     }
   }
 
@@ -139,34 +350,65 @@ class Utils {
    * @static
    * @param {string} name - The name to report as.
    * @param {Function} callback - The function call being measured.
+   * @param {Object} measures - The measures of the transformation, as
+   *   created by createMeasures().
    * @returns - The (asynchronous) value returned by the callback
    */
   static async measureAsync (
     name,
-    callback
+    callback,
+    measures
   ) {
-    if (!global._measures) {
-      global._measures = {};
-      global._measureStack = [];
-    }
-
-    global._measureStack.push({
+    measures.stack.push({
       startTime: Date.now(),
       innerTime: 0
     });
     try {
       return await callback();
     } finally {
-      const startInfo = global._measureStack.pop();
-      startInfo.duration = Date.now() - startInfo.startTime;
-      if (global._measureStack.length > 0) {
-        global._measureStack[global._measureStack.length - 1].innerTime += startInfo.duration;
-      }
+      Utils.recordMeasure(name, measures);
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Creates the object in which the measures of a single transformation
+   * are gathered.
+   * @method createMeasures
+   * @memberof Utils
+   * @static
+   * @returns - The measures, with an empty stack of calls in progress
+   */
+  static createMeasures () {
+    return {
+      totals: {},
+      stack: []
+    };
+  }
 
-      global._measures[name] = global._measures[name] || { count: 0, duration: 0 };
-      global._measures[name].count++;
-      global._measures[name].duration = global._measures[name].duration + startInfo.duration - startInfo.innerTime;
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Records the completion of the innermost call being measured. The time
+   * spent in nested measured calls is not counted against the call.
+   * @method recordMeasure
+   * @memberof Utils
+   * @static
+   * @param {string} name - The name to report as.
+   * @param {Object} measures - The measures of the transformation.
+   */
+  static recordMeasure (
+    name,
+    measures
+  ) {
+    const startInfo = measures.stack.pop();
+    startInfo.duration = Date.now() - startInfo.startTime;
+    if (measures.stack.length > 0) {
+      measures.stack[measures.stack.length - 1].innerTime += startInfo.duration;
     }
+
+    measures.totals[name] = measures.totals[name] || { count: 0, duration: 0 };
+    measures.totals[name].count++;
+    measures.totals[name].duration = measures.totals[name].duration + startInfo.duration - startInfo.innerTime;
   }
 
   // --------------------------------------------------------------------------
@@ -175,14 +417,18 @@ class Utils {
    * @method reportMeasures
    * @memberOf Utils
    * @static
+   * @param {Object} measures - The measures of the transformation.
+   * @param {Object} logger - The logger to report to.
    */
-  static reportMeasures () {
-    if (global._measures) {
-      const logger = XsltLog.logger;
+  static reportMeasures (
+    measures,
+    logger
+  ) {
+    if (Object.keys(measures.totals).length > 0) {
       logger.debug('# -----------------------------------------------------');
       let totalDuration = 0;
-      for (const key in global._measures) {
-        const measure = global._measures[key];
+      for (const key in measures.totals) {
+        const measure = measures.totals[key];
         totalDuration += measure.duration;
         logger.debug('# ' + key + ': ' + measure.count + ' calls, ' + measure.duration + ' millisecs');
       }
@@ -191,8 +437,47 @@ class Utils {
       logger.debug('# -----------------------------------------------------');
     }
   }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Freezes an object and everything it holds: the properties of objects,
+   * the items of arrays, and the entries of maps, whose set(), delete(), and
+   * clear() then throw. DOM nodes are left as they are, as the DOM keeps
+   * caches of its own in them.
+   * @method deepFreeze
+   * @memberof Utils
+   * @static
+   * @param {*} value - The value to freeze.
+   * @returns {*} - The value.
+   */
+  static deepFreeze (
+    value
+  ) {
+    if (value === null || typeof value !== 'object' || Object.isFrozen(value) || value.nodeType !== undefined) {
+      return value;
+    }
+
+    if (value instanceof Map) {
+      const frozen = () => {
+        throw new TypeError('Cannot modify a frozen map');
+      };
+      value.set = value.delete = value.clear = frozen;
+      value.forEach((item) => Utils.deepFreeze(item));
+    }
+    Object.freeze(value);
+    Object.values(value).forEach((item) => Utils.deepFreeze(item));
+
+    return value;
+  }
 }
 
+// The names of elements, attributes, and namespace prefixes: the source of an
+// NCName, for regular expressions with the u flag, and patterns matching an
+// NCName and a QName.
+Utils.NCNAME = '[\\p{L}_][\\p{L}\\p{N}_.\\u00B7-]*';
+Utils.NCNAME_PATTERN = new RegExp('^' + Utils.NCNAME + '$', 'u');
+Utils.QNAME_PATTERN = new RegExp('^(?:' + Utils.NCNAME + ':)?' + Utils.NCNAME + '$', 'u');
+
 // ----------------------------------------------------------------------------
 // Exports
 // ----------------------------------------------------------------------------
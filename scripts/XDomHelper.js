@@ -15,7 +15,12 @@ const XPath = require('xpath');
 const HE = require('he');
 const { Node } = require('./Node');
 const { Utils } = require('./Utils');
-const { XsltLog } = require('./XsltLog');
+
+// ----------------------------------------------------------------------------
+// Constants
+// ----------------------------------------------------------------------------
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
 
 // ----------------------------------------------------------------------------
 /*
@@ -68,7 +73,7 @@ var XDomHelper = class {
     options = {}
   ) {
     if (this.node.nodeType === Node.ELEMENT_NODE) {
-      const thisNamespaceURI = this.node.namespaceURI;
+      const thisNamespaceURI = this.node.namespaceURI || undefined;
       const thisLocalName = (this.node.localName || this.node.nodeName).replace(/^.*:/, '');
 
       const qNames = (typeof qNameOrArray === 'string') ? [qNameOrArray] : qNameOrArray;
@@ -204,6 +209,30 @@ var XDomHelper = class {
     return (this.lookupNamespaceURI) ? this.lookupNamespaceURI((/:/).test(qName) ? qName.replace(/:.*/, '') : '') : null;
   }
 
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the namespaces in scope for this element, as declared on it and
+   * its ancestors. The xml prefix is always in scope.
+   * @method getNamespaces
+   * @instance
+   * @returns {Object} - The namespace URIs by prefix, with the default
+   *   namespace under the empty prefix ('' where it is undeclared).
+   */
+  getNamespaces () {
+    const namespaces = {};
+    for (let node = this.node; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+      $$(node.attributes).forEach((attribute) => {
+        const prefix = ((/^xmlns(:|$)/).test(attribute.nodeName)) ? attribute.nodeName.replace(/^xmlns:?/, '') : null;
+        if (prefix !== null && namespaces[prefix] === undefined) {
+          namespaces[prefix] = attribute.nodeValue;
+        }
+      });
+    }
+    namespaces.xml = XML_NAMESPACE;
+
+    return namespaces;
+  }
+
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
    * Create an element for the source document with the specified qName
@@ -245,13 +274,8 @@ var XDomHelper = class {
   createTextNode (
     text = ''
   ) {
-    text = String(text);
-    // text = text.replace(/^\s+|\s(?=\s+)|\s+$/g, '');
-    text = text.replace(/ +/g, ' ');
-    // text = text.replace(/^(false)$/i, '__' + '$1' + '__');
-
     const outputDocument = this.document;
-    const node = outputDocument.createTextNode(text);
+    const node = outputDocument.createTextNode(String(text)); // The text is kept as it is, whitespace included
 
     return node;
   }
@@ -350,10 +374,15 @@ var XDomHelper = class {
    * @method copy
    * @instance
    * @param {Node} srcNode - The node to copy.
+   * @param {Object} [options={}] - Set locate to keep the system ID, line,
+   *   and column of the node (see Utils.getLine()) on the copy, and
+   *   namespaces to copy namespace declarations, which are otherwise left
+   *   out.
    * @returns {Node} - Returns the node created.
    */
   copy (
-    srcNode
+    srcNode,
+    options = {}
   ) {
     const destNode = this.node;
     const destDocument = (destNode.nodeType === Node.DOCUMENT_NODE) ? destNode : destNode.ownerDocument;
@@ -376,7 +405,7 @@ var XDomHelper = class {
         break;
       }
       case Node.ATTRIBUTE_NODE: {
-        if (!srcNode.nodeName.startsWith('xmlns')) {
+        if (!srcNode.nodeName.startsWith('xmlns') || options.namespaces) {
           const namespaceURI = srcNode.namespaceURI;
           if (namespaceURI) {
             destNode.setAttributeNS(namespaceURI, srcNode.nodeName, srcNode.nodeValue);
@@ -390,6 +419,9 @@ var XDomHelper = class {
       case Node.TEXT_NODE: {
         const text = $$(srcNode).textContent;
         node = $$(destDocument).createTextNode(text);
+        if (srcNode._disableOutputEscaping) {
+          node._disableOutputEscaping = true; // Consulted by the serializer
+        }
         destNode.appendChild(node);
         break;
       }
@@ -410,6 +442,14 @@ var XDomHelper = class {
       }
     }
 
+    if (node && node !== destNode && options.locate) {
+      ['_systemId', 'lineNumber', 'columnNumber'].forEach((name) => {
+        if (srcNode[name] !== undefined) {
+          node[name] = srcNode[name];
+        }
+      });
+    }
+
     return node;
   }
 
@@ -420,11 +460,14 @@ var XDomHelper = class {
    * @method copyDeep
    * @instance
    * @param {Node} srcNode - The node to deep copy.
+   * @param {Object} [options={}] - Options for copying each node (see
+   *   copy()).
    * @returns {Node} - Returns the node created. (or the last root level
    *   node creates when copying a fragment)
    */
   copyDeep (
-    srcNode
+    srcNode,
+    options = {}
   ) {
     const destNode = this.node;
 
@@ -432,24 +475,24 @@ var XDomHelper = class {
     if (srcNode.nodeType === Node.DOCUMENT_FRAGMENT_NODE ||
       srcNode.nodeType === Node.DOCUMENT_NODE) {
       $$(srcNode.childNodes).forEach((childNode) => {
-        if (childNode.nodeType === Node.ELEMENT_NODE) {
-          returnNode = $$(destNode).copyDeep(childNode); // The last childNode will be returned
+        if (childNode.nodeType !== Node.DOCUMENT_TYPE_NODE) {
+          returnNode = $$(destNode).copyDeep(childNode, options); // The last childNode will be returned
         }
       });
     } else {
-      returnNode = $$(destNode).copy(srcNode);
+      returnNode = $$(destNode).copy(srcNode, options);
       if (returnNode) {
         // This was an element node -- recurse to attributes and
         // children.
         if (srcNode.attributes) {
           $$(srcNode.attributes).forEach((attribute) => {
-            $$(returnNode).copy(attribute);
+            $$(returnNode).copy(attribute, options);
           });
         }
 
         if (srcNode.childNodes) {
           $$(srcNode.childNodes).forEach((childNode) => {
-            $$(returnNode).copyDeep(childNode);
+            $$(returnNode).copyDeep(childNode, options);
           });
         }
       }
@@ -500,7 +543,7 @@ var XDomHelper = class {
     const type = (options.type !== undefined) ? options.type : XPath.XPathResult.ANY_TYPE;
 
     // Look for a shortcut
-    if (type === XPath.XPathResult.ANY_TYPE && (/^(?:[a-zA-Z0-9\-_]+:)?[a-zA-Z0-9\-_]+$/).test(xPath)) {
+    if (type === XPath.XPathResult.ANY_TYPE && (/^(?:[a-zA-Z_][a-zA-Z0-9\-_]*:)?[a-zA-Z_][a-zA-Z0-9\-_]*$/).test(xPath)) {
       const shortcutTest = () => {
         const nodes = [];
         if ([Node.ELEMENT_NODE, Node.DOCUMENT_NODE, Node.DOCUMENT_FRAGMENT_NODE].includes(this.node.nodeType)) {
@@ -515,12 +558,15 @@ var XDomHelper = class {
         return nodes;
       };
 
-      return (XsltLog.debugMode) ? Utils.measure('xPath shortcut', shortcutTest) : shortcutTest(context, options);
+      return (context.cfg.log.debugMode) ? Utils.measure('xPath shortcut', shortcutTest, context.cfg.measures) : shortcutTest(context, options);
     }
 
     // Handle
 
-    const xPathExpr = XPath.createExpression(xPath);
+    const xPathExpr = {
+      xpath: XDomHelper.parse(xPath, context.cfg._compiled && context.cfg._compiled.expressions),
+      context: new XPath.XPathContext()
+    };
     context.functionResolver = (context.functionResolver) ? context.functionResolver.chain(xPathExpr.context.functionResolver) : xPathExpr.context.functionResolver;
     xPathExpr.context = context;
 
@@ -532,9 +578,9 @@ var XDomHelper = class {
     if ((/namespace::/).test(xPath)) {
       xPathExpr.context.expressionContextNode = this.node;
       xPathExpr.context.caseInsensitive = false;
-      const result = (XsltLog.debugMode) ? Utils.measure('xPath', () => {
+      const result = (context.cfg.log.debugMode) ? Utils.measure('xPath', () => {
         return xPathExpr.xpath.evaluate(xPathExpr.context);
-      }) : xPathExpr.xpath.evaluate(xPathExpr.context);
+      }, context.cfg.measures) : xPathExpr.xpath.evaluate(xPathExpr.context);
       return result.nodes;
     }
 
@@ -543,7 +589,7 @@ var XDomHelper = class {
     xPathExpr.context.expressionContextNode = this.node;
     xPathExpr.context.contextSize = xPathExpr.context.nodeList.length;
     const xPathTest = () => new XPath.XPathResult(xPathExpr.xpath.expression.evaluate(xPathExpr.context), type);
-    const result = (XsltLog.debugMode) ? Utils.measure('xPath', xPathTest) : xPathTest();
+    const result = (context.cfg.log.debugMode) ? Utils.measure('xPath', xPathTest, context.cfg.measures) : xPathTest();
 
     switch (result.resultType) {
       case XPath.XPathResult.STRING_TYPE: {
@@ -566,8 +612,27 @@ var XDomHelper = class {
       }
     }
   }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Parses an xPath expression, using the expression already parsed when
+   * the stylesheet was compiled if there is one.
+   * @method parse
+   * @static
+   * @param {string} xPath - The xPath expression to parse.
+   * @param {Map} [expressions=null] - The parsed expressions, by text.
+   * @returns {XPath} - The parsed expression.
+   */
+  static parse (
+    xPath,
+    expressions = null
+  ) {
+    return (expressions && expressions.get(xPath)) || xPathParser.parse(xPath);
+  }
 };
 
+const xPathParser = new XPath.XPathParser();
+
 const $$ = (item) => new XDomHelper(item);
 
 // ----------------------------------------------------------------------------
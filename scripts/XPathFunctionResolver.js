@@ -14,6 +14,12 @@
 const XPath = require('xpath');
 const { XPathFunctions } = require('./XPathFunctions');
 
+// ----------------------------------------------------------------------------
+// Constants
+// ----------------------------------------------------------------------------
+
+const SAXON_NAMESPACE = 'http://saxon.sf.net/';
+
 // ----------------------------------------------------------------------------
 /*
  * @class XPathFunctionResolver
@@ -78,6 +84,8 @@ var XPathFunctionResolver = class {
           return XPathFunctions.current;
         case 'document':
           return XPathFunctions.document;
+        case 'key':
+          return XPathFunctions.key;
         case 'format-number':
           return XPathFunctions.formatNumber;
         case 'replace':
@@ -97,9 +105,22 @@ var XPathFunctionResolver = class {
       }
     }
 
-    if (this.context.customFunctions && this.context.customFunctions[namespaceURI][localName]) {
+    // The Saxon extension functions reporting where a node was parsed from
+    if (namespaceURI === SAXON_NAMESPACE) {
+      switch (localName) {
+        case 'line-number':
+          return XPathFunctions.lineNumber;
+        case 'column-number':
+          return XPathFunctions.columnNumber;
+        case 'system-id':
+          return XPathFunctions.systemId;
+      }
+    }
+
+    if (this.context.customFunctions && this.context.customFunctions[namespaceURI] && this.context.customFunctions[namespaceURI][localName]) {
       this.XPath = XPath; // So we can create a result
-      return this.context.customFunctions[namespaceURI][localName].bind(this);
+      const fcn = this.context.customFunctions[namespaceURI][localName];
+      return (...parameters) => this.context.replayCall(() => fcn.apply(this, parameters));
     }
 
     if (this.functionResolver) {
@@ -115,7 +136,8 @@ var XPathFunctionResolver = class {
         namespaceURI: namespaceURI
       });
       if (customFcnNode) {
-        return this.customFunction.bind(new XPathFunctionResolver(customFcnNode, this.context.clone()));
+        const resolver = new XPathFunctionResolver(customFcnNode, this.context.clone());
+        return (...parameters) => this.context.replayCall(() => resolver.customFunction(...parameters));
       }
     }
 
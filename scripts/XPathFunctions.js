@@ -12,6 +12,8 @@
 // ----------------------------------------------------------------------------
 
 const XPath = require('xpath');
+const { Node } = require('./Node');
+const { Utils } = require('./Utils');
 
 // ----------------------------------------------------------------------------
 /*
@@ -73,17 +75,90 @@ var XPathFunctions = class {
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
+   * Each URI is resolved against the base URI given by the second argument
+   * (the base URI of its first node), or otherwise against the base URI of
+   * the node holding the URI or, for a URI given as a string, that of the
+   * stylesheet module. As the XPath processor is synchronous, a document
+   * that has yet to be loaded is requested by the XsltContext throwing an
+   * error, and the expression is evaluated again once it has been loaded.
    * @method document
    * @static
    * @implements xsl:document()
    * @param {Object} xPathContext - The XPath context to base the result on.
-   * @returns {XPath.XNodeSet} - The owner document within a node set.
+   * @param {XPath.XPathExpr|string} uriExpr - The URI, or a node-set whose
+   *   nodes each hold a URI, of the documents to return.
+   * @param {XPath.XPathExpr} [baseExpr=null] - A node-set whose first node
+   *   has the base URI to resolve relative URIs against.
+   * @returns {XPath.XNodeSet} - The root nodes of the documents.
    */
   static document (
-    xPathContext
+    xPathContext,
+    uriExpr,
+    baseExpr = null
+  ) {
+    const value = (typeof uriExpr === 'string') ? new XPath.XString(uriExpr) : uriExpr.evaluate(xPathContext);
+    const context = xPathContext.functionResolver.context;
+
+    let baseURI;
+    if (baseExpr) {
+      const baseNodes = baseExpr.evaluate(xPathContext);
+      if (!(baseNodes instanceof XPath.XNodeSet)) {
+        throw new Error('the second argument of document() must be a node-set');
+      }
+      const baseNode = baseNodes.first();
+      baseURI = (baseNode) ? context.getBaseURI(baseNode) : null;
+    }
+
+    const references = (value instanceof XPath.XNodeSet)
+      ? value.toArray().map((node) => ({ href: value.stringForNode(node), baseURI: (baseURI !== undefined) ? baseURI : context.getBaseURI(node) }))
+      : [{ href: value.stringValue(), baseURI: (baseURI !== undefined) ? baseURI : context.getBaseURI(context.transformNode) }];
+
+    const nodeSet = new XPath.XNodeSet();
+    references.forEach((reference) => {
+      const documentNode = context.getDocument(reference.href, reference.baseURI);
+      if (documentNode) {
+        nodeSet.add(documentNode);
+      }
+    });
+
+    return nodeSet;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @method key
+   * @static
+   * @implements xsl:key()
+   * @param {Object} xPathContext - The XPath context to base the result on.
+   * @param {XPath.XPathExpr|string} nameExpr - The name of the key declared
+   *   using <xsl:key>.
+   * @param {XPath.XPathExpr|string} valueExpr - The value to look up. When
+   *   this is a node set, the string value of each node is looked up.
+   * @returns {XPath.XNodeSet} - The nodes, in the document of the context
+   *   node, having the key value.
+   */
+  static key (
+    xPathContext,
+    nameExpr,
+    valueExpr
   ) {
+    const name = (typeof nameExpr === 'string') ? nameExpr : nameExpr.evaluate(xPathContext).stringValue();
+    const value = (typeof valueExpr === 'string') ? new XPath.XString(valueExpr) : valueExpr.evaluate(xPathContext);
+    const context = xPathContext.functionResolver.context;
+    const contextNode = xPathContext.contextNode;
+    const documentNode = (contextNode.nodeType === Node.DOCUMENT_NODE) ? contextNode : contextNode.ownerDocument;
+    const index = context.getKeyIndex(context.transformNode, documentNode, name);
+
+    const keyValues = (value instanceof XPath.XNodeSet)
+      ? value.toUnsortedArray().map((node) => value.stringForNode(node))
+      : [value.stringValue()];
+
     const nodeSet = new XPath.XNodeSet();
-    nodeSet.add(xPathContext.contextNode.ownerDocument);
+    keyValues.forEach((keyValue) => {
+      if (Object.prototype.hasOwnProperty.call(index, keyValue)) {
+        nodeSet.addArray(index[keyValue]);
+      }
+    });
 
     return nodeSet;
   }
@@ -100,6 +175,8 @@ var XPathFunctions = class {
    *   a decimal format defined using <xsl:format-number> to use to define
    *   the formatting rules.
    * @returns {XPath.XString}
+   * @throws {Error} - An error with the code XTDE1280 if there is no
+   *   decimal format of the name.
    */
   static formatNumber (
     xPathContext,
@@ -109,8 +186,14 @@ var XPathFunctions = class {
   ) {
     const number = (typeof numberExpr === 'number') ? numberExpr : numberExpr.evaluate(xPathContext);
     const format = (typeof formatExpr === 'string') ? formatExpr : formatExpr.evaluate(xPathContext);
-    const decimalFormatName = (typeof decimalFormatExpr === 'string') ? decimalFormatExpr : (decimalFormatExpr) ? decimalFormatExpr.evaluate(xPathContext) : '_default';
-    const decimalFormat = XPathFunctions.decimalFormats[decimalFormatName];
+    const decimalFormatName = (typeof decimalFormatExpr === 'string') ? decimalFormatExpr : (decimalFormatExpr) ? decimalFormatExpr.evaluate(xPathContext).stringValue() : '_default';
+    const decimalFormats = xPathContext.functionResolver.context.cfg.decimalFormats;
+    if (decimalFormatName !== '_default' && !Object.prototype.hasOwnProperty.call(decimalFormats, decimalFormatName)) {
+      const error = new Error(`No decimal format named "${decimalFormatName}"`);
+      error.code = 'XTDE1280';
+      throw error;
+    }
+    const decimalFormat = decimalFormats[decimalFormatName] || XPathFunctions.defaultDecimalFormat;
 
     if (number === Infinity) {
       return decimalFormat.infinity;
@@ -317,12 +400,14 @@ var XPathFunctions = class {
 
     let rndNum;
     if (nodeSet) {
+      const context = xPathContext.functionResolver.context;
       let str = '';
       nodeSet.nodes.forEach((node) => {
-        // KLUDGE: Depending on how the nodeset was created, the column and line
-        //         numbers may not always be present
-        if (node.columnNumber !== undefined) {
-          str += '/' + node.columnNumber + '/' + node.lineNumber;
+        // A node that was parsed is identified by where it was parsed from.
+        // Nodes that were created, such as those of a result tree fragment,
+        // have no location and are given an identifier when first seen.
+        if (Utils.getLine(node)) {
+          str += '/' + context.getSystemId(node) + '/' + node.nodeType + '/' + node.lineNumber + '/' + node.columnNumber;
         } else if (node._nodeId !== undefined) {
           str += '/' + node._nodeId;
         } else {
@@ -344,10 +429,73 @@ var XPathFunctions = class {
    * @method counter
    * @static
    * @implements xsl:counter()
-   * @returns {XPath.XString} }
+   * @param {Object} xPathContext - The XPath context to base the result on.
+   * @returns {XPath.XString} - The next value of the counter, which starts
+   *   at 1 for each transformation.
    */
-  static counter () {
-    return new XPath.XString(XPathFunctions._counter++);
+  static counter (
+    xPathContext
+  ) {
+    const cfg = xPathContext.functionResolver.context.cfg;
+    return new XPath.XString(cfg.counter++);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @method lineNumber
+   * @static
+   * @implements saxon:line-number()
+   * @param {Object} xPathContext - The XPath context to base the result on.
+   * @param {XPath.XPathExpr} [nodeSetExpr=null] - The node set whose first
+   *   node is reported on, instead of the context node.
+   * @returns {XPath.XNumber} - The line the node starts on in the document
+   *   it was parsed from, or -1 if unknown.
+   */
+  static lineNumber (
+    xPathContext,
+    nodeSetExpr = null
+  ) {
+    const node = (nodeSetExpr) ? nodeSetExpr.evaluate(xPathContext).toArray()[0] : xPathContext.contextNode;
+    return new XPath.XNumber(Utils.getLine(node) || -1);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @method columnNumber
+   * @static
+   * @implements saxon:column-number()
+   * @param {Object} xPathContext - The XPath context to base the result on.
+   * @param {XPath.XPathExpr} [nodeSetExpr=null] - The node set whose first
+   *   node is reported on, instead of the context node.
+   * @returns {XPath.XNumber} - The column the node starts at in the document
+   *   it was parsed from, or -1 if unknown.
+   */
+  static columnNumber (
+    xPathContext,
+    nodeSetExpr = null
+  ) {
+    const node = (nodeSetExpr) ? nodeSetExpr.evaluate(xPathContext).toArray()[0] : xPathContext.contextNode;
+    return new XPath.XNumber(Utils.getColumn(node) || -1);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @method systemId
+   * @static
+   * @implements saxon:system-id()
+   * @param {Object} xPathContext - The XPath context to base the result on.
+   * @param {XPath.XPathExpr} [nodeSetExpr=null] - The node set whose first
+   *   node is reported on, instead of the context node.
+   * @returns {XPath.XString} - The URI of the document the node was parsed
+   *   from, or the empty string if unknown.
+   */
+  static systemId (
+    xPathContext,
+    nodeSetExpr = null
+  ) {
+    const context = xPathContext.functionResolver.context;
+    const node = (nodeSetExpr) ? nodeSetExpr.evaluate(xPathContext).toArray()[0] : xPathContext.contextNode;
+    return new XPath.XString((node) ? context.getSystemId(node) || '' : '');
   }
 };
 
@@ -355,21 +503,19 @@ var XPathFunctions = class {
 // Variables
 // ----------------------------------------------------------------------------
 
-XPathFunctions.decimalFormats = {
-  _default: {
-    decimalSeparator: '.',
-    groupingSeparator: ',',
-    infinity: 'Infinity',
-    minusSign: '-',
-    NaN: 'NaN',
-    percent: '%',
-    perMille: '\u2030',
-    zeroDigit: '0',
-    patternSeparator: ';'
-  }
-};
-
-XPathFunctions._counter = 1;
+// The decimal format used when no <xsl:decimal-format> applies. Formats
+// declared in the transform are kept with the transformation (cfg).
+XPathFunctions.defaultDecimalFormat = Object.freeze({
+  decimalSeparator: '.',
+  groupingSeparator: ',',
+  infinity: 'Infinity',
+  minusSign: '-',
+  NaN: 'NaN',
+  percent: '%',
+  perMille: '\u2030',
+  zeroDigit: '0',
+  patternSeparator: ';'
+});
 
 // ----------------------------------------------------------------------------
 // Exports
@@ -36,17 +36,37 @@ var XPathVariableResolver = class {
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
-   * The primary resolution function.
+   * The primary resolution function. The variable is returned with the type
+   * of its value: a node-set (for nodes and result tree fragments), a
+   * string, a number, or a boolean.
    * @method getVariable
    * @instance
-   * @param {string} name - The name of the variable to retrieve.
-   * @return {XPath.XString}
+   * @param {string} name - The local name of the variable to retrieve.
+   * @param {string} [namespaceURI=''] - The namespace of the variable, if its
+   *   name is prefixed.
+   * @return {XPath.XNodeSet|XPath.XString|XPath.XNumber|XPath.XBoolean}
+   * @throws {Error} - An error with the pendingGlobal to evaluate for a
+   *   global variable that has not been evaluated yet, or with the code
+   *   XPST0008 if the variable has not been declared, unless the recover
+   *   option is set (in which case its value is the empty string).
    */
   getVariable (
-    name
+    name,
+    namespaceURI = ''
   ) {
-    let value = this.context.getVariable(name);
-    if (value == null) {
+    const expandedName = (namespaceURI) ? '{' + namespaceURI + '}' + name : name;
+    let value = this.context.getVariable(expandedName);
+    if (value == null && this.context.cfg._cache && this.context.cfg._cache.globals && this.context.cfg._cache.globals.has(expandedName)) {
+      // A global variable still to be evaluated (see XsltContext.whileLoading)
+      const error = new Error(`Global variable not evaluated yet: $${name}`);
+      error.pendingGlobal = expandedName;
+      throw error;
+    } else if (value == null) {
+      if (!this.context.cfg.recover) {
+        const error = new Error(`Undeclared variable: $${name}`);
+        error.code = 'XPST0008';
+        throw error;
+      }
       value = '';
     }
 
@@ -62,8 +82,11 @@ var XPathVariableResolver = class {
       return new XPath.XNumber(value);
     } else if (typeof value === 'boolean') {
       return new XPath.XBoolean(value);
-    } else if (typeof value.textContent !== 'undefined') {
-      return new XPath.XString(value.textContent);
+    } else if (value.nodeType !== undefined) {
+      // A single node, such as the fragment of a result tree fragment
+      const nodeSet = new XPath.XNodeSet();
+      nodeSet.add(value);
+      return nodeSet;
     } else {
       return new XPath.XString(value);
     }
@@ -24,14 +24,15 @@
 // Imports
 // ----------------------------------------------------------------------------
 
-const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+const { DOMParser } = require('@xmldom/xmldom');
 
+const { FileUriResolver } = require('./FileUriResolver');
 const { XsltContext } = require('./XsltContext');
+const { XsltError } = require('./XsltError');
+const { XsltStylesheet } = require('./XsltStylesheet');
 const { XPathNamespaceResolver } = require('./XPathNamespaceResolver');
 const { XPathVariableResolver } = require('./XPathVariableResolver');
 const { XPathFunctionResolver } = require('./XPathFunctionResolver');
-const { Utils } = require('./Utils');
-const { XsltLog } = require('./XsltLog');
 
 // ----------------------------------------------------------------------------
 /*
@@ -41,81 +42,50 @@ const { XsltLog } = require('./XsltLog');
 var XSLT = class {
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
-   * Primary entry point for processing the transform.
+   * Compiles a transform into a stylesheet that can be applied to any number
+   * of input documents with its transform() method. The transform document
+   * passed in is not modified.
+   * @method compile
+   * @static
+   * @param {XmlDocument} transform - The transform document root, as DOM node.
+   * @param {Object} [options={}] - Compilation options: transformURL (used to
+   *   resolve relative URLs in any <xsl:include> or <xsl:import>),
+   *   uriResolver (see transform() below), logger, debug, and recover.
+   * @returns {XsltStylesheet} - The compiled stylesheet (or a promise still
+   *   to be fulfilled).
+   */
+  static compile (
+    transform,
+    options = {}
+  ) {
+    return XsltStylesheet.compile(transform, options);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Primary entry point for processing the transform. The transform is
+   * compiled for this one use -- use compile() instead when the same
+   * transform is to be applied more than once.
    * @method process
    * @static
    * @param {XmlDocument} inputDoc - The input document root, as DOM node.
    * @param {XmlDocument} transform - The transform document root, as DOM node.
    * @param {Object} params - An object of name/value parameters
-   * @returns the processed document, as XML text in a string.
+   * @param {Object} [options={}] - Processing options: inputURL,
+   *   transformURL, uriResolver, customFunctions, logger, debug,
+   *   errorOnAmbiguousMatch, onMessage, and recover (see transform() below).
+   * @returns the processed document, as text in a string serialized
+   *   according to the output method (xml, html, or text).
    */
-  static process (
+  static async process (
     inputDoc,
     transform,
     params = {},
     options = {}
   ) {
-    XsltLog.logger = options.logger || console;
-    XsltLog.debugMode = options.debug || false;
-
-    const logger = XsltLog.logger;
-
-    return new Promise(async (resolve, reject) => {
-      try {
-        const xmlSerializer = new XMLSerializer();
-        const fragmentNode = inputDoc.createDocumentFragment();
-
-        const startTime = Date.now();
-        const xsltContext = new XsltContext(inputDoc.documentElement, {
-          variables: params,
-          inputURL: options.inputURL,
-          transformURL: options.transformURL,
-          customFunctions: options.customFunctions,
-          cfg: { // We use an object to ensure that the lists are pass-by-reference
-            stripSpaceList: {},
-            preserveSpaceList: {},
-            _cache: {}
-          },
-          logger: logger
-        });
-        await xsltContext.processRoot(transform.documentElement, fragmentNode);
-        logger.info('# --- Processing completed in ' + (Date.now() - startTime) + ' millisecs ---');
-
-        let xml = xmlSerializer.serializeToString(fragmentNode)
-          .replace(/<\?xml\s.*?\?>\n?/, '') // Sometimes the namespace declaration appears early??
-          // .replace(/__(false)__/gi, '$1') // Workaround to a strange problem within the DOM processor
-          .replace(/\n\s*/g, '\n');
+    const stylesheet = await XSLT.compile(transform, options);
 
-        // KLUDGE: This is to support disable-output-escaping
-        if ((/\[\[/).test(xml)) {
-          xml = xml
-            .replace(/\[\[&lt;]]/g, '<')
-            .replace(/\[\[&gt;]]/g, '>')
-            .replace(/\[\[&apos;]]/g, '\'')
-            .replace(/\[\[&quot;]]/g, '"')
-            .replace(/\[\[&amp;]]/g, '&')
-            .replace(/\[\[(.)]]/g, '$1');
-        }
-
-        Utils.reportMeasures();
-
-        if (xml) {
-          if (XsltContext.output) {
-            if (!XsltContext.output.omitXmlDeclaration || XsltContext.output.omitXmlDeclaration.toLowerCase() !== 'yes') {
-              let xmlDecl = '<?xml';
-              xmlDecl += ' version="' + (XsltContext.output.version || '1.0') + '"';
-              xmlDecl += ' encoding="' + (XsltContext.output.encoding || 'UTF-8') + '"';
-              xmlDecl += ' standalone="' + (XsltContext.output.standalone || 'no') + '"';
-              xmlDecl += '?>\n';
-              xml = xmlDecl + xml;
-            }
-          }
-          resolve(xml);
-        }
-      } catch (exception) {
-        reject(exception);
-      }
-    });
+    return stylesheet.transform(inputDoc, params, options);
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -135,18 +105,34 @@ var XSLT = class {
    *     {string|Function} result - only a string is currently supported.
    *     params - list of parameters.
    *     props - not used.
+   *     uriResolver - object with an async resolve(href, base) method
+   *       returning the text or DOM document of the document at a URI, used
+   *       to load <xsl:include>, <xsl:import>, and document() documents --
+   *       a FileUriResolver, reading from the file system (or with fetch()
+   *       for other URLs), is used if undefined
    *     logger - object to log messages to - console is used if undefined
    *     debug - set to true for debug mode
+   *     errorOnAmbiguousMatch - set to true to report an error, rather than
+   *       a warning, when more than one template rule matches a node with
+   *       the same import precedence and priority
+   *     onMessage - function to call with the text of each <xsl:message>
+   *       and an object with its terminate flag and location, instead of
+   *       logging the message
+   *     recover - set to true to warn, rather than report an error, when an
+   *       expression cannot be evaluated, using its text instead (the select
+   *       expression as a string, or the braces of an attribute value
+   *       template as they are)
    * @param {Function} callback - A callback function to call once the
    *   transformormation is complete. The callback takes two arguments. The
-   *   first argument is any error message (as a string) or null if there is
-   *   no error. The second argument is the output document as XML text.
+   *   first argument is any error or null if there is no error -- an
+   *   XsltError, with its code and location, for an error in the transform.
+   *   The second argument is the output document as XML text.
    */
   static transform (
     transformSpec,
     callback
   ) {
-    const domParser = new DOMParser();
+    const domParser = new DOMParser({ locator: true }); // Records the line and column of each node
     const inputURL = transformSpec.sourcePath;
     const inputDoc = (typeof transformSpec.source === 'string') ? domParser.parseFromString(transformSpec.source, 'application/xml') : transformSpec.source;
     const transformURL = transformSpec.xsltPath;
@@ -155,21 +141,29 @@ var XSLT = class {
     const customFunctions = transformSpec.customFunctions || {};
     const debug = transformSpec.debug;
     const logger = transformSpec.logger || undefined;
+    const errorOnAmbiguousMatch = transformSpec.errorOnAmbiguousMatch;
+    const onMessage = transformSpec.onMessage;
+    const recover = transformSpec.recover;
+    const uriResolver = transformSpec.uriResolver;
 
     XSLT
       .process(inputDoc, transform, params, {
         inputURL: inputURL,
         transformURL: transformURL,
+        uriResolver: uriResolver,
         customFunctions: customFunctions,
         debug: debug,
-        logger: logger
+        logger: logger,
+        errorOnAmbiguousMatch: errorOnAmbiguousMatch,
+        onMessage: onMessage,
+        recover: recover
       })
       .then(
         (resultXML) => {
           return callback(null, resultXML);
         },
         (exception) => {
-          return callback(exception.toString(), null);
+          return callback(exception, null);
         }
       );
   }
@@ -180,6 +174,9 @@ var XSLT = class {
 // ----------------------------------------------------------------------------
 
 XSLT.XsltContext = XsltContext;
+XSLT.XsltStylesheet = XsltStylesheet;
+XSLT.XsltError = XsltError;
+XSLT.FileUriResolver = FileUriResolver;
 XSLT.XPathNamespaceResolver = XPathNamespaceResolver;
 XSLT.XPathVariableResolver = XPathVariableResolver;
 XSLT.XPathFunctionResolver = XPathFunctionResolver;
@@ -14,16 +14,32 @@
 // Imports
 // ----------------------------------------------------------------------------
 
-const { DOMParser } = require('@xmldom/xmldom');
+const { DOMImplementation, DOMParser } = require('@xmldom/xmldom');
 const XPath = require('xpath');
 
-const { $$ } = require('./XDomHelper');
+const { $$, XDomHelper } = require('./XDomHelper');
 const { Node } = require('./Node');
 const { XPathNamespaceResolver } = require('./XPathNamespaceResolver');
 const { XPathVariableResolver } = require('./XPathVariableResolver');
 const { XPathFunctionResolver } = require('./XPathFunctionResolver');
+const { XsltPattern } = require('./XsltPattern');
+const { XsltNumber } = require('./XsltNumber');
+const { XsltSequenceType } = require('./XsltSequenceType');
+const { XsltError } = require('./XsltError');
+const { XsltValidator } = require('./XsltValidator');
 const { Utils } = require('./Utils');
-const { XsltLog } = require('./XsltLog');
+
+// ----------------------------------------------------------------------------
+// Constants
+// ----------------------------------------------------------------------------
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+const XMLNS_NAMESPACE = 'http://www.w3.org/2000/xmlns/';
+const XSLT_NAMESPACE = 'http://www.w3.org/1999/XSL/Transform';
+
+// The version of XSLT implemented in full: a stylesheet of a later version
+// is processed in forwards-compatible mode (see isForwardsCompatible)
+const XSLT_VERSION = 1.0;
 
 // ----------------------------------------------------------------------------
 /* @class XsltContext
@@ -48,11 +64,12 @@ var XsltContext = class {
     this.transformURL = options.transformURL || null;
     this.customFunctions = options.customFunctions || {};
     this.mode = options.mode || null;
+    this.templateRule = options.templateRule || null;
     this.parent = options.parent || null;
     this.cfg = options.cfg || {};
 
-    this.logger = options.logger || XsltLog.logger;
-    this.debug = (msg) => this.logger.debug('# XSLT: ' + (' ').repeat(XsltContext.indent * 2) + msg);
+    this.logger = options.logger || this.cfg.log.logger;
+    this.debug = (msg) => this.logger.debug('# XSLT: ' + (' ').repeat(this.cfg.indent * 2) + msg);
     this.logTransform = (node) => this.debug(Utils.identify(node));
     this.getContext = () => 'context node ' + (this.nodeList.length > 1 ? '#' + this.contextPosition + ' ' : '') + '-- ' + Utils.identify(this.contextNode);
 
@@ -95,6 +112,7 @@ var XsltContext = class {
       transformURL: options.transformURL || this.transformURL,
       customFunctions: options.customFunctions || this.customFunctions,
       mode: options.mode || null, // This should not be inherited
+      templateRule: (options.templateRule !== undefined) ? options.templateRule : this.templateRule,
       cfg: options.cfg || this.cfg,
       logger: options.logger || this.logger,
       parent: this
@@ -154,8 +172,10 @@ var XsltContext = class {
   /*
    * Passes template text to the output. The current template node does
    * not specify an XSLT operation and therefore is appended to the
-   * output with all its attributes. Then continues traversing the
-   * template node tree.
+   * output with its namespaces and attributes (see
+   * compileLiteralResultElement). Then continues traversing the
+   * template node tree. An extension instruction, which is not
+   * implemented, is replaced by its fallback (see applyFallback).
    * @method passThrough
    * @instance
    * @param {Node} transformNode - The node being evaluated.
@@ -175,15 +195,37 @@ var XsltContext = class {
         break;
       }
       case Node.ELEMENT_NODE: {
-        const qName = transformNode.nodeName;
-        const namespaceURI = transformNode.namespaceURI;
-        const newElement = $$(outputDocument).createElementNS(namespaceURI, qName);
-        $$(transformNode.attributes).forEach((attribute) => {
-          const name = attribute.nodeName;
-          const valueExpr = attribute.nodeValue;
-          const value = this.resolveExpression(transformNode, valueExpr);
-          newElement.setAttribute(name, value);
+        const literalResultElement = this.compileLiteralResultElement(transformNode);
+        if (literalResultElement.isExtension) {
+          if (!await this.applyFallback(transformNode, outputNode)) {
+            throw this.createError('XTDE1450', `extension instruction not implemented: ${transformNode.nodeName}`, transformNode);
+          }
+          break;
+        }
+
+        const newElement = $$(outputDocument).createElementNS(literalResultElement.namespaceURI, literalResultElement.qName);
+        const prefix = newElement.prefix || '';
+        literalResultElement.namespaces.forEach((namespace) => {
+          if (namespace.prefix !== prefix || namespace.namespaceURI === newElement.namespaceURI) {
+            newElement.setAttributeNS(XMLNS_NAMESPACE, (namespace.prefix) ? 'xmlns:' + namespace.prefix : 'xmlns', namespace.namespaceURI);
+          }
         });
+        await this.applyAttributeSets(transformNode, transformNode.getAttributeNS(XSLT_NAMESPACE, 'use-attribute-sets'), newElement);
+        for (let i = 0; i < transformNode.attributes.length; i++) {
+          const attribute = transformNode.attributes[i];
+          if (attribute.namespaceURI === XSLT_NAMESPACE || attribute.namespaceURI === XMLNS_NAMESPACE) {
+            continue; // Instructions, and the namespaces added above
+          }
+          const value = await this.resolveExpression(transformNode, attribute.nodeValue);
+          const namespaceAlias = (attribute.namespaceURI) ? this.getNamespaceAlias(transformNode.ownerDocument, attribute.namespaceURI) : null;
+          if (namespaceAlias && namespaceAlias.namespaceURI && namespaceAlias.prefix) {
+            newElement.setAttributeNS(namespaceAlias.namespaceURI, namespaceAlias.prefix + ':' + attribute.localName, value);
+          } else if (namespaceAlias || !attribute.namespaceURI) {
+            newElement.setAttribute(attribute.localName || attribute.nodeName, value);
+          } else {
+            newElement.setAttributeNS(attribute.namespaceURI, attribute.nodeName, value);
+          }
+        }
         outputNode.appendChild(newElement);
         await this.processChildNodes(transformNode, newElement);
         break;
@@ -206,41 +248,1004 @@ var XsltContext = class {
     name
   ) {
     const transformRoot = document.documentElement;
-    if (!this.cfg._cache.templatesByName) {
-      this.cfg._cache.templatesByName = {};
+    if (!this.cfg._compiled.templatesByName) {
+      this.cfg._compiled.templatesByName = {};
       $$(transformRoot.childNodes).forEach((childTransformNode) => {
         if ($$(childTransformNode).isA('xsl:template') &&
         childTransformNode.hasAttribute('name')) {
-          this.cfg._cache.templatesByName[childTransformNode.getAttribute('name')] = childTransformNode;
+          const templateName = childTransformNode.getAttribute('name');
+          const otherTemplateNode = this.cfg._compiled.templatesByName[templateName];
+          if (!otherTemplateNode || this.compareImportPrecedence(childTransformNode, otherTemplateNode) >= 0) {
+            this.cfg._compiled.templatesByName[templateName] = childTransformNode;
+          }
         }
       });
     }
 
-    return this.cfg._cache.templatesByName[name];
+    return this.cfg._compiled.templatesByName[name];
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
-
-  getTemplateNodes (
+  /*
+   * Retrieves the template rules for a mode, ranked in the order in which
+   * they are to be considered: by import precedence, then by priority, and
+   * finally by their position in the stylesheet (the last one wins). A
+   * template whose pattern is a union of alternatives contributes one rule
+   * per alternative, each with its own default priority.
+   * @method getTemplateRules
+   * @instance
+   * @param {Document} document - The transform document.
+   * @param {string} [mode='_default'] - The mode.
+   * @returns {Array} - The rules as { node, mode, pattern, priority,
+   *   position }.
+   */
+  getTemplateRules (
     document,
     mode = '_default'
   ) {
     const transformRoot = document.documentElement;
-    if (!this.cfg._cache.templatesByMode) {
-      this.cfg._cache.templatesByMode = {};
+    if (!this.cfg._compiled.templatesByMode) {
+      this.cfg._compiled.templatesByMode = {};
     }
-    if (!this.cfg._cache.templatesByMode[mode]) {
-      this.cfg._cache.templatesByMode[mode] = [];
+    if (!this.cfg._compiled.templatesByMode[mode]) {
+      const templateRules = [];
       $$(transformRoot.childNodes).forEach((childTransformNode) => {
         if ($$(childTransformNode).isA('xsl:template') &&
             childTransformNode.hasAttribute('match') &&
             ((mode === '_default' && !childTransformNode.hasAttribute('mode')) || $$(childTransformNode).getAttribute('mode') === mode)) {
-          this.cfg._cache.templatesByMode[mode].push(childTransformNode);
+          const priority = $$(childTransformNode).getAttribute('priority');
+          this.compilePattern(childTransformNode, $$(childTransformNode).getAttribute('match')).forEach((pattern) => {
+            templateRules.push({
+              node: childTransformNode,
+              mode: mode,
+              pattern: pattern,
+              priority: (priority) ? Number(priority) : pattern.priority,
+              position: templateRules.length
+            });
+          });
         }
       });
+
+      templateRules.sort((rule1, rule2) => {
+        return this.compareImportPrecedence(rule2.node, rule1.node) ||
+          (rule2.priority - rule1.priority) ||
+          (rule2.position - rule1.position);
+      });
+
+      // Index the ranked rules by the keys of their patterns so that only
+      // plausible rules are tested against each node. The candidates for a
+      // name are the rules for the name and those for any node of its kind.
+      templateRules.byKey = {};
+      templateRules.forEach((templateRule, rank) => {
+        templateRule.rank = rank;
+        templateRule.pattern.keys.forEach((key) => {
+          templateRules.byKey[key] = templateRules.byKey[key] || [];
+          templateRules.byKey[key].push(templateRule);
+        });
+      });
+      templateRules.candidates = {};
+      Object.keys(templateRules.byKey).forEach((key) => {
+        const kindKey = ((/^[*#]|^@\*$/).test(key)) ? null : ((/^@/).test(key)) ? '@*' : '*';
+        templateRules.candidates[key] = templateRules.byKey[key]
+          .concat((kindKey && templateRules.byKey[kindKey]) || [])
+          .sort((rule1, rule2) => rule1.rank - rule2.rank);
+      });
+
+      this.cfg._compiled.templatesByMode[mode] = templateRules;
     }
 
-    return this.cfg._cache.templatesByMode[mode];
+    return this.cfg._compiled.templatesByMode[mode];
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Retrieves the template rules of a mode that could possibly match a
+   * node, given its kind and name, in ranked order.
+   * @method getCandidateTemplateRules
+   * @instance
+   * @param {Document} document - The transform document.
+   * @param {string} [mode='_default'] - The mode.
+   * @param {Node} node - The node to find candidates for.
+   * @returns {Array} - The candidate rules (see getTemplateRules).
+   */
+  getCandidateTemplateRules (
+    document,
+    mode = '_default',
+    node
+  ) {
+    const templateRules = this.getTemplateRules(document, mode);
+    const nodeKeys = XsltPattern.getNodeKeys(node);
+
+    return templateRules.candidates[nodeKeys[0]] || templateRules.candidates[nodeKeys[1]] || [];
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Compiles a pattern, caching the result with the compiled stylesheet.
+   * @method compilePattern
+   * @instance
+   * @param {Node} transformNode - The node containing the pattern.
+   * @param {string} pattern - The text of the pattern.
+   * @returns {Array} - The compiled alternatives (see XsltPattern).
+   */
+  compilePattern (
+    transformNode,
+    pattern
+  ) {
+    if (!this.cfg._compiled.patterns) {
+      this.cfg._compiled.patterns = new Map();
+    }
+    if (!this.cfg._compiled.patterns.has(transformNode)) {
+      this.cfg._compiled.patterns.set(transformNode, {});
+    }
+
+    const patterns = this.cfg._compiled.patterns.get(transformNode);
+    if (!patterns[pattern]) {
+      try {
+        patterns[pattern] = XsltPattern.compile(pattern, transformNode);
+      } catch (exception) {
+        throw this.locateError(exception, transformNode, '', 'XTSE0340');
+      }
+    }
+
+    return patterns[pattern];
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Compiles the sequence type in the as attribute of a node, caching the
+   * result with the compiled stylesheet.
+   * @method compileSequenceType
+   * @instance
+   * @param {Node} transformNode - The node with the as attribute.
+   * @returns {XsltSequenceType}
+   */
+  compileSequenceType (
+    transformNode
+  ) {
+    if (!this.cfg._compiled.sequenceTypes) {
+      this.cfg._compiled.sequenceTypes = new Map();
+    }
+
+    if (!this.cfg._compiled.sequenceTypes.has(transformNode)) {
+      try {
+        this.cfg._compiled.sequenceTypes.set(transformNode, XsltSequenceType.parse(transformNode.getAttribute('as'), transformNode));
+      } catch (exception) {
+        throw this.locateError(exception, transformNode);
+      }
+    }
+
+    return this.cfg._compiled.sequenceTypes.get(transformNode);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Creates an error located at a node in the transform and, when the input
+   * is being processed, at the context node.
+   * @method createError
+   * @instance
+   * @param {string} code - The error code (see XsltError).
+   * @param {string} description - What is wrong.
+   * @param {Node} transformNode - The node where the error occurred.
+   * @param {Object} [details={}] - The xPath being evaluated and the cause.
+   * @returns {XsltError}
+   */
+  createError (
+    code,
+    description,
+    transformNode,
+    details = {}
+  ) {
+    const location = this.getLocation(transformNode);
+    const getRoot = (node) => {
+      while (node.parentNode || node.ownerElement) {
+        node = node.parentNode || node.ownerElement;
+      }
+      return node;
+    };
+
+    return new XsltError(code, description, {
+      uri: location.transformURL,
+      line: location.line,
+      column: location.column,
+      path: location.path,
+      xPath: details.xPath,
+      sourcePath: (getRoot(this.contextNode) !== getRoot(transformNode)) ? Utils.getPath(this.contextNode) : null,
+      cause: details.cause
+    });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Locates an error at a node in the transform (see createError). An
+   * error that has already been located is left as it is.
+   * @method locateError
+   * @instance
+   * @param {Error} error - The error.
+   * @param {Node} transformNode - The node where the error occurred.
+   * @param {string} [prefix=''] - Text to put before the message.
+   * @param {string} [code=null] - The code for an error that has none.
+   * @returns {XsltError}
+   */
+  locateError (
+    error,
+    transformNode,
+    prefix = '',
+    code = null
+  ) {
+    if (error instanceof XsltError) {
+      return error;
+    }
+
+    return this.createError(error.code || code, prefix + error.message, transformNode, { cause: error });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Locates an error in evaluating an XPath expression (see createError).
+   * The XPath processor does not report error codes, so the code is
+   * inferred from the message. A request for a document still to be loaded
+   * (see getDocument), or for a global variable still to be evaluated, is
+   * left as it is.
+   * @method locateXPathError
+   * @instance
+   * @param {Error} error - The error.
+   * @param {Node} transformNode - The node with the expression.
+   * @param {string} xPath - The expression.
+   * @returns {Error}
+   */
+  locateXPathError (
+    error,
+    transformNode,
+    xPath
+  ) {
+    if (error instanceof XsltError || error.pendingDocument || error.pendingGlobal) {
+      return error;
+    }
+
+    let code = error.code;
+    if (!code) {
+      try {
+        XDomHelper.parse(xPath, this.cfg._compiled.expressions);
+        if ((/^undeclared variable/i).test(error.message)) {
+          code = 'XPST0008';
+        } else if ((/^unknown function/i).test(error.message)) {
+          code = 'XPST0017';
+        } else {
+          code = 'XPTY0004';
+        }
+      } catch (exception) {
+        code = 'XPST0003';
+      }
+    }
+
+    return this.createError(code, error.message, transformNode, { xPath: xPath, cause: error });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Evaluates an XPath expression of the transform, loading any documents
+   * it requests (see whileLoading) and locating any error.
+   * @method evaluate
+   * @instance
+   * @param {Node} transformNode - The node with the expression.
+   * @param {string} xPath - The expression.
+   * @param {XsltContext} context - The context to evaluate it in.
+   * @param {XPath.XPathResult} [type=undefined] - The type of result to
+   *   return.
+   * @returns - The value of the expression.
+   */
+  async evaluate (
+    transformNode,
+    xPath,
+    context,
+    type = undefined
+  ) {
+    try {
+      return await this.whileLoading(() => $$(context.contextNode).select(xPath, context, { type: type }));
+    } catch (exception) {
+      throw this.locateXPathError(exception, transformNode, xPath);
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the template rule to apply to the context node. When more than
+   * one rule of the highest import precedence and priority matches, the
+   * conflict is reported and resolved in favor of the rule occurring last
+   * in the stylesheet -- or reported as an error when the
+   * errorOnAmbiguousMatch option is set.
+   * @method findTemplateRule
+   * @instance
+   * @param {Document} document - The transform document.
+   * @param {string} [mode='_default'] - The mode.
+   * @param {Function} [accept=null] - Tests whether a rule may be chosen,
+   *   as for <xsl:apply-imports> and <xsl:next-match>.
+   * @returns {Object|null} - The rule (see getTemplateRules) or null.
+   */
+  findTemplateRule (
+    document,
+    mode = '_default',
+    accept = null
+  ) {
+    const templateRules = this.getCandidateTemplateRules(document, mode, this.contextNode);
+
+    for (let i = 0; i < templateRules.length; i++) {
+      const templateRule = templateRules[i];
+      if ((accept && !accept(templateRule)) || !templateRule.pattern.matches(this.contextNode, this)) {
+        continue;
+      }
+
+      for (let j = i + 1; j < templateRules.length; j++) {
+        const otherRule = templateRules[j];
+        if (otherRule.priority !== templateRule.priority ||
+            this.compareImportPrecedence(otherRule.node, templateRule.node) !== 0) {
+          break;
+        }
+        if (accept && !accept(otherRule)) {
+          continue;
+        }
+        if (otherRule.node !== templateRule.node && otherRule.pattern.matches(this.contextNode, this)) {
+          const message = 'ambiguous rule match for ' + Utils.identify(this.contextNode) +
+            ': "' + otherRule.pattern.text + '" and "' + templateRule.pattern.text + '"';
+          if (this.cfg.errorOnAmbiguousMatch) {
+            const error = new Error(message);
+            error.code = 'XTDE0540';
+            throw error;
+          }
+
+          this.cfg._cache.ambiguities = this.cfg._cache.ambiguities || {};
+          if (!this.cfg._cache.ambiguities[message]) {
+            this.cfg._cache.ambiguities[message] = true;
+            this.logger.warn('# XSLT: ' + message + ' (using "' + templateRule.pattern.text + '")');
+          }
+          break;
+        }
+      }
+
+      return templateRule;
+    }
+
+    return null;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Applies the best matching template rule in the current mode to the
+   * context node, falling back to the built-in template rule when no
+   * template rule in the transform matches. The rule applied becomes the
+   * current template rule of this context.
+   * @method applyTemplateRule
+   * @instance
+   * @param {Node} transformNode - The node applying the templates.
+   * @param {Node} outputNode - The node to apply the results to.
+   * @param {Function} [accept=null] - Tests whether a rule may be chosen
+   *   (see findTemplateRule).
+   */
+  async applyTemplateRule (
+    transformNode,
+    outputNode,
+    accept = null
+  ) {
+    const templateRule = await this.whileLoading(() => this.findTemplateRule(transformNode.ownerDocument, this.mode || undefined, accept));
+    if (templateRule) {
+      this.templateRule = templateRule;
+      await this.process(templateRule.node, outputNode, { matched: true });
+    } else {
+      await this.applyBuiltInTemplateRule(transformNode, outputNode);
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Applies another template rule to the context node, in the mode of the
+   * current template rule, for <xsl:apply-imports> and <xsl:next-match>.
+   * Any <xsl:with-param> children are passed as parameters. The built-in
+   * template rule applies when no rule that is accepted matches.
+   * @method applyOtherTemplateRule
+   * @instance
+   * @param {Node} transformNode - The node applying the templates.
+   * @param {Node} outputNode - The node to apply the results to.
+   * @param {Function} accept - Tests whether a rule, given the current
+   *   template rule, may be chosen.
+   */
+  async applyOtherTemplateRule (
+    transformNode,
+    outputNode,
+    accept
+  ) {
+    const templateRule = this.templateRule;
+    if (!templateRule) {
+      const error = new Error(transformNode.nodeName + ' used where there is no current template rule');
+      error.code = 'XTDE0560';
+      throw this.locateError(error, transformNode);
+    }
+
+    const paramContext = this.clone({ transformNode: transformNode });
+    await paramContext.processChildNodes(transformNode, outputNode, { filter: ['xsl:with-param'], ignoreText: true });
+
+    const context = paramContext.clone({
+      variables: paramContext.variables,
+      mode: (templateRule.mode === '_default') ? null : templateRule.mode
+    });
+    await context.applyTemplateRule(transformNode, outputNode, (otherRule) => accept(otherRule, templateRule));
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Applies the built-in template rule to the context node. Templates are
+   * applied to the children of the root node and of elements, in the
+   * current mode. The values of text and attribute nodes are copied to the
+   * output. Comments and processing instructions are ignored.
+   * @method applyBuiltInTemplateRule
+   * @instance
+   * @param {Node} transformNode - The node applying the templates.
+   * @param {Node} outputNode - The node to apply the results to.
+   * @see [XSLT], section 5.8.
+   */
+  async applyBuiltInTemplateRule (
+    transformNode,
+    outputNode
+  ) {
+    this.debug('- applying built-in template rule against ' + this.getContext());
+
+    switch (this.contextNode.nodeType) {
+      case Node.DOCUMENT_NODE:
+      case Node.ELEMENT_NODE: {
+        const childNodes = Array.from(this.contextNode.childNodes);
+        for (let i = 0; i < childNodes.length; i++) {
+          const context = this.clone({
+            contextNode: childNodes[i],
+            contextPosition: i + 1,
+            nodeList: childNodes,
+            mode: this.mode
+          });
+          await context.applyTemplateRule(transformNode, outputNode);
+        }
+        break;
+      }
+      case Node.TEXT_NODE:
+      case Node.CDATA_SECTION_NODE: {
+        const text = $$(this.contextNode).textContent;
+        outputNode.appendChild($$(outputNode.ownerDocument).createTextNode(text));
+        break;
+      }
+      case Node.ATTRIBUTE_NODE: {
+        // Namespace declarations are exposed as attributes by the DOM but are not attributes in the XPath data model
+        if (!(/^xmlns(:|$)/).test(this.contextNode.nodeName)) {
+          outputNode.appendChild($$(outputNode.ownerDocument).createTextNode(this.contextNode.nodeValue));
+        }
+        break;
+      }
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Compares the import precedence of two top-level transform nodes. Each
+   * node records the module it came from (see rankModules), the modules
+   * it includes sharing its precedence.
+   * @method compareImportPrecedence
+   * @instance
+   * @param {Node} transformNode1 - The first node.
+   * @param {Node} transformNode2 - The second node.
+   * @returns {number} - Positive when the first node has the higher
+   *   precedence, negative when lower, and zero when they are equal.
+   */
+  compareImportPrecedence (
+    transformNode1,
+    transformNode2
+  ) {
+    const precedence1 = (transformNode1._module) ? transformNode1._module.precedence : 0;
+    const precedence2 = (transformNode2._module) ? transformNode2._module.precedence : 0;
+
+    return precedence1 - precedence2;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the <xsl:key> declarations with the specified name. Several
+   * declarations may share a name, in which case the key is the union
+   * of all of them.
+   * @method getKeyNodes
+   * @instance
+   * @param {Document} document - The transform document.
+   * @param {string} name - The name of the key.
+   * @returns {Array} - The key declarations (possibly empty).
+   */
+  getKeyNodes (
+    document,
+    name
+  ) {
+    const transformRoot = document.documentElement;
+    if (!this.cfg._compiled.keysByName) {
+      this.cfg._compiled.keysByName = {};
+      $$(transformRoot.childNodes).forEach((childTransformNode) => {
+        if ($$(childTransformNode).isA('xsl:key') &&
+            childTransformNode.hasAttribute('name')) {
+          const keyName = childTransformNode.getAttribute('name');
+          this.cfg._compiled.keysByName[keyName] = this.cfg._compiled.keysByName[keyName] || [];
+          this.cfg._compiled.keysByName[keyName].push(childTransformNode);
+        }
+      });
+    }
+
+    return this.cfg._compiled.keysByName[name] || [];
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the <xsl:attribute-set> declarations with the specified name.
+   * Several declarations may share a name, in which case the attribute set
+   * has the attributes of all of them, in increasing order of import
+   * precedence (and then in document order), so that an attribute of a
+   * declaration with a higher precedence replaces one of the same name.
+   * @method getAttributeSetNodes
+   * @instance
+   * @param {Document} document - The transform document.
+   * @param {string} name - The name of the attribute set.
+   * @returns {Array} - The attribute set declarations (possibly empty).
+   */
+  getAttributeSetNodes (
+    document,
+    name
+  ) {
+    const transformRoot = document.documentElement;
+    if (!this.cfg._compiled.attributeSetsByName) {
+      this.cfg._compiled.attributeSetsByName = {};
+      $$(transformRoot.childNodes).forEach((childTransformNode) => {
+        if ($$(childTransformNode).isA('xsl:attribute-set') &&
+            childTransformNode.hasAttribute('name')) {
+          const attributeSetName = childTransformNode.getAttribute('name');
+          this.cfg._compiled.attributeSetsByName[attributeSetName] = this.cfg._compiled.attributeSetsByName[attributeSetName] || [];
+          this.cfg._compiled.attributeSetsByName[attributeSetName].push(childTransformNode);
+        }
+      });
+      Object.values(this.cfg._compiled.attributeSetsByName).forEach((attributeSetNodes) => {
+        attributeSetNodes.sort((transformNode1, transformNode2) => this.compareImportPrecedence(transformNode1, transformNode2));
+      });
+    }
+
+    return this.cfg._compiled.attributeSetsByName[name] || [];
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Adds the attributes of the attribute sets named in a use-attribute-sets
+   * attribute to an element of the output. The attribute sets that an
+   * attribute set uses are added before its own attributes. As they are
+   * declarations, the attribute sets are evaluated where only the global
+   * variables and parameters are in scope, but with the current context
+   * node.
+   * @method applyAttributeSets
+   * @instance
+   * @param {Node} transformNode - The node with the use-attribute-sets
+   *   attribute.
+   * @param {string} names - The whitespace separated names of the
+   *   attribute sets.
+   * @param {Node} outputNode - The element to add the attributes to.
+   */
+  async applyAttributeSets (
+    transformNode,
+    names,
+    outputNode
+  ) {
+    let globalContext = this;
+    while (globalContext.parent) {
+      globalContext = globalContext.parent;
+    }
+
+    for (const name of (names || '').trim().split(/\s+/).filter((name) => name)) {
+      for (const attributeSetNode of this.getAttributeSetNodes(transformNode.ownerDocument, name)) {
+        this.debug('- using attribute set ' + Utils.identify(attributeSetNode));
+        await this.applyAttributeSets(attributeSetNode, attributeSetNode.getAttribute('use-attribute-sets'), outputNode);
+
+        const context = globalContext.clone({
+          contextNode: this.contextNode,
+          contextPosition: this.contextPosition,
+          nodeList: this.nodeList,
+          mode: this.mode,
+          templateRule: this.templateRule
+        });
+        if (attributeSetNode.hasChildNodes()) {
+          await context.processChildNodes(attributeSetNode, outputNode, { filter: 'xsl:attribute', ignoreText: true });
+        }
+      }
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Resolves the prefixes listed by an exclude-result-prefixes or
+   * extension-element-prefixes attribute to the namespaces bound to them
+   * where the attribute is. #default stands for the default namespace and,
+   * in exclude-result-prefixes only, #all for every namespace in scope.
+   * @method resolvePrefixes
+   * @instance
+   * @param {Node} attribute - The attribute.
+   * @returns {Array} - The namespace URIs.
+   * @throws {XsltError} - An error with the code XTSE0808 (XTSE1430 for
+   *   extension-element-prefixes) for a prefix that is not declared, or
+   *   XTSE0809 for #default where there is no default namespace.
+   */
+  resolvePrefixes (
+    attribute
+  ) {
+    const namespaces = $$(attribute.ownerElement).getNamespaces();
+    const isExcluded = attribute.localName === 'exclude-result-prefixes';
+    const namespaceURIs = [];
+    attribute.nodeValue.trim().split(/\s+/).filter((prefix) => prefix).forEach((prefix) => {
+      if (prefix === '#all' && isExcluded) {
+        namespaceURIs.push(...Object.values(namespaces).filter((namespaceURI) => namespaceURI));
+        return;
+      }
+
+      const namespaceURI = namespaces[(prefix === '#default') ? '' : prefix];
+      if (!namespaceURI) {
+        const error = new Error((prefix === '#default')
+          ? `no default namespace to list in ${attribute.nodeName}`
+          : `undeclared namespace prefix "${prefix}" in ${attribute.nodeName}`);
+        error.code = (prefix === '#default') ? 'XTSE0809' : (isExcluded) ? 'XTSE0808' : 'XTSE1430';
+        throw this.locateError(error, attribute);
+      }
+      namespaceURIs.push(namespaceURI);
+    });
+
+    return namespaceURIs;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Resolves the prefixes of an <xsl:namespace-alias> declaration.
+   * @method resolveNamespaceAlias
+   * @instance
+   * @param {Node} transformNode - The <xsl:namespace-alias> element.
+   * @returns {Object} - The stylesheetURI used in the stylesheet and the
+   *   prefix and namespaceURI to use in its place in the result ('' for no
+   *   namespace).
+   * @throws {XsltError} - An error with the code XTSE0812 for a prefix that
+   *   is not declared.
+   */
+  resolveNamespaceAlias (
+    transformNode
+  ) {
+    const namespaces = $$(transformNode).getNamespaces();
+    const resolve = (name) => {
+      const prefix = transformNode.getAttribute(name);
+      const namespaceURI = (prefix === '#default') ? namespaces[''] || '' : namespaces[prefix];
+      if (namespaceURI === undefined) {
+        throw this.createError('XTSE0812', `undeclared namespace prefix "${prefix}" in ${name}`, transformNode.getAttributeNode(name));
+      }
+      return { prefix: (prefix === '#default') ? '' : prefix, namespaceURI: namespaceURI };
+    };
+    const result = resolve('result-prefix');
+
+    return {
+      stylesheetURI: resolve('stylesheet-prefix').namespaceURI,
+      prefix: result.prefix,
+      namespaceURI: result.namespaceURI
+    };
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the <xsl:namespace-alias> declaration, if any, for a namespace
+   * used in the stylesheet. Of several for the same namespace, that of the
+   * highest import precedence (and then the last) applies.
+   * @method getNamespaceAlias
+   * @instance
+   * @param {Document} document - The transform document.
+   * @param {string} namespaceURI - The namespace ('' or null for none).
+   * @returns {Object|null} - The prefix and namespaceURI to use in the
+   *   result instead (see resolveNamespaceAlias).
+   */
+  getNamespaceAlias (
+    document,
+    namespaceURI
+  ) {
+    const transformRoot = document.documentElement;
+    if (!this.cfg._compiled.namespaceAliases) {
+      const namespaceAliases = {};
+      Array.from(transformRoot.childNodes)
+        .filter((childTransformNode) => $$(childTransformNode).isA('xsl:namespace-alias'))
+        .sort((transformNode1, transformNode2) => this.compareImportPrecedence(transformNode1, transformNode2))
+        .forEach((childTransformNode) => {
+          const namespaceAlias = this.resolveNamespaceAlias(childTransformNode);
+          namespaceAliases[namespaceAlias.stylesheetURI] = namespaceAlias;
+        });
+      this.cfg._compiled.namespaceAliases = namespaceAliases;
+    }
+
+    return this.cfg._compiled.namespaceAliases[namespaceURI || ''] || null;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines, once for the compiled stylesheet, how a literal result
+   * element is to be output. It has the namespace nodes of the namespaces
+   * in scope for it in the stylesheet, except for the XSLT namespace and
+   * those excluded by the exclude-result-prefixes and
+   * extension-element-prefixes attributes of its ancestors (of
+   * xsl:stylesheet and other XSLT elements without a prefix, of literal
+   * result elements with the xsl: prefix). A namespace with an alias is
+   * replaced by its alias, as are the names of the element and of its
+   * attributes. An element in an extension namespace is an extension
+   * instruction instead.
+   * @method compileLiteralResultElement
+   * @instance
+   * @param {Node} transformNode - The literal result element.
+   * @returns {Object} - Whether the element is an extension instruction,
+   *   its namespaceURI and qName in the result, and its namespaces, as an
+   *   array of { prefix, namespaceURI }.
+   */
+  compileLiteralResultElement (
+    transformNode
+  ) {
+    if (!this.cfg._compiled.literalResultElements) {
+      this.cfg._compiled.literalResultElements = new Map();
+    }
+
+    if (!this.cfg._compiled.literalResultElements.has(transformNode)) {
+      const excludedURIs = [XSLT_NAMESPACE];
+      const extensionURIs = [];
+      for (let node = transformNode; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+        const isXslt = node.namespaceURI === XSLT_NAMESPACE;
+        const excludeAttribute = (isXslt) ? node.getAttributeNode('exclude-result-prefixes') : node.getAttributeNodeNS(XSLT_NAMESPACE, 'exclude-result-prefixes');
+        const extensionAttribute = (isXslt) ? node.getAttributeNode('extension-element-prefixes') : node.getAttributeNodeNS(XSLT_NAMESPACE, 'extension-element-prefixes');
+        if (excludeAttribute) {
+          excludedURIs.push(...this.resolvePrefixes(excludeAttribute));
+        }
+        if (extensionAttribute) {
+          extensionURIs.push(...this.resolvePrefixes(extensionAttribute));
+        }
+      }
+
+      const document = transformNode.ownerDocument;
+      const elementAlias = this.getNamespaceAlias(document, transformNode.namespaceURI);
+      const namespaces = [];
+      Object.entries($$(transformNode).getNamespaces()).forEach(([prefix, namespaceURI]) => {
+        if (namespaceURI && prefix !== 'xml' && !excludedURIs.includes(namespaceURI) && !extensionURIs.includes(namespaceURI)) {
+          const namespaceAlias = this.getNamespaceAlias(document, namespaceURI);
+          if (!namespaceAlias) {
+            namespaces.push({ prefix: prefix, namespaceURI: namespaceURI });
+          } else if (namespaceAlias.namespaceURI) {
+            namespaces.push({ prefix: namespaceAlias.prefix, namespaceURI: namespaceAlias.namespaceURI });
+          }
+        }
+      });
+
+      this.cfg._compiled.literalResultElements.set(transformNode, {
+        isExtension: extensionURIs.includes(transformNode.namespaceURI),
+        namespaceURI: (elementAlias) ? elementAlias.namespaceURI : transformNode.namespaceURI,
+        qName: (elementAlias) ? ((elementAlias.prefix) ? elementAlias.prefix + ':' : '') + transformNode.localName : transformNode.nodeName,
+        namespaces: namespaces
+      });
+    }
+
+    return this.cfg._compiled.literalResultElements.get(transformNode);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests whether an element of the transform is processed in
+   * forwards-compatible mode, in which elements and attributes unknown to
+   * this version of XSLT are not errors until they are evaluated, when any
+   * <xsl:fallback> is evaluated instead. This is the case when the version in
+   * effect for it -- that of the nearest version attribute on it or its
+   * ancestors (xsl:version on a literal result element) -- is a later one.
+   * @method isForwardsCompatible
+   * @instance
+   * @param {Node} transformNode - The element.
+   * @returns {boolean}
+   */
+  isForwardsCompatible (
+    transformNode
+  ) {
+    for (let node = transformNode; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentNode) {
+      const version = (node.namespaceURI === XSLT_NAMESPACE) ? node.getAttribute('version') : node.getAttributeNS(XSLT_NAMESPACE, 'version');
+      if (version && !$$(node).isA('xsl:output')) { // The version of <xsl:output> is that of the output
+        return parseFloat(version) > XSLT_VERSION;
+      }
+    }
+
+    return false;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Evaluates the <xsl:fallback> children of an instruction that is not
+   * implemented in its place.
+   * @method applyFallback
+   * @instance
+   * @param {Node} transformNode - The instruction.
+   * @param {Node} outputNode - The node to apply the results to.
+   * @returns {boolean} - Whether the instruction has any fallback.
+   */
+  async applyFallback (
+    transformNode,
+    outputNode
+  ) {
+    const fallbackNodes = Array.from(transformNode.childNodes).filter((childTransformNode) => $$(childTransformNode).isA('xsl:fallback'));
+    for (const fallbackNode of fallbackNodes) {
+      this.debug('- falling back to ' + Utils.identify(fallbackNode));
+      await this.processChildNodes(fallbackNode, outputNode);
+    }
+
+    return fallbackNodes.length > 0;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Checks that an attribute or a namespace node may be added to a node of
+   * the output: it must be an element to which no children have been added
+   * yet (whitespace, which processChildNodes may keep from the stylesheet,
+   * aside). Otherwise, the node is ignored with the recover option, and is
+   * an error without it.
+   * @method canAddAttribute
+   * @instance
+   * @param {Node} transformNode - The instruction adding the node.
+   * @param {Node} outputNode - The node of the output to add it to.
+   * @returns {boolean} - Whether the node may be added.
+   * @throws {XsltError} - An error with the code XTDE0410 if the element
+   *   already has children, or XTDE0420 if the node is not an element.
+   */
+  canAddAttribute (
+    transformNode,
+    outputNode
+  ) {
+    let error = null;
+    if (outputNode.nodeType !== Node.ELEMENT_NODE) {
+      error = this.createError('XTDE0420', `${transformNode.nodeName} outside of an element`, transformNode);
+    } else if (Array.from(outputNode.childNodes).some((childNode) => childNode.nodeType !== Node.TEXT_NODE || (/\S/).test(childNode.nodeValue))) {
+      error = this.createError('XTDE0410', `${transformNode.nodeName} after the children of ${outputNode.nodeName}`, transformNode);
+    }
+
+    if (error && !this.cfg.recover) {
+      throw error;
+    } else if (error) {
+      this.logger.warn('# XSLT: ' + error.message + ' (ignored)');
+    }
+
+    return !error;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Chooses the prefix of an attribute in a namespace. The prefix of its
+   * name is kept unless the element binds it to another namespace. Failing
+   * that, a prefix that the element or else the stylesheet binds to the
+   * namespace is used, or a new one (ns0, ns1, ...) is made up.
+   * @method getAttributePrefix
+   * @instance
+   * @param {Node} transformNode - The instruction adding the attribute.
+   * @param {Node} outputNode - The element to add the attribute to.
+   * @param {string} prefix - The prefix of the name of the attribute ('' if
+   *   it has none).
+   * @param {string} namespaceURI - The namespace of the attribute.
+   * @returns {string}
+   */
+  getAttributePrefix (
+    transformNode,
+    outputNode,
+    prefix,
+    namespaceURI
+  ) {
+    if (namespaceURI === XML_NAMESPACE) {
+      return 'xml';
+    }
+
+    // The namespaces that the element binds its prefixes to
+    const bindings = {};
+    if (outputNode.prefix) {
+      bindings[outputNode.prefix] = outputNode.namespaceURI;
+    }
+    $$(outputNode.attributes).forEach((attribute) => {
+      if ((/^xmlns:/).test(attribute.nodeName)) {
+        bindings[attribute.localName] = attribute.nodeValue;
+      } else if (attribute.prefix && attribute.namespaceURI) {
+        bindings[attribute.prefix] = attribute.namespaceURI;
+      }
+    });
+    const isAvailable = (prefix) => prefix && prefix !== 'xml' && prefix !== 'xmlns' &&
+      (bindings[prefix] === undefined || bindings[prefix] === namespaceURI);
+
+    if (isAvailable(prefix)) {
+      return prefix;
+    }
+    const boundPrefix = Object.keys(bindings).find((prefix) => bindings[prefix] === namespaceURI) ||
+      Object.entries($$(transformNode).getNamespaces()).filter(([prefix, uri]) => uri === namespaceURI && isAvailable(prefix)).map(([prefix]) => prefix)[0];
+    if (boundPrefix) {
+      return boundPrefix;
+    }
+    let i = 0;
+    while (!isAvailable('ns' + i)) {
+      i++;
+    }
+
+    return 'ns' + i;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Retrieves the index for a named key over a source document. The index
+   * is built the first time it is requested and is then cached for the
+   * remainder of the transformation.
+   * @method getKeyIndex
+   * @instance
+   * @param {Node} transformNode - A node of the transform document.
+   * @param {Document} documentNode - The source document to index.
+   * @param {string} name - The name of the key.
+   * @returns {Object} - A map of key values to arrays of nodes in document
+   *   order.
+   */
+  getKeyIndex (
+    transformNode,
+    documentNode,
+    name
+  ) {
+    if (!this.cfg._cache.keyIndexes) {
+      this.cfg._cache.keyIndexes = new Map();
+    }
+    if (!this.cfg._cache.keyIndexes.has(documentNode)) {
+      this.cfg._cache.keyIndexes.set(documentNode, {});
+    }
+
+    const documentIndexes = this.cfg._cache.keyIndexes.get(documentNode);
+    if (!documentIndexes[name]) {
+      const buildIndex = () => {
+        const index = {};
+        const keyNodes = this.getKeyNodes(transformNode.ownerDocument, name);
+        const addEntry = (value, node) => {
+          const nodes = index[value] = index[value] || [];
+          if (nodes[nodes.length - 1] !== node) {
+            nodes.push(node);
+          }
+        };
+        const visit = (node) => {
+          for (const keyNode of keyNodes) {
+            const match = $$(keyNode).getAttribute('match');
+            const use = $$(keyNode).getAttribute('use');
+            if (!match || !use || !this.compilePattern(keyNode, match).some((pattern) => pattern.matches(node, this))) {
+              continue;
+            }
+
+            const context = this.clone({ contextNode: node, contextPosition: 1, nodeList: [node], transformNode: keyNode });
+            let value;
+            try {
+              value = $$(node).select(use, context);
+            } catch (exception) {
+              throw this.locateXPathError(exception, keyNode, use);
+            }
+            if (value instanceof Array) {
+              value.forEach((valueNode) => {
+                addEntry((valueNode.nodeType === Node.ATTRIBUTE_NODE) ? valueNode.nodeValue : valueNode.textContent, node);
+              });
+            } else {
+              addEntry(String(value), node);
+            }
+          }
+
+          if (node.attributes) {
+            for (let i = 0; i < node.attributes.length; i++) {
+              if (!node.attributes[i].nodeName.startsWith('xmlns')) {
+                visit(node.attributes[i]);
+              }
+            }
+          }
+          for (let i = 0; i < (node.childNodes || []).length; i++) {
+            visit(node.childNodes[i]);
+          }
+        };
+
+        visit(documentNode);
+        return index;
+      };
+
+      documentIndexes[name] = (this.cfg.log.debugMode) ? Utils.measure('key index', buildIndex, this.cfg.measures) : buildIndex();
+      this.debug('- built index for key ' + name);
+    }
+
+    return documentIndexes[name];
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -254,13 +1259,114 @@ var XsltContext = class {
    * @param {Node} transformNode - The node being evaluated.
    * @param {string} value - The text containing items to resolve.
    * @returns {string}
+   * @throws {XsltError} - An error in parsing the attribute value template
+   *   (see parseValueTemplate) or in evaluating an expression.
    */
-  resolveExpression (
+  async resolveExpression (
+    transformNode,
+    value
+  ) {
+    if (this.cfg.recover) {
+      return this.resolveExpressionLeniently(transformNode, value);
+    }
+
+    let text = '';
+    for (const part of this.parseValueTemplate(transformNode, value)) {
+      if (typeof part === 'string') {
+        text += part;
+      } else {
+        const context = this.clone({ transformNode: transformNode });
+        text += this.processWhitespace(await this.evaluate(transformNode, part.xPath, context, XPath.XPathResult.STRING_TYPE));
+      }
+    }
+
+    return text;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Splits an attribute value template into its text and its expressions.
+   * Braces are written literally by doubling them, as {{ and }}, and an
+   * expression ends at the first closing brace that is not in a string.
+   * @method parseValueTemplate
+   * @instance
+   * @param {Node} transformNode - The node with the attribute value template.
+   * @param {string} value - The attribute value template.
+   * @returns {Array} - The text (as strings) and the expressions (as objects
+   *   with the xPath) in order.
+   * @throws {XsltError} - An error with the code XTSE0350 or XTSE0370 if
+   *   the braces do not match.
+   */
+  parseValueTemplate (
+    transformNode,
+    value
+  ) {
+    const parts = [];
+    let text = '';
+    let position = 0;
+    while (position < value.length) {
+      const character = value.charAt(position);
+      if (character === '}') {
+        if (value.charAt(position + 1) !== '}') {
+          throw this.createError('XTSE0370', `unescaped "}" in attribute value template "${value}"`, transformNode);
+        }
+        text += '}';
+        position += 2;
+      } else if (character !== '{') {
+        text += character;
+        position++;
+      } else if (value.charAt(position + 1) === '{') {
+        text += '{';
+        position += 2;
+      } else {
+        let end = position + 1;
+        while (end < value.length && value.charAt(end) !== '}') {
+          const quote = value.charAt(end);
+          end = (quote === '"' || quote === "'") ? value.indexOf(quote, end + 1) + 1 : end + 1;
+          if (end === 0) {
+            end = value.length;
+          }
+        }
+        if (end >= value.length) {
+          throw this.createError('XTSE0350', `unmatched "{" in attribute value template "${value}"`, transformNode);
+        }
+
+        if (text) {
+          parts.push(text);
+          text = '';
+        }
+        parts.push({ xPath: value.substring(position + 1, end) });
+        position = end + 1;
+      }
+    }
+    if (text) {
+      parts.push(text);
+    }
+
+    return parts;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Evaluates an attribute value template as was done before attribute
+   * value templates were parsed (see resolveExpression), for the recover
+   * option: only the braces that look like they hold an XPath expression
+   * are evaluated, and those that cannot be are left as they are.
+   * @method resolveExpressionLeniently
+   * @instance
+   * @param {Node} transformNode - The node being evaluated.
+   * @param {string} value - The text containing items to resolve.
+   * @returns {string}
+   */
+  async resolveExpressionLeniently (
     transformNode,
     value
   ) {
     while ((/\{[^}]+\}/).test(value)) {
       const match = value.match(/^(.*?)\{([^{}]+)\}(.*)$/);
+      if (!match) {
+        break;
+      }
       const leftSide = match[1];
       const xPath = match[2];
       const rightSide = match[3];
@@ -268,8 +1374,10 @@ var XsltContext = class {
       if ((/^[.$]/).test(xPath) || (/[:\/\(]/).test(xPath)) {
         try {
           const context = this.clone({ transformNode: transformNode });
-          value = leftSide + this.processWhitespace($$(this.contextNode).select(xPath, context, { type: XPath.XPathResult.STRING_TYPE })) + rightSide;
+          const text = await this.evaluate(transformNode, xPath, context, XPath.XPathResult.STRING_TYPE);
+          value = leftSide + this.processWhitespace(text) + rightSide;
         } catch (exception) {
+          this.logger.warn('# XSLT: ' + exception.message + ' (using the expression as text)');
           value = leftSide + '[[[' + xPath + ']]]' + rightSide;
         }
       } else {
@@ -380,105 +1488,136 @@ var XsltContext = class {
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
-   * Orders the current node list in the input context according to the
-   * sort order specified by xsl:sort child nodes of the current
-   * template node. This happens before the operation specified by the
-   * current template node is executed.
+   * Orders a node list according to the sort order specified by the
+   * xsl:sort child nodes of the current template node. This happens before
+   * the operation specified by the current template node is executed. The
+   * attributes of xsl:sort are attribute value templates evaluated against
+   * this context, while each sort key is evaluated with the node being
+   * sorted as the context node.
    * @method sortNodes
    * @instance
    * @param {Node} transformNode - The node being evaluated.
-   * @todo (meschkat) Case-order is not implemented.
+   * @param {Array} nodeList - The nodes to sort.
+   * @returns {Array} - The sorted nodes (the original list when there is
+   *   no xsl:sort).
+   * @see [XSLT], section 10.
    */
-  sortNodes (
-    transformNode
+  async sortNodes (
+    transformNode,
+    nodeList
   ) {
     const sort = [];
 
-    $$(transformNode.childNodes).forEach((childTransformNode) => {
+    for (const childTransformNode of Array.from(transformNode.childNodes)) {
       if ($$(childTransformNode).isA('xsl:sort')) {
-        const select = $$(childTransformNode).getAttribute('select');
-        const type = $$(childTransformNode).getAttribute('data-type') || 'text';
-        const order = $$(childTransformNode).getAttribute('order') || 'ascending';
-        sort.push({ select, type, order });
+        const getAttribute = async (name, defaultValue) => {
+          const valueExpr = $$(childTransformNode).getAttribute(name);
+          return (valueExpr) ? (await this.resolveExpression(childTransformNode, valueExpr)).trim() : defaultValue;
+        };
+        const select = $$(childTransformNode).getAttribute('select') || '.';
+        const type = await getAttribute('data-type', 'text');
+        const order = await getAttribute('order', 'ascending');
+        const caseOrder = await getAttribute('case-order', null);
+        const lang = await getAttribute('lang', undefined);
+
+        let collator;
+        try {
+          collator = new Intl.Collator(lang, {
+            caseFirst: (caseOrder === 'upper-first') ? 'upper' : (caseOrder === 'lower-first') ? 'lower' : 'false'
+          });
+        } catch (exception) {
+          this.logger.warn('# XSLT: unsupported sort language "' + lang + '", using the default collation');
+          collator = new Intl.Collator();
+        }
+
+        sort.push({ transformNode: childTransformNode, select, type, order, collator });
       }
-    });
+    }
 
     if (sort.length === 0) {
-      return;
+      return nodeList;
     }
 
     const sortList = [];
-    this.nodeList.forEach((contextNode, i) => {
-      /* const context = */ this.clone({ contextNode, contextPosition: 1, nodeList: [contextNode] });
+    for (let i = 0; i < nodeList.length; i++) {
+      const node = nodeList[i];
       const sortItem = {
-        contextNode,
+        node,
+        position: i,
         key: []
       };
 
-      sort.forEach((sortItem) => {
-        const context = this.clone({ transformNode: transformNode });
-        const contextNodes = $$(context.contextNode).select(sortItem.select, context);
-
-        let eValue;
-        if (sortItem.type === 'text') {
-          let value = '';
-          contextNodes.forEach((contextNode) => {
-            value += contextNode.textContent;
-          });
-          eValue = String(value);
-        } else if (sortItem.type === 'number') {
-          let value = '';
-          contextNodes.forEach((contextNode) => {
-            value += contextNode.textContent;
-          });
-          eValue = Number(value);
-        }
-
-        sortItem.key.push({
-          value: eValue,
-          order: sortItem.order
-        });
-      });
+      for (const sortKey of sort) {
+        const context = this.clone({ contextNode: node, contextPosition: i + 1, nodeList: nodeList, transformNode: sortKey.transformNode });
+        const value = await this.evaluate(sortKey.transformNode, sortKey.select, context, XPath.XPathResult.STRING_TYPE);
 
-      // Make the sort stable by adding a lowest priority sort by
-      // id. This is very convenient and furthermore required by the
-      // spec ([XSLT] - Section 10 Sorting).
-      sortItem.key.push({
-        value: i,
-        order: 'ascending'
-      });
+        sortItem.key.push((sortKey.type === 'number')
+          ? ((/^\s*-?(\d+(\.\d*)?|\.\d+)\s*$/).test(value) ? Number(value) : NaN)
+          : value);
+      }
 
       sortList.push(sortItem);
-    });
-
-    // Sorts by all order criteria defined. According to the JavaScript
-    // spec ([ECMA] Section 11.8.5), the compare operators compare strings
-    // as strings and numbers as numbers.
-    //
-    // NOTE: In browsers which do not follow the spec, this breaks only in
-    // the case that numbers should be sorted as strings, which is very
-    // uncommon.
+    }
 
+    // Compares the sort keys in order. NaN precedes all numbers in
+    // ascending order. The position in the original node list is used
+    // as the final sort key to make the sort stable, as is required by
+    // the spec ([XSLT] - Section 10 Sorting).
     sortList.sort((v1, v2) => {
-      // NOTE: Sort key vectors of different length never occur in XSLT.sort().
-      for (let i = 0; i < v1.key.length; ++i) {
-        const o = v1.key[i].order === 'descending' ? -1 : 1;
-        if (v1.key[i].value > v2.key[i].value) {
-          return +1 * o;
-        } else if (v1.key[i].value < v2.key[i].value) {
-          return -1 * o;
+      for (let i = 0; i < sort.length; ++i) {
+        const value1 = v1.key[i];
+        const value2 = v2.key[i];
+
+        let result;
+        if (sort[i].type === 'number') {
+          if (isNaN(value1) || isNaN(value2)) {
+            result = (isNaN(value1) ? 0 : 1) - (isNaN(value2) ? 0 : 1);
+          } else {
+            result = value1 - value2;
+          }
+        } else {
+          result = sort[i].collator.compare(value1, value2);
+        }
+
+        if (result !== 0) {
+          return (sort[i].order === 'descending') ? -result : result;
         }
       }
-      return 0;
+      return v1.position - v2.position;
     });
 
-    const contextNodes = [];
-    sortList.forEach((sortItem) => {
-      contextNodes.push(sortItem.node);
-    });
+    return sortList.map((sortItem) => sortItem.node);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Expands the QName of a variable or parameter to the name it is stored
+   * under: its local name if it has no prefix, otherwise {namespaceURI}local
+   * with the prefix resolved against the transform node.
+   * @method expandVariableName
+   * @instance
+   * @param {Node} transformNode - The node declaring or referencing the
+   *   variable.
+   * @param {string} qName - The name of the variable.
+   * @returns {string}
+   */
+  expandVariableName (
+    transformNode,
+    qName
+  ) {
+    if (!(/:/).test(qName)) {
+      return qName;
+    }
+
+    const prefix = qName.replace(/:.*$/, '');
+    const namespaceURI = new XPathNamespaceResolver(transformNode).getNamespace(prefix);
+    if (!namespaceURI) {
+      const error = new Error(`Undeclared namespace prefix in variable name: ${qName}`);
+      error.code = 'XTSE0280';
+      throw error;
+    }
 
-    this.nodeList = contextNodes;
-    this.setNode(0);
+    return '{' + namespaceURI + '}' + qName.replace(/^.*:/, '');
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -493,17 +1632,6 @@ var XsltContext = class {
     name,
     value
   ) {
-    if (typeof value === 'string') {
-      if (value === 'true') {
-        value = Boolean(true);
-      } else if (value === 'false') {
-        value = Boolean(false);
-      } else if (/^\d+(\.\d*)?$/.test(value)) {
-        value = Number(value);
-      } else {
-        value = String(value);
-      }
-    }
     this.variables[name] = value;
   }
 
@@ -552,53 +1680,65 @@ var XsltContext = class {
   /*
    * Evaluates a variable or parameter and set it in the current input
    * context. Used by implementation of <xsl:variable>, <xsl:param?, and
-   * <xsl:with-param>.
+   * <xsl:with-param>. The value keeps the type it is evaluated to, unless
+   * an as attribute declares the type it is to be converted to.
    * @method processVariable
    * @instance
    * @param {Node} transformNode - The node being evaluated.
    * @param {Object} [options={}] - Options to configure out the variable
-   *   is stored. Use .override to allow an existing variable to be overridden
-   *   and use .asText to force the variable to be store as a string. Use
-   *   .value to send a value that will take precedence over the node value.
+   *   is stored. Use .override to allow an existing variable to be overridden.
+   *   Use .value to send a value that will take precedence over the node
+   *   value.
    */
   async processVariable (
     transformNode,
     options = {}
   ) {
     const override = options.override || false;
-    const asText = options.asText || false;
-    const name = $$(transformNode).getAttribute('name');
+    const name = this.expandVariableName(transformNode, $$(transformNode).getAttribute('name'));
     const select = $$(transformNode).getAttribute('select');
 
-    const prevDebugMode = XsltLog.debugMode;
+    const prevDebugMode = this.cfg.log.debugMode;
     try {
       if (transformNode.getAttribute('debug') === 'true') {
-        XsltLog.debugMode = true;
+        this.cfg.log.debugMode = true;
         debugger;
       }
 
-      let value = options.value || null;
+      const suppliedValue = (override) ? null : this.getVariable(name, { localOnly: true });
+      let value = (suppliedValue !== null) ? suppliedValue : options.value || null;
       if (value === null) {
         if (transformNode.childNodes.length > 0) {
-          const fragmentNode = transformNode.ownerDocument.createDocumentFragment();
+          // A result tree fragment is built in a temporary document of its
+          // own, so that neither the input nor the transform is touched
+          const documentNode = new DOMImplementation().createDocument(null, null, null);
+          const fragmentNode = documentNode.createDocumentFragment();
           await this.processChildNodes(transformNode, fragmentNode);
           value = fragmentNode;
         } else if (select) {
           value = await this.xsltSelect(transformNode, select);
-        } else if (this.variables[name] !== undefined) {
-          value = this.variables[name];
-        } else {
-          value = '';
+        } else if (transformNode.hasAttribute('as')) {
+          value = []; // The empty sequence
         }
       }
+      if (value == null) {
+        value = '';
+      }
 
-      if (value != null && (override || !this.getVariable(name, { localOnly: true }))) {
-        value = (asText && (value instanceof Array || value.nodeType !== undefined)) ? $$(value).textContent : value;
-        value = (typeof value === 'string') ? value.replace(/\s+/g, ' ') : value;
-        this.setVariable(name, value);
+      if (transformNode.hasAttribute('as')) {
+        try {
+          value = this.compileSequenceType(transformNode).convert(value);
+        } catch (exception) {
+          if (exception.code === 'XPTY0004') {
+            exception.code = ($$(transformNode).isA('xsl:variable')) ? 'XTTE0570' : 'XTTE0590';
+          }
+          throw this.locateError(exception, transformNode, `Invalid value for $${name}: `);
+        }
       }
+
+      this.setVariable(name, value);
     } finally {
-      XsltLog.debugMode = prevDebugMode;
+      this.cfg.log.debugMode = prevDebugMode;
     }
   }
 
@@ -673,6 +1813,9 @@ var XsltContext = class {
   async resolveIncludes (
     transformNode
   ) {
+    const mainModule = { imports: [] };
+    this.markModule(transformNode, mainModule, [this.transformURL]);
+
     for (let i = 0; i < transformNode.childNodes.length; i++) {
       const childTransformNode = transformNode.childNodes[i];
       if (childTransformNode.nodeType === Node.ELEMENT_NODE) {
@@ -681,8 +1824,568 @@ var XsltContext = class {
         } else if ($$(childTransformNode).isA('xsl:import')) {
           await this.xsltImport(childTransformNode);
         }
+        if (childTransformNode.parentNode !== transformNode) {
+          i--; // The node was replaced, so look again at the same position
+        }
+      }
+    }
+
+    this.rankModules(mainModule);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Numbers the import precedence of the modules in an import tree, visiting
+   * the imports of each module in order before the module itself: a module
+   * has a higher precedence than the modules it imports, and a later import
+   * a higher precedence than an earlier one. The modules imported, directly
+   * or indirectly, by a module are thus those with a precedence from its
+   * lowestPrecedence up to, but not including, its own.
+   * @method rankModules
+   * @instance
+   * @param {Object} module - The module at the root of the tree, as
+   *   { imports }.
+   * @param {number} [precedence=0] - The lowest precedence to number from.
+   * @returns {number} - The precedence following that of the module.
+   */
+  rankModules (
+    module,
+    precedence = 0
+  ) {
+    module.lowestPrecedence = precedence;
+    module.imports.forEach((importedModule) => {
+      precedence = this.rankModules(importedModule, precedence);
+    });
+    module.precedence = precedence;
+
+    return precedence + 1;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Compiles the transform so that the work that does not depend on the
+   * input is done only once, however many times the transform is then
+   * applied. The includes and imports are resolved, the output,
+   * decimal-format, strip-space, and preserve-space declarations are
+   * processed, the template rules, named templates, keys, and the like
+   * are indexed (see compileIndexes), the global variables and parameters
+   * are collected, and the select, test, use, and value expressions and
+   * the as sequence types are parsed. The results are kept in
+   * cfg._compiled, apart from the declarations, which are kept in cfg.
+   * @method compile
+   * @instance
+   * @param {Node} transformNode - The <xsl:stylesheet> or <xsl:transform>
+   *   element. Any other element is a literal result element used as the
+   *   transform, for which there is only the indexing to do.
+   */
+  async compile (
+    transformNode
+  ) {
+    const compiled = this.cfg._compiled;
+    compiled.globals = [];
+    compiled.expressions = new Map();
+
+    // The modules as they were written, before any includes are merged in,
+    // are what document('') returns
+    const moduleDocument = transformNode.ownerDocument.cloneNode(true);
+    moduleDocument._documentURI = this.transformURL;
+    compiled.moduleDocuments = new Map([[this.transformURL, moduleDocument]]);
+
+    if (!$$(transformNode).isA('xsl:stylesheet') && !$$(transformNode).isA('xsl:transform')) {
+      this.compileIndexes(transformNode);
+      return;
+    }
+
+    this.logTransform(transformNode);
+    this.cfg.indent++;
+    try {
+      // Resolve all the imports and includes
+      await this.resolveIncludes(transformNode);
+      this.debug('- all includes/imports processed');
+
+      // All the static errors are reported together
+      const errors = new XsltValidator(this).validate(transformNode);
+      if (errors.length > 0) {
+        throw XsltError.combine(errors);
+      }
+      this.debug('- transform validated');
+
+      // The declarations are processed in increasing order of import
+      // precedence, so that those of a higher precedence override (or, for
+      // <xsl:output>, are merged over) those of a lower one. Of the global
+      // variables and parameters with the same name, only the one with the
+      // highest precedence is kept. Keys with the same name, however, are
+      // combined whatever their precedence.
+      const declarations = Array.from(transformNode.childNodes)
+        .filter((childTransformNode) => childTransformNode.nodeType === Node.ELEMENT_NODE)
+        .sort((transformNode1, transformNode2) => this.compareImportPrecedence(transformNode1, transformNode2));
+      const globalsByName = new Map();
+      const modes = ['_default'];
+      declarations.forEach((childTransformNode) => {
+        if ($$(childTransformNode).isA('xsl:output')) {
+          this.xsltOutput(childTransformNode);
+        } else if ($$(childTransformNode).isA('xsl:decimal-format')) {
+          this.xsltDecimalFormat(childTransformNode);
+        } else if ($$(childTransformNode).isA('xsl:strip-space')) {
+          this.xsltStripSpace(childTransformNode);
+        } else if ($$(childTransformNode).isA('xsl:preserve-space')) {
+          this.xsltPreserveSpace(childTransformNode);
+        } else if ($$(childTransformNode).isA('xsl:param') || $$(childTransformNode).isA('xsl:variable')) {
+          const name = this.expandVariableName(childTransformNode, childTransformNode.getAttribute('name'));
+          globalsByName.delete(name);
+          globalsByName.set(name, childTransformNode);
+        } else if ($$(childTransformNode).isA('xsl:key')) {
+          this.compilePattern(childTransformNode, childTransformNode.getAttribute('match'));
+        } else if ($$(childTransformNode).isA('xsl:template') && childTransformNode.hasAttribute('mode')) {
+          const mode = childTransformNode.getAttribute('mode');
+          if (!modes.includes(mode)) {
+            modes.push(mode);
+          }
+        }
+      });
+      compiled.globals = Array.from(globalsByName.values());
+
+      // The sequence types of as attributes are parsed, reporting any errors,
+      // but expressions that do not parse are left for the processing to report
+      const elements = transformNode.getElementsByTagNameNS('http://www.w3.org/1999/XSL/Transform', '*');
+      for (let i = 0; i < elements.length; i++) {
+        if (elements[i].hasAttribute('as') && ['variable', 'param', 'with-param'].includes(elements[i].localName)) {
+          this.compileSequenceType(elements[i]);
+        }
+        ['select', 'test', 'use', 'value'].forEach((attributeName) => {
+          const expression = elements[i].getAttribute(attributeName);
+          if (expression && !compiled.expressions.has(expression)) {
+            try {
+              compiled.expressions.set(expression, XDomHelper.parse(expression));
+            } catch (exception) {}
+          }
+        });
+      }
+      this.debug('- ' + compiled.expressions.size + ' expressions parsed');
+
+      this.compileIndexes(transformNode, modes);
+    } finally {
+      this.cfg.indent--;
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Builds the indexes of the compiled stylesheet: the template rules of
+   * each mode that has template rules or is applied, the named templates,
+   * keys, attribute sets, and namespace aliases, and the output of each
+   * literal result element. Nothing is added to cfg._compiled once the
+   * transform has been compiled, so that it can be frozen and shared by
+   * concurrent transformations.
+   * @method compileIndexes
+   * @instance
+   * @param {Node} transformNode - The <xsl:stylesheet> or <xsl:transform>
+   *   element, or the literal result element used as the transform.
+   * @param {Array} [modes=['_default']] - The modes of the template rules.
+   */
+  compileIndexes (
+    transformNode,
+    modes = ['_default']
+  ) {
+    const transformDocument = transformNode.ownerDocument;
+    const elements = transformNode.getElementsByTagNameNS(XSLT_NAMESPACE, 'apply-templates');
+    for (let i = 0; i < elements.length; i++) {
+      const mode = elements[i].getAttribute('mode');
+      if (mode && !modes.includes(mode)) {
+        modes.push(mode);
+      }
+    }
+    modes.forEach((mode) => this.getTemplateRules(transformDocument, mode));
+    this.getTemplateNode(transformDocument, null); // Indexes the named templates
+    this.getKeyNodes(transformDocument, null); // Indexes the keys
+    this.getAttributeSetNodes(transformDocument, null); // Indexes the attribute sets
+    this.getNamespaceAlias(transformDocument, null); // Indexes the namespace aliases
+
+    // The literal result elements are the elements outside the XSLT
+    // namespace within the declarations -- top-level elements of data and
+    // their content are not
+    const declarationNodes = (transformNode.namespaceURI === XSLT_NAMESPACE)
+      ? Array.from(transformNode.childNodes).filter((childNode) => childNode.namespaceURI === XSLT_NAMESPACE)
+      : [transformNode];
+    declarationNodes.forEach((declarationNode) => {
+      [declarationNode, ...Array.from(declarationNode.getElementsByTagName('*'))].forEach((node) => {
+        if (node.namespaceURI !== XSLT_NAMESPACE) {
+          this.compileLiteralResultElement(node);
+        }
+      });
+    });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Records the module in the import tree, the URL, and the base URI of a
+   * stylesheet module on each of its top-level elements, so that the import
+   * precedence, the origin, and the base URI can still be determined after
+   * the module has been merged into the importing stylesheet. The URLs of
+   * the modules including or importing the module are recorded as well, to
+   * detect a module that includes itself. Elements that have already been
+   * marked are left as they are.
+   * @method markModule
+   * @instance
+   * @param {Node} moduleNode - The <xsl:stylesheet> element of the module.
+   * @param {Object} module - The module in the import tree (see
+   *   rankModules).
+   * @param {Array} moduleURLs - The URL the module was loaded from, preceded
+   *   by those of the modules including or importing it.
+   * @see compareImportPrecedence
+   */
+  markModule (
+    moduleNode,
+    module,
+    moduleURLs
+  ) {
+    const moduleURL = moduleURLs[moduleURLs.length - 1];
+    moduleNode._baseURI = moduleURL;
+    const baseURI = this.getBaseURI(moduleNode);
+    $$(moduleNode.childNodes).forEach((childTransformNode) => {
+      if (childTransformNode.nodeType === Node.ELEMENT_NODE && childTransformNode._module === undefined) {
+        childTransformNode._module = module;
+        childTransformNode._moduleURL = moduleURL;
+        childTransformNode._moduleURLs = moduleURLs;
+        childTransformNode._baseURI = baseURI;
+      }
+    });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Copies the namespace declarations of a module, the prefixes it excludes
+   * from the result or lists as extension prefixes, and its version, to its
+   * top-level elements, so that they still apply once the elements are
+   * merged into the including stylesheet.
+   * @method inheritModuleAttributes
+   * @instance
+   * @param {Node} moduleNode - The <xsl:stylesheet> element of the module.
+   */
+  inheritModuleAttributes (
+    moduleNode
+  ) {
+    $$(moduleNode.childNodes).forEach((childTransformNode) => {
+      if (childTransformNode.nodeType !== Node.ELEMENT_NODE) {
+        return;
+      }
+
+      const isXslt = childTransformNode.namespaceURI === XSLT_NAMESPACE;
+      $$(moduleNode.attributes).forEach((attribute) => {
+        if ((/^xmlns(:|$)/).test(attribute.nodeName)) {
+          if (!childTransformNode.hasAttribute(attribute.nodeName)) {
+            childTransformNode.setAttributeNS(XMLNS_NAMESPACE, attribute.nodeName, attribute.nodeValue);
+          }
+        } else if (!attribute.namespaceURI && ['exclude-result-prefixes', 'extension-element-prefixes'].includes(attribute.nodeName)) {
+          const prefixes = ((isXslt) ? childTransformNode.getAttribute(attribute.nodeName) : childTransformNode.getAttributeNS(XSLT_NAMESPACE, attribute.nodeName)) || '';
+          const value = (attribute.nodeValue + ' ' + prefixes).trim();
+          if (isXslt) {
+            childTransformNode.setAttribute(attribute.nodeName, value);
+          } else {
+            childTransformNode.setAttributeNS(XSLT_NAMESPACE, 'xsl:' + attribute.nodeName, value);
+          }
+        } else if (!attribute.namespaceURI && attribute.nodeName === 'version' && !$$(childTransformNode).isA('xsl:output')) {
+          // (The version of <xsl:output> is that of the output)
+          if (isXslt && !childTransformNode.hasAttribute('version')) {
+            childTransformNode.setAttribute('version', attribute.nodeValue);
+          } else if (!isXslt && !childTransformNode.hasAttributeNS(XSLT_NAMESPACE, 'version')) {
+            childTransformNode.setAttributeNS(XSLT_NAMESPACE, 'xsl:version', attribute.nodeValue);
+          }
+        }
+      });
+    });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Describes where a node is in the transform, for use in messages and
+   * errors.
+   * @method getLocation
+   * @instance
+   * @param {Node} transformNode - The node in the transform.
+   * @returns {Object} - The transformURL of the module containing the node
+   *   (or null if unknown), the path to the node, and its line and column
+   *   (or null if unknown).
+   */
+  getLocation (
+    transformNode
+  ) {
+    let moduleURL = transformNode._systemId;
+    for (let node = transformNode; node && moduleURL == null; node = node.parentNode) {
+      moduleURL = node._moduleURL;
+    }
+
+    return {
+      transformURL: moduleURL || this.transformURL,
+      path: Utils.getPath(transformNode),
+      line: Utils.getLine(transformNode),
+      column: Utils.getColumn(transformNode)
+    };
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines the system ID of a node: the URI of the document it was
+   * parsed from, which, unlike its base URI, xml:base does not change. A
+   * node in the transform has that of its stylesheet module (see
+   * Utils.setSystemId), and a node in any other document the URL the
+   * document was loaded from, or the inputURL.
+   * @method getSystemId
+   * @instance
+   * @param {Node} node - The node.
+   * @returns {string|null}
+   */
+  getSystemId (
+    node
+  ) {
+    if (node._systemId !== undefined) {
+      return node._systemId;
+    }
+
+    const documentNode = (node.nodeType === Node.DOCUMENT_NODE) ? node : node.ownerDocument;
+    return (documentNode && documentNode._documentURI !== undefined) ? documentNode._documentURI : this.inputURL;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines the base URI of a node: that of the stylesheet module for a
+   * node in the transform (see markModule), or the URL a document was
+   * loaded from, with any xml:base attributes of the node and its ancestors
+   * resolved against it. Any other document, such as the input document,
+   * has the inputURL.
+   * @method getBaseURI
+   * @instance
+   * @param {Node} node - The node.
+   * @returns {string|null}
+   */
+  getBaseURI (
+    node
+  ) {
+    const xmlBases = [];
+    let baseURI;
+    for (let ancestorNode = node; ancestorNode && baseURI === undefined; ancestorNode = ancestorNode.parentNode || ancestorNode.ownerElement) {
+      if (ancestorNode.nodeType === Node.ELEMENT_NODE && ancestorNode.hasAttributeNS(XML_NAMESPACE, 'base')) {
+        xmlBases.unshift(ancestorNode.getAttributeNS(XML_NAMESPACE, 'base'));
+      }
+      baseURI = ancestorNode._baseURI;
+    }
+    if (baseURI === undefined) {
+      const documentNode = (node.nodeType === Node.DOCUMENT_NODE) ? node : node.ownerDocument;
+      baseURI = (documentNode && documentNode._documentURI !== undefined) ? documentNode._documentURI : this.inputURL;
+    }
+
+    return xmlBases.reduce((uri, xmlBase) => Utils.resolveURI(xmlBase, uri), baseURI || null);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the document that a URI refers to, for document(). A stylesheet
+   * module is its own document, as it was before any includes were merged
+   * in. Any other document must already have been loaded by loadDocument()
+   * -- if it has not, an error with the pendingDocument to load is thrown,
+   * which whileLoading() catches.
+   * @method getDocument
+   * @instance
+   * @param {string} href - The URI reference, which may be relative.
+   * @param {string} [baseURI=null] - The base URI to resolve it against.
+   * @returns {Document|null} - The document, or null if it failed to load.
+   */
+  getDocument (
+    href,
+    baseURI = null
+  ) {
+    const uri = href.trim();
+    const url = Utils.resolveURI(uri, baseURI).replace(/#.*$/, '');
+    if (this.cfg._compiled.moduleDocuments && this.cfg._compiled.moduleDocuments.has(url || baseURI)) {
+      return this.cfg._compiled.moduleDocuments.get(url || baseURI);
+    }
+
+    if (!this.cfg._cache.documents || this.cfg._cache.documents[url] === undefined) {
+      const error = new Error(`document not loaded: ${url}`);
+      error.pendingDocument = { href: uri, baseURI };
+      throw error;
+    }
+
+    return this.cfg._cache.documents[url];
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Runs a synchronous evaluation, such as an XPath expression, loading
+   * the documents it requests with document() as they are asked for. The
+   * evaluation is repeated until every document it needs has been loaded
+   * -- and every global variable it refers to has been evaluated (see
+   * evaluateGlobal). The results of the custom functions called are recorded (see
+   * replayCall), so a repeated evaluation does not call them again.
+   * @method whileLoading
+   * @instance
+   * @param {Function} callback - The evaluation.
+   * @returns - The value returned by the callback.
+   */
+  async whileLoading (
+    callback
+  ) {
+    const outerCalls = this.cfg._cache.calls;
+    const calls = { results: [], index: 0 };
+    try {
+      for (;;) {
+        calls.index = 0;
+        this.cfg._cache.calls = calls;
+        try {
+          return callback();
+        } catch (exception) {
+          if (exception.pendingDocument) {
+            this.cfg._cache.calls = outerCalls;
+            await this.loadDocument(exception.pendingDocument.href, exception.pendingDocument.baseURI);
+          } else if (exception.pendingGlobal) {
+            this.cfg._cache.calls = outerCalls;
+            await this.evaluateGlobal(exception.pendingGlobal);
+          } else {
+            throw exception;
+          }
+        }
       }
+    } finally {
+      this.cfg._cache.calls = outerCalls;
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Evaluates a global variable or parameter that has not been evaluated
+   * yet, in the context of the transform, where only the global variables
+   * and parameters are in scope.
+   * @method evaluateGlobal
+   * @instance
+   * @param {string} name - The expanded name of the variable.
+   * @throws {XsltError} - An error with the code XTDE0640 if the variable
+   *   refers to itself, directly or through other global variables.
+   */
+  async evaluateGlobal (
+    name
+  ) {
+    const globals = this.cfg._cache.globals;
+    const globalTransformNode = globals.get(name);
+    if (!globalTransformNode) {
+      return; // Already evaluated
+    }
+
+    const evaluating = this.cfg._cache.evaluatingGlobals = this.cfg._cache.evaluatingGlobals || new Set();
+    if (evaluating.has(name)) {
+      throw this.createError('XTDE0640', `Circular reference to the global variable $${name}`, globalTransformNode);
+    }
+
+    let globalContext = this;
+    while (globalContext.parent) {
+      globalContext = globalContext.parent;
+    }
+
+    evaluating.add(name);
+    try {
+      if ($$(globalTransformNode).isA('xsl:param')) {
+        await globalContext.xsltParam(globalTransformNode, null);
+      } else {
+        await globalContext.xsltVariable(globalTransformNode, null);
+      }
+    } finally {
+      evaluating.delete(name);
+    }
+    globals.delete(name);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Calls a custom function from an evaluation run by whileLoading(). The
+   * calls are made in the same order each time the evaluation is repeated,
+   * so a call already made returns its recorded result instead of being
+   * made again -- a custom function may have side effects.
+   * @method replayCall
+   * @instance
+   * @param {Function} callback - The call.
+   * @returns - The value returned by the call.
+   */
+  replayCall (
+    callback
+  ) {
+    const calls = this.cfg._cache.calls;
+    if (!calls) {
+      return callback();
+    }
+
+    if (calls.index < calls.results.length) {
+      return calls.results[calls.index++];
+    }
+    const result = callback();
+    calls.results.push(result);
+    calls.index++;
+
+    return result;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Loads a document with the URI resolver (see FileUriResolver), parsing
+   * it if the resolver returns text. A document returned as a DOM document
+   * is copied, as the document is marked with the URL it was loaded from.
+   * @method resolveDocument
+   * @instance
+   * @param {string} href - The URI reference, which may be relative.
+   * @param {string} baseURI - The base URI to resolve it against.
+   * @param {string} url - The resolved URL of the document.
+   * @returns {Document|null}
+   */
+  async resolveDocument (
+    href,
+    baseURI,
+    url
+  ) {
+    const resolved = await this.cfg.uriResolver.resolve(href, baseURI);
+
+    let documentNode = null;
+    if (typeof resolved === 'string') {
+      documentNode = new DOMParser({ locator: true }).parseFromString(resolved, 'application/xml');
+    } else if (resolved) {
+      documentNode = resolved.cloneNode(true);
+    }
+    if (documentNode) {
+      documentNode._documentURI = url;
+    }
+
+    return documentNode;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Loads an XML document referenced by the transform. Each document is
+   * parsed only once per transformation so that node identity (and
+   * anything indexed against it) is preserved between uses. A document that
+   * cannot be loaded is reported and treated as empty.
+   * @method loadDocument
+   * @instance
+   * @param {string} href - The URI reference, which may be relative.
+   * @param {string} [baseURI=null] - The base URI to resolve it against.
+   * @returns {Document|null}
+   */
+  async loadDocument (
+    href,
+    baseURI = null
+  ) {
+    if (!this.cfg._cache.documents) {
+      this.cfg._cache.documents = {};
+    }
+
+    const url = Utils.resolveURI(href, baseURI).replace(/#.*$/, '');
+    if (this.cfg._cache.documents[url] === undefined) {
+      let documentNode = null;
+      try {
+        documentNode = await this.resolveDocument(href.replace(/#.*$/, ''), baseURI, url);
+      } catch (exception) {
+        this.logger.warn(`# XSLT: unable to load document ${url}: ${exception.message}`);
+      }
+      this.cfg._cache.documents[url] = documentNode;
     }
+
+    return this.cfg._cache.documents[url];
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -704,10 +2407,10 @@ var XsltContext = class {
     const localName = transformNode.localName;
     let returnValue = null;
 
-    const prevDebugMode = XsltLog.debugMode;
+    const prevDebugMode = this.cfg.log.debugMode;
     try {
       if (transformNode.getAttribute('debug') === 'true') {
-        XsltLog.debugMode = true;
+        this.cfg.log.debugMode = true;
         debugger;
       }
 
@@ -719,13 +2422,16 @@ var XsltContext = class {
         });
         if (this[functionName]) {
           const exec = async () => this[functionName](transformNode, outputNode, options);
-          returnValue = (XsltLog.debugMode) ? await Utils.measureAsync(functionName, exec) : await exec();
-        } else {
-          throw new Error(`not implemented: ${localName}`);
+          returnValue = (this.cfg.log.debugMode) ? await Utils.measureAsync(functionName, exec, this.cfg.measures) : await exec();
+        } else if (!await this.applyFallback(transformNode, outputNode)) {
+          const code = (this.isForwardsCompatible(transformNode)) ? 'XTDE1450' : 'XTSE0010';
+          throw this.createError(code, `not implemented: ${localName}`, transformNode);
         }
       }
+    } catch (exception) {
+      throw this.locateError(exception, transformNode);
     } finally {
-      XsltLog.debugMode = prevDebugMode;
+      this.cfg.log.debugMode = prevDebugMode;
     }
 
     return returnValue;
@@ -750,10 +2456,10 @@ var XsltContext = class {
     const localName = transformNode.localName;
     let returnValue = null;
 
-    const prevDebugMode = XsltLog.debugMode;
+    const prevDebugMode = this.cfg.log.debugMode;
     try {
       if (transformNode.getAttribute('debug') === 'true') {
-        XsltLog.debugMode = true;
+        this.cfg.log.debugMode = true;
         debugger;
       }
 
@@ -765,13 +2471,16 @@ var XsltContext = class {
         });
         if (this[functionName]) {
           const exec = async () => this[functionName](transformNode, outputNode, options);
-          returnValue = (XsltLog.debugMode) ? await Utils.measureAsync(functionName, exec) : await exec();
-        } else {
-          throw new Error(`not implemented: ${localName}`);
+          returnValue = (this.cfg.log.debugMode) ? await Utils.measureAsync(functionName, exec, this.cfg.measures) : await exec();
+        } else if (!await this.applyFallback(transformNode, outputNode)) {
+          const code = (this.isForwardsCompatible(transformNode)) ? 'XTDE1450' : 'XTSE0010';
+          throw this.createError(code, `not implemented: ${localName}`, transformNode);
         }
       }
+    } catch (exception) {
+      throw this.locateError(exception, transformNode);
     } finally {
-      XsltLog.debugMode = prevDebugMode;
+      this.cfg.log.debugMode = prevDebugMode;
     }
 
     return returnValue;
@@ -785,26 +2494,17 @@ var XsltContext = class {
    * @instance
    * @implements @match
    * @param {Node} transformNode - The node being evaluated.
-   * @param {string} match - The expression to evaluate
+   * @param {string} match - The pattern to test the context node against.
+   * @returns {boolean}
    */
   xsltMatch (
     transformNode,
-    match
-  ) {
-    const contextNode = this.contextNode.ownerElement || this.contextNode.parentNode || this.contextNode;
-
-    const context = this.clone({ contextNode, transformNode });
-    const matchNodes = $$(contextNode).select(match, context);
-    for (const matchNode of matchNodes) {
-      if (matchNode === this.contextNode) {
-        return true;
-      }
-      if (this.contextNode.nodeType === Node.DOCUMENT_NODE && this.contextNode.documentElement === matchNode) {
-        return true; // KLUDGE: This is a hack to make the root node match
-      }
-    }
+    match
+  ) {
+    const patterns = this.compilePattern(transformNode, match);
+    const test = () => patterns.some((pattern) => pattern.matches(this.contextNode, this));
 
-    return false;
+    return (this.cfg.log.debugMode) ? Utils.measure('pattern', test, this.cfg.measures) : test();
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -815,16 +2515,12 @@ var XsltContext = class {
    * @param {Node} transformNode - The node being evaluated.
    * @param {string} text - The expression to evaluate.
    */
-  xsltTest (
+  async xsltTest (
     transformNode,
     test
   ) {
-    let returnValue = false;
-
     const context = this.clone({ transformNode: transformNode });
-    returnValue = $$(this.contextNode).select(test, context, { type: XPath.XPathResult.BOOLEAN_TYPE });
-
-    return returnValue;
+    return this.evaluate(transformNode, test, context, XPath.XPathResult.BOOLEAN_TYPE);
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -841,103 +2537,11 @@ var XsltContext = class {
     select,
     type = undefined
   ) {
-    let contextNode = this.contextNode;
     let value = null;
 
-    // Simple variable values are returned and not evaluated
-    let extractVariable;
-    if (extractVariable = select.match(/^\s*\$([a-z0-9_]+)\s*$/i)) {
-      const variableName = extractVariable[1];
-      let variableValue = this.getVariable(variableName, { asText: true });
-      if (variableValue === null) {
-        variableValue = '$' + variableName;
-      }
-
-      return variableValue;
-    }
-
-    // This is to force an error so that a stack trace can be generated. This is a debugging aid.
-    // try { variable = 5; } catch (e) { console.log(e.stack); }
-
-    // NOTE: XPath evaluation only works properly when the fragment is
-    //       inserted into the document. So we do this temporarily.
-
-    // Resolve variables in the predicated select expression or after a slash
-    select = select.replace(/([[=,]\s*)\$([a-z0-9_]+)/ig, (match, pattern1, pattern2) => {
-      const variableName = pattern2;
-      let variableValue = this.getVariable(variableName, { asText: true });
-      if (variableValue === null) {
-        variableValue = '$' + variableName;
-      } else {
-        variableValue = /^(\$.*|\d[0-9.]*)$/.test(variableValue) ? variableValue : `"${variableValue.trim()}"`;
-      }
-      return pattern1 + variableValue;
-    });
-
-    // Resolve a variable at the start of the select expression (may include an XML fragment)
-    if ((/^\s*\$([^/]+)/).test(select)) {
-      let variableNode = this.contextNode;
-      const variableName = select.replace(/^\s*\$([^/]+).*$/, '$1');
-      const variableValue = this.getVariable(variableName);
-      if (!variableValue || variableValue instanceof Array && variableValue.length === 0) {
-        return null;
-      } else if (['string', 'number', 'boolean'].includes(typeof variable)) {
-        return variableValue;
-      } else if (variableValue instanceof Array && variableValue.length === 1 && variableValue[0].nodeType === Node.ATTRIBUTE_NODE) {
-        return variableValue[0].nodeValue;
-      } else {
-        variableNode = variableValue;
-      }
-      const hostNode = contextNode.parentNode || contextNode.ownerElement || contextNode.documentElement;
-      const documentNode = (contextNode.nodeType === Node.DOCUMENT_NODE) ? contextNode : contextNode.ownerDocument;
-      contextNode = documentNode.createElement('temp');
-      for (let i = 0; i < variableNode.childNodes.length; i++) {
-        const srcNode = variableNode.childNodes[i];
-        $$(contextNode).copyDeep(srcNode);
-      }
-      if (hostNode.nodeType !== Node.DOCUMENT_NODE) {
-        hostNode.appendChild(contextNode);
-      } else {
-        hostNode.documentElement.appendChild(contextNode);
-      }
-      select = select.replace(/^\s*\$[^/]*/, '.');
-    }
-
-    // Resolve variables in the select expression
-    select = select.replace(/([^$]*)\$([a-z0-9_]+)/ig, (match, pattern1, pattern2) => {
-      const variableName = pattern2;
-      let variableValue = this.getVariable(variableName, { asText: true });
-      if (variableValue === null) {
-        variableValue = '$' + variableName;
-      } else {
-        variableValue = !/[,(]\s*$/.test(pattern1) ? variableValue : `"${variableValue.trim()}"`;
-      }
-      return pattern1 + variableValue;
-    });
-
-    // Resolve a document() function, changing the context node if appropriate
-    if ((/^\s*document\((.*?)\)/).test(select)) {
-      const srcURL = select.replace(/^\s*document\((.*?)\).*$/, '$1').replace(/['"]/g, '').trim();
-      const srcXML = await Utils.fetch(srcURL);
-      if (srcXML) {
-        const domParser = new DOMParser();
-        const srcDoc = domParser.parseFromString(srcXML, 'application/xml');
-        const documentNode = (contextNode.nodeType === Node.DOCUMENT_NODE) ? contextNode : contextNode.ownerDocument;
-        const hostNode = contextNode.parentNode || contextNode.ownerElement || contextNode.documentElement;
-        contextNode = documentNode.createElement('temp');
-        for (let i = 0; i < srcDoc.childNodes.length; i++) {
-          const srcNode = srcDoc.childNodes[i];
-          $$(contextNode).copyDeep(srcNode);
-        }
-        if (hostNode.nodeType !== Node.DOCUMENT_NODE) {
-          hostNode.appendChild(contextNode);
-        } else {
-          hostNode.documentElement.appendChild(contextNode);
-        }
-        select = select.replace(/^\s*document\(.*?\)/, '.');
-      }
-    }
-
+    // Variable references are not substituted here, but are bound, with
+    // their values as they are, by the XPathVariableResolver. Any documents
+    // referred to with document() are loaded as the expression asks for them.
     try {
       if (!select) {
         value = '';
@@ -945,23 +2549,55 @@ var XsltContext = class {
         value = [this.contextNode];
       } else if (select === '..') {
         value = (this.contextNode.parentNode) ? [this.contextNode.parentNode] : [];
-      } else if (/[*:/@(]/.test(select)) {
-        const context = this.clone({ contextNode, transformNode });
-        value = $$(context.contextNode).select(select, context, { type: type });
       } else {
-        value = select; // select is not an xPath
+        const context = this.clone({ transformNode });
+        value = await this.evaluate(transformNode, select, context, type);
       }
-    } catch (error) {
-      value = select; // select was not an xPath
-    } finally {
-      if (contextNode.nodeName === 'temp' && contextNode.parentNode) {
-        contextNode.parentNode.removeChild(contextNode);
+    } catch (exception) {
+      if (!this.cfg.recover) {
+        throw exception;
       }
+      this.logger.warn('# XSLT: ' + exception.message + ' (using the expression as a string)');
+      value = select; // select was not an xPath
+    }
+
+    // The string value of a node-set is that of its first node
+    if (type === XPath.XPathResult.STRING_TYPE && value instanceof Array) {
+      value = (value.length > 0) ? $$(value[0]).textContent : '';
     }
 
     return value;
   }
 
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Applies the template rules of the modules imported by the module of the
+   * current template rule.
+   * @method xsltApplyImports
+   * @instance
+   * @implements <xsl:apply-imports>
+   * @param {Node} transformNode - The node being evaluated.
+   * @param {Node} outputNode - The document to apply the results to.
+   */
+  async xsltApplyImports (
+    transformNode,
+    outputNode
+  ) {
+    this.logTransform(transformNode);
+    this.cfg.indent++;
+    try {
+      await this.applyOtherTemplateRule(transformNode, outputNode, (otherRule, templateRule) => {
+        const module = templateRule.node._module;
+        const otherModule = otherRule.node._module;
+        return !!module && !!otherModule &&
+          otherModule.precedence >= module.lowestPrecedence &&
+          otherModule.precedence < module.precedence;
+      });
+    } finally {
+      this.cfg.indent--;
+    }
+  }
+
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
    * @method xsltApplyTemplates
@@ -975,17 +2611,14 @@ var XsltContext = class {
     outputNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
       const mode = $$(transformNode).getAttribute('mode') || undefined;
-      const modeTemplateNodes = this.getTemplateNodes(transformNode.ownerDocument, mode);
+      const modeTemplateRules = this.getTemplateRules(transformNode.ownerDocument, mode);
       this.debug('- ' +
-        ((modeTemplateNodes.length === 0) ? 'no' : modeTemplateNodes.length) + ' ' +
+        ((modeTemplateRules.length === 0) ? 'no' : modeTemplateRules.length) + ' ' +
         ((mode) ? mode + ' ' : '') +
         'templates to apply');
-      if (modeTemplateNodes.length === 0) {
-        return;
-      }
 
       const select = $$(transformNode).getAttribute('select');
       const contextNodes = ((select) ? await this.xsltSelect(transformNode, select) : this.contextNode.childNodes); // || [];
@@ -996,58 +2629,80 @@ var XsltContext = class {
         return;
       }
 
-      const sortContext = this.clone({ contextNode: contextNodes[0], transformNode: transformNode, contextPosition: 1, nodeList: contextNodes });
-      await sortContext.processChildNodes(transformNode, outputNode, { filter: ['xsl:with-param'], ignoreText: true });
-
-      for (let i = 0; i < sortContext.nodeList.length; i++) {
-        const contextNode = sortContext.nodeList[i];
-
-        let processed = false;
-        for (const element of modeTemplateNodes) {
-          const modeTemplateNode = element;
-
-          const context = sortContext.clone({
-            contextNode: contextNode,
-            contextPosition: i + 1,
-            variables: sortContext.variables,
-            mode: mode
-          });
-          if (await context.process(modeTemplateNode, outputNode)) {
-            processed = true;
-            break;
-          }
-        }
-
-        if (!processed && contextNode.nodeType === Node.TEXT_NODE) {
-          $$(outputNode).copy(contextNode);
-        }
+      const sortedNodes = await this.sortNodes(transformNode, Array.from(contextNodes));
+      const paramContext = this.clone({ transformNode: transformNode });
+      await paramContext.processChildNodes(transformNode, outputNode, { filter: ['xsl:with-param'], ignoreText: true });
+
+      for (let i = 0; i < sortedNodes.length; i++) {
+        const contextNode = sortedNodes[i];
+        const context = paramContext.clone({
+          contextNode: contextNode,
+          contextPosition: i + 1,
+          nodeList: sortedNodes,
+          variables: paramContext.variables,
+          mode: mode
+        });
+        await context.applyTemplateRule(transformNode, outputNode);
       }
-
-      sortContext.sortNodes(transformNode);
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
+   * Without a namespace attribute, the prefix of the name is resolved
+   * against the namespaces in scope in the stylesheet; an unprefixed name
+   * is in no namespace. An attribute in a namespace is given a prefix if its
+   * name has none (see getAttributePrefix).
    * @method xsltAttribute
    * @instance
    * @implements <xsl:attribute>
    * @param {Node} transformNode - The node being evaluated.
    * @param {Node} outputNode - The document to apply the results to.
+   * @throws {XsltError} - An error with the code XTDE0850 for a name that
+   *   is not a QName, XTDE0855 for xmlns, XTDE0860 for an undeclared
+   *   prefix, or XTDE0410 or XTDE0420 for an attribute that cannot be
+   *   added (see canAddAttribute).
    */
   async xsltAttribute (
     transformNode,
     outputNode
   ) {
     const nameExpr = $$(transformNode).getAttribute('name');
-    const name = this.resolveExpression(transformNode, nameExpr);
-    const fragmentNode = transformNode.ownerDocument.createDocumentFragment();
+    const name = (await this.resolveExpression(transformNode, nameExpr)).trim();
+    if (!Utils.QNAME_PATTERN.test(name)) {
+      throw this.createError('XTDE0850', `invalid attribute name "${name}"`, transformNode);
+    }
+
+    let prefix = ((/:/).test(name)) ? name.replace(/:.*/, '') : '';
+    const localName = name.replace(/^.*:/, '');
+    let namespaceURI;
+    if (transformNode.hasAttribute('namespace')) {
+      namespaceURI = await this.resolveExpression(transformNode, $$(transformNode).getAttribute('namespace'));
+    } else if (prefix) {
+      namespaceURI = $$(transformNode).getNamespaces()[prefix];
+      if (namespaceURI === undefined) {
+        throw this.createError('XTDE0860', `undeclared namespace prefix in attribute name "${name}"`, transformNode);
+      }
+    }
+    if (name === 'xmlns' && !namespaceURI) {
+      throw this.createError('XTDE0855', 'an attribute cannot be named xmlns', transformNode);
+    }
 
+    const fragmentNode = transformNode.ownerDocument.createDocumentFragment();
     await this.processChildNodes(transformNode, fragmentNode);
     const value = fragmentNode.textContent;
-    outputNode.setAttribute(name, value);
+    if (!this.canAddAttribute(transformNode, outputNode)) {
+      return;
+    }
+
+    if (namespaceURI) {
+      prefix = this.getAttributePrefix(transformNode, outputNode, prefix, namespaceURI);
+      outputNode.setAttributeNS(namespaceURI, prefix + ':' + localName, value);
+    } else {
+      outputNode.setAttribute(localName, value);
+    }
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -1068,9 +2723,10 @@ var XsltContext = class {
     await paramContext.processChildNodes(transformNode, outputNode, { filter: ['xsl:with-param'], ignoreText: true });
 
     const templateNode = this.getTemplateNode(transformNode.ownerDocument, name);
-    if (templateNode) {
-      await paramContext.processChildNodes(templateNode, outputNode);
+    if (!templateNode) {
+      throw this.createError('XTSE0650', `no template named "${name}"`, transformNode);
     }
+    await paramContext.processChildNodes(templateNode, outputNode);
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -1085,11 +2741,11 @@ var XsltContext = class {
     transformNode,
     outputNode
   ) {
-    if (XsltLog.debugMode) {
+    if (this.cfg.log.debugMode) {
       const fragmentNode = transformNode.ownerDocument.createDocumentFragment();
       await this.processChildNodes(transformNode, fragmentNode);
       const debugData = fragmentNode.textContent;
-      console.debug(debugData);
+      this.logger.debug(debugData);
     }
   }
 
@@ -1106,7 +2762,7 @@ var XsltContext = class {
     outputNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
       for (let i = 0; i < transformNode.childNodes.length; i++) {
         const childTransformNode = transformNode.childNodes[i];
@@ -1116,7 +2772,7 @@ var XsltContext = class {
 
         if ($$(childTransformNode).isA('xsl:when')) {
           const test = $$(childTransformNode).getAttribute('test');
-          if (test && this.xsltTest(transformNode, test)) {
+          if (test && await this.xsltTest(transformNode, test)) {
             this.debug('- selected ' + Utils.identify(childTransformNode) + ' against ' + this.getContext());
             await this.processChildNodes(childTransformNode, outputNode);
             return true;
@@ -1128,32 +2784,12 @@ var XsltContext = class {
         }
       }
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
 
     return false;
   }
 
-  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
-  /*
-   * @method xsltDebug (only for debugging)
-   * @instance
-   * @implements <xsl:debug>
-   * @param {Node} transformNode - The node being evaluated.
-   * @param {Node} outputNode - The document to apply the results to.
-   */
-  async xsltDebug (
-    transformNode,
-    outputNode
-  ) {
-    if (XsltLog.debugMode) {
-      const fragmentNode = transformNode.ownerDocument.createDocumentFragment();
-      await this.processChildNodes(transformNode, fragmentNode);
-      const debugData = fragmentNode.textContent;
-      console.debug(debugData);
-    }
-  }
-
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
    * @method xsltComment
@@ -1176,6 +2812,8 @@ var XsltContext = class {
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
+   * An attribute is copied only where it may be added (see
+   * canAddAttribute).
    * @method xsltCopy
    * @instance
    * @implements <xsl:copy>
@@ -1187,22 +2825,30 @@ var XsltContext = class {
     outputNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
+      if (this.contextNode.nodeType === Node.ATTRIBUTE_NODE && !this.canAddAttribute(transformNode, outputNode)) {
+        return;
+      }
       const copyNode = $$(outputNode).copy(this.contextNode);
       if (copyNode) {
         this.debug('- ' + this.getContext() + ' copy success');
+        if (copyNode.nodeType === Node.ELEMENT_NODE) {
+          await this.applyAttributeSets(transformNode, transformNode.getAttribute('use-attribute-sets'), copyNode);
+        }
         if ([Node.ELEMENT_NODE, Node.DOCUMENT_NODE, Node.DOCUMENT_FRAGMENT_NODE].includes(copyNode.nodeType)) {
           await this.processChildNodes(transformNode, copyNode);
         }
       }
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
+   * The attributes selected are copied only where they may be added (see
+   * canAddAttribute).
    * @method xsltCopyOf
    * @instance
    * @implements <xsl:copy-of>
@@ -1217,6 +2863,9 @@ var XsltContext = class {
     if (select) {
       const contextNodes = await this.xsltSelect(transformNode, select);
       contextNodes.forEach((contextNode) => {
+        if (contextNode.nodeType === Node.ATTRIBUTE_NODE && !this.canAddAttribute(transformNode, outputNode)) {
+          return;
+        }
         $$(outputNode).copyDeep(contextNode);
       });
     }
@@ -1235,11 +2884,11 @@ var XsltContext = class {
     outputNode
   ) {
     const name = $$(transformNode).getAttribute('name') || '_default';
-    XPathFunctionResolver.decimalFormats[name] = {
+    this.cfg.decimalFormats[name] = {
       decimalSeparator: $$(transformNode).getAttribute('decimal-separator') || '.',
       groupingSeparator: $$(transformNode).getAttribute('grouping-separator') || ',',
       infinity: $$(transformNode).getAttribute('infinity') || 'Infinity',
-      minusSign: $$(transformNode.getAttribute('minus-sign')) || '-',
+      minusSign: $$(transformNode).getAttribute('minus-sign') || '-',
       NaN: $$(transformNode).getAttribute('NaN') || 'NaN',
       percent: $$(transformNode).getAttribute('percent') || '%',
       perMille: $$(transformNode).getAttribute('per-mille') || '\u2030',
@@ -1250,11 +2899,16 @@ var XsltContext = class {
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
+   * Without a namespace attribute, the prefix of the name -- or, if it has
+   * none, the default namespace -- is resolved against the namespaces in
+   * scope in the stylesheet. A name in no namespace loses its prefix.
    * @method xsltElement
    * @instance
    * @implements <xsl:element>
    * @param {Node} transformNode - The node being evaluated.
    * @param {Node} outputNode - The document to apply the results to.
+   * @throws {XsltError} - An error with the code XTDE0820 for a name that
+   *   is not a QName, or XTDE0830 for an undeclared prefix.
    */
   async xsltElement (
     transformNode,
@@ -1262,18 +2916,46 @@ var XsltContext = class {
   ) {
     const outputDocument = outputNode.ownerDocument;
     const qNameExpr = $$(transformNode).getAttribute('name');
-    const qName = this.resolveExpression(transformNode, qNameExpr);
-    let namespaceURI = $$(transformNode).getAttribute('namespace');
-    if (!namespaceURI) {
-      namespaceURI = $$(this.contextNode).getNamespaceURI(qName);
+    const qName = (await this.resolveExpression(transformNode, qNameExpr)).trim();
+    if (!Utils.QNAME_PATTERN.test(qName)) {
+      throw this.createError('XTDE0820', `invalid element name "${qName}"`, transformNode);
+    }
+
+    const prefix = ((/:/).test(qName)) ? qName.replace(/:.*/, '') : '';
+    let namespaceURI;
+    if (transformNode.hasAttribute('namespace')) {
+      namespaceURI = await this.resolveExpression(transformNode, $$(transformNode).getAttribute('namespace'));
+    } else {
+      namespaceURI = $$(transformNode).getNamespaces()[prefix];
+      if (namespaceURI === undefined && prefix) {
+        throw this.createError('XTDE0830', `undeclared namespace prefix in element name "${qName}"`, transformNode);
+      }
     }
 
-    const newElement = $$(outputDocument).createElementNS(namespaceURI, qName);
+    const newElement = $$(outputDocument).createElementNS(namespaceURI || null, (namespaceURI) ? qName : qName.replace(/^.*:/, ''));
     outputNode.appendChild(newElement);
 
+    await this.applyAttributeSets(transformNode, transformNode.getAttribute('use-attribute-sets'), newElement);
     await this.processChildNodes(transformNode, newElement);
   }
 
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * The fallback of an instruction that is implemented is ignored (see
+   * applyFallback for that of one that is not).
+   * @method xsltFallback
+   * @instance
+   * @implements <xsl:fallback>
+   * @param {Node} transformNode - The node being evaluated.
+   * @param {Node} outputNode - The document to apply the results to.
+   */
+  xsltFallback (
+    transformNode,
+    outputNode
+  ) {
+    this.debug('- skipping ' + Utils.identify(transformNode));
+  }
+
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
    * @method xsltForEach
@@ -1287,15 +2969,15 @@ var XsltContext = class {
     outputNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
       const select = $$(transformNode).getAttribute('select');
       if (select) {
         const contextNodes = await this.xsltSelect(transformNode, select);
         if (contextNodes.length > 0) {
           this.debug('- select ' + select + ' against ' + this.getContext());
-          const sortContext = this.clone({ contextNode: contextNodes[0], contextPosition: 1, nodeList: contextNodes });
-          sortContext.sortNodes(transformNode);
+          const sortedNodes = await this.sortNodes(transformNode, contextNodes);
+          const sortContext = this.clone({ contextNode: sortedNodes[0], contextPosition: 1, nodeList: sortedNodes, templateRule: null });
 
           for (let i = 0; i < sortContext.nodeList.length; i++) {
             const contextNode = sortContext.nodeList[i];
@@ -1310,7 +2992,7 @@ var XsltContext = class {
         }
       }
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
@@ -1342,17 +3024,17 @@ var XsltContext = class {
     outputNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
       const test = $$(transformNode).getAttribute('test');
-      if (test && this.xsltTest(transformNode, test)) {
+      if (test && await this.xsltTest(transformNode, test)) {
         this.debug('- test ' + test);
         await this.processChildNodes(transformNode, outputNode);
       } else {
         this.debug('- no match');
       }
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
@@ -1367,45 +3049,71 @@ var XsltContext = class {
     transformNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
       if (!transformNode.hasAttribute('href')) {
         this.debug('- skipping (no href)');
         return;
       }
 
-      let url = transformNode.getAttribute('href');
-      if ((/^\./).test(url) && this.transformURL) {
-        url = this.transformURL.replace(/[^/]+$/, '') + url.replace(/^\.\//, '');
+      const href = transformNode.getAttribute('href');
+      const baseURI = this.getBaseURI(transformNode);
+      const url = Utils.resolveURI(href, baseURI).replace(/#.*$/, '');
+      const moduleURLs = transformNode._moduleURLs || [this.transformURL];
+      if (moduleURLs.includes(url)) {
+        const error = new Error(`${url} includes itself (with ${transformNode.nodeName})`);
+        error.code = (transformNode.localName === 'include') ? 'XTSE0180' : 'XTSE0210';
+        throw this.locateError(error, transformNode);
       }
 
-      try {
-        transformNode.removeAttribute('href'); // To prevent any infinite loops
-        const responseXML = await Utils.fetch(url);
-        if (responseXML) {
-          const domParser = new DOMParser();
-          const responseDoc = domParser.parseFromString(responseXML, 'application/xml');
-          const fragmentTransformNode = transformNode.ownerDocument.createDocumentFragment();
-          const includeTransformNode = $$(fragmentTransformNode).copyDeep(responseDoc.documentElement);
-          if (transformNode.localName === 'include') {
-            while (includeTransformNode.firstChild) {
-              const childIncludeTransformNode = includeTransformNode.firstChild;
-              includeTransformNode.removeChild(childIncludeTransformNode);
-              transformNode.parentNode.insertBefore(childIncludeTransformNode, transformNode);
-            }
-          } else {
-            while (includeTransformNode.firstChild) {
-              const childIncludeTransformNode = includeTransformNode.firstChild;
-              includeTransformNode.removeChild(childIncludeTransformNode);
-              transformNode.parentNode.appendChild(childIncludeTransformNode);
-            }
-          }
-          transformNode.parentNode.removeChild(transformNode);
-          this.debug('Resolved ' + transformNode.localName + ' -> ' + url);
+      const moduleDocuments = this.cfg._compiled.moduleDocuments;
+      let responseDoc = moduleDocuments.get(url);
+      if (!responseDoc) {
+        try {
+          responseDoc = await this.resolveDocument(href, baseURI, url);
+        } catch (exception) {
+          exception.message = `unable to load ${transformNode.nodeName} ${url}: ` + exception.message;
+          exception.code = 'XTSE0165';
+          throw this.locateError(exception, transformNode);
+        }
+        if (!responseDoc || !responseDoc.documentElement) {
+          const error = new Error(`unable to load ${transformNode.nodeName} ${url}: no document`);
+          error.code = 'XTSE0165';
+          throw this.locateError(error, transformNode);
+        }
+        Utils.setSystemId(responseDoc, url);
+        moduleDocuments.set(url, responseDoc);
+      }
+
+      // The nodes keep their locations in the module they were included from
+      const fragmentTransformNode = transformNode.ownerDocument.createDocumentFragment();
+      const includeTransformNode = $$(fragmentTransformNode).copyDeep(responseDoc.documentElement, { locate: true, namespaces: true });
+      const module = transformNode._module || { imports: [] };
+      if (transformNode.localName === 'include') {
+        this.markModule(includeTransformNode, module, moduleURLs.concat([url]));
+      } else {
+        const importedModule = { imports: [] };
+        module.imports.push(importedModule);
+        this.markModule(includeTransformNode, importedModule, moduleURLs.concat([url]));
+      }
+      this.inheritModuleAttributes(includeTransformNode);
+      if (transformNode.localName === 'include') {
+        while (includeTransformNode.firstChild) {
+          const childIncludeTransformNode = includeTransformNode.firstChild;
+          includeTransformNode.removeChild(childIncludeTransformNode);
+          transformNode.parentNode.insertBefore(childIncludeTransformNode, transformNode);
+        }
+      } else {
+        while (includeTransformNode.firstChild) {
+          const childIncludeTransformNode = includeTransformNode.firstChild;
+          includeTransformNode.removeChild(childIncludeTransformNode);
+          transformNode.parentNode.appendChild(childIncludeTransformNode);
         }
-      } catch (exception) {}
+      }
+      transformNode.parentNode.removeChild(transformNode);
+      this.debug('Resolved ' + transformNode.localName + ' -> ' + url);
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
@@ -1423,6 +3131,200 @@ var XsltContext = class {
     await this.xsltInclude(transformNode);
   }
 
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @method xsltKey
+   * @instance
+   * @implements <xsl:key>
+   * @param {Node} transformNode - The node being evaluated.
+   * @param {Node} outputNode - The document to apply the results to.
+   */
+  xsltKey (
+    transformNode,
+    outputNode
+  ) {
+    // Do nothing - the index is built on first use of the key() function
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Reports a message to the onMessage listener or, if there is none, as a
+   * warning to the logger. When terminate is "yes", processing is stopped by
+   * throwing an error carrying the message text and the location of the
+   * message in the transform.
+   * @method xsltMessage
+   * @instance
+   * @implements <xsl:message>
+   * @param {Node} transformNode - The node being evaluated.
+   * @param {Node} outputNode - The document to apply the results to.
+   */
+  async xsltMessage (
+    transformNode,
+    outputNode
+  ) {
+    this.logTransform(transformNode);
+    this.cfg.indent++;
+    try {
+      const fragmentNode = outputNode.ownerDocument.createDocumentFragment();
+      await this.processChildNodes(transformNode, fragmentNode);
+      const message = fragmentNode.textContent;
+      const terminateExpr = $$(transformNode).getAttribute('terminate') || 'no';
+      const terminate = (await this.resolveExpression(transformNode, terminateExpr)).trim() === 'yes';
+      const location = this.getLocation(transformNode);
+
+      if (this.cfg.onMessage) {
+        this.cfg.onMessage(message, { terminate, location });
+      } else if (terminate) {
+        this.logger.error(message);
+      } else {
+        this.logger.warn(message);
+      }
+
+      if (terminate) {
+        const error = this.createError('XTMM9000', 'processing terminated by xsl:message: ' + message, transformNode);
+        error.messageText = message;
+        throw error;
+      }
+    } finally {
+      this.cfg.indent--;
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Adds a namespace node, binding the prefix given by the name (the
+   * default namespace if it is empty) to the namespace given by the select
+   * expression or the content, to the element being output.
+   * @method xsltNamespace
+   * @instance
+   * @implements <xsl:namespace>
+   * @param {Node} transformNode - The node being evaluated.
+   * @param {Node} outputNode - The document to apply the results to.
+   * @throws {XsltError} - An error with the code XTDE0920 for a name that
+   *   is not a prefix, XTDE0925 for a misuse of the xml namespace, XTDE0930
+   *   for an empty namespace, XTDE0430 for a prefix that the element
+   *   already binds to another namespace, XTDE0440 for a default namespace
+   *   on an element in no namespace, or XTDE0410 or XTDE0420 for a
+   *   namespace node that cannot be added (see canAddAttribute).
+   */
+  async xsltNamespace (
+    transformNode,
+    outputNode
+  ) {
+    const nameExpr = $$(transformNode).getAttribute('name');
+    const prefix = (await this.resolveExpression(transformNode, nameExpr)).trim();
+    let namespaceURI;
+    const select = $$(transformNode).getAttribute('select');
+    if (select) {
+      namespaceURI = await this.xsltSelect(transformNode, select, XPath.XPathResult.STRING_TYPE);
+    } else {
+      const fragmentNode = transformNode.ownerDocument.createDocumentFragment();
+      await this.processChildNodes(transformNode, fragmentNode);
+      namespaceURI = fragmentNode.textContent;
+    }
+
+    if (prefix && (!Utils.NCNAME_PATTERN.test(prefix) || prefix === 'xmlns')) {
+      throw this.createError('XTDE0920', `invalid namespace prefix "${prefix}"`, transformNode);
+    } else if ((prefix === 'xml') !== (namespaceURI === XML_NAMESPACE) || namespaceURI === XMLNS_NAMESPACE) {
+      throw this.createError('XTDE0925', `namespace "${namespaceURI}" cannot be bound to the prefix "${prefix}"`, transformNode);
+    } else if (!namespaceURI) {
+      throw this.createError('XTDE0930', `empty namespace for the prefix "${prefix}"`, transformNode);
+    } else if (prefix === 'xml' || !this.canAddAttribute(transformNode, outputNode)) {
+      return;
+    }
+
+    const attributeName = (prefix) ? 'xmlns:' + prefix : 'xmlns';
+    const boundURI = ((outputNode.prefix || '') === prefix) ? outputNode.namespaceURI || '' : outputNode.getAttribute(attributeName) || null;
+    if (boundURI === '') {
+      throw this.createError('XTDE0440', 'an element in no namespace cannot have a default namespace', transformNode);
+    } else if (boundURI !== null && boundURI !== namespaceURI) {
+      throw this.createError('XTDE0430', `the prefix "${prefix}" is already bound to the namespace "${boundURI}"`, transformNode);
+    }
+    outputNode.setAttributeNS(XMLNS_NAMESPACE, attributeName, namespaceURI);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Applies the template rule that would have been chosen next after the
+   * current template rule. The other alternatives of a pattern that is a
+   * union are skipped, as they belong to the same template.
+   * @method xsltNextMatch
+   * @instance
+   * @implements <xsl:next-match>
+   * @param {Node} transformNode - The node being evaluated.
+   * @param {Node} outputNode - The document to apply the results to.
+   */
+  async xsltNextMatch (
+    transformNode,
+    outputNode
+  ) {
+    this.logTransform(transformNode);
+    this.cfg.indent++;
+    try {
+      await this.applyOtherTemplateRule(transformNode, outputNode, (otherRule, templateRule) => {
+        return otherRule.rank > templateRule.rank && otherRule.node !== templateRule.node;
+      });
+    } finally {
+      this.cfg.indent--;
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @method xsltNumber
+   * @instance
+   * @implements <xsl:number>
+   * @param {Node} transformNode - The node being evaluated.
+   * @param {Node} outputNode - The document to apply the results to.
+   */
+  async xsltNumber (
+    transformNode,
+    outputNode
+  ) {
+    this.logTransform(transformNode);
+    this.cfg.indent++;
+    try {
+      const getAttribute = async (name, defaultValue) => {
+        const valueExpr = $$(transformNode).getAttribute(name);
+        return (valueExpr) ? this.resolveExpression(transformNode, valueExpr) : defaultValue;
+      };
+
+      let numbers;
+      const value = $$(transformNode).getAttribute('value');
+      if (value) {
+        const context = this.clone({ transformNode: transformNode });
+        numbers = [await this.evaluate(transformNode, value, context, XPath.XPathResult.NUMBER_TYPE)];
+      } else {
+        const level = $$(transformNode).getAttribute('level') || 'single';
+        const count = $$(transformNode).getAttribute('count');
+        const from = $$(transformNode).getAttribute('from');
+        const countPatterns = (count) ? this.compilePattern(transformNode, count) : null;
+        const fromPatterns = (from) ? this.compilePattern(transformNode, from) : null;
+
+        const countTest = (node) => (countPatterns)
+          ? countPatterns.some((pattern) => pattern.matches(node, this))
+          : XsltNumber.isSameKind(node, this.contextNode);
+        const fromTest = (node) => (fromPatterns)
+          ? fromPatterns.some((pattern) => pattern.matches(node, this))
+          : false;
+
+        numbers = await this.whileLoading(() => XsltNumber.count(this.contextNode, level, countTest, fromTest));
+      }
+
+      const text = XsltNumber.format(numbers, await getAttribute('format', '1'), {
+        groupingSeparator: await getAttribute('grouping-separator', null),
+        groupingSize: await getAttribute('grouping-size', null),
+        letterValue: await getAttribute('letter-value', null)
+      });
+      this.debug('- number ' + numbers.join('.') + ' = ' + text);
+
+      const newTextNode = $$(outputNode.ownerDocument).createTextNode(text);
+      outputNode.appendChild(newTextNode);
+    } finally {
+      this.cfg.indent--;
+    }
+  }
+
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
    * @method xsltOutput
@@ -1436,19 +3338,48 @@ var XsltContext = class {
     outputNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
-      XsltContext.output = {
-        method: transformNode.getAttribute('method'),
-        version: transformNode.getAttribute('version') || '1.0',
-        encoding: transformNode.getAttribute('encoding') || 'UTF-8',
-        omitXmlDeclaration: transformNode.getAttribute('omit-xml-declaration') || 'no',
-        standalone: transformNode.getAttribute('standalone') || 'no',
-        indent: transformNode.getAttribute('indent') || 'no',
-        mediaType: transformNode.getAttribute('media-type') || 'application/xml'
-      };
+      // Several declarations are merged, each attribute specified overriding
+      // that of any declaration processed before it (see compile)
+      const output = Object.assign({
+        method: null,
+        version: '1.0',
+        encoding: 'UTF-8',
+        omitXmlDeclaration: 'no',
+        standalone: 'no',
+        indent: 'no',
+        mediaType: null,
+        doctypePublic: null,
+        doctypeSystem: null,
+        cdataSectionElements: []
+      }, this.cfg.output);
+      [
+        ['method', 'method'],
+        ['version', 'version'],
+        ['encoding', 'encoding'],
+        ['omit-xml-declaration', 'omitXmlDeclaration'],
+        ['standalone', 'standalone'],
+        ['indent', 'indent'],
+        ['media-type', 'mediaType'],
+        ['doctype-public', 'doctypePublic'],
+        ['doctype-system', 'doctypeSystem']
+      ].forEach(([attributeName, propertyName]) => {
+        if (transformNode.getAttribute(attributeName)) {
+          output[propertyName] = transformNode.getAttribute(attributeName);
+        }
+      });
+      output.cdataSectionElements = output.cdataSectionElements.concat((transformNode.getAttribute('cdata-section-elements') || '')
+        .split(/\s+/)
+        .filter((elementName) => elementName)
+        .map((elementName) => {
+          const namespaceURI = (/:/).test(elementName) ? transformNode.lookupNamespaceURI(elementName.replace(/:.*/, '')) : null;
+          const localName = elementName.replace(/^.*:/, '');
+          return ((namespaceURI) ? '{' + namespaceURI + '}' : '') + localName;
+        }));
+      this.cfg.output = output;
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
@@ -1467,11 +3398,11 @@ var XsltContext = class {
     options = {}
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
-      await this.processVariable(transformNode, { asText: true });
+      await this.processVariable(transformNode);
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
@@ -1512,7 +3443,7 @@ var XsltContext = class {
   ) {
     const outputDocument = outputNode.ownerDocument;
     const nameExpr = $$(transformNode).getAttribute('name');
-    const target = this.resolveExpression(transformNode, nameExpr);
+    const target = await this.resolveExpression(transformNode, nameExpr);
 
     const fragmentNode = transformNode.ownerDocument.createDocumentFragment();
     await this.processChildNodes(transformNode, fragmentNode);
@@ -1589,37 +3520,26 @@ var XsltContext = class {
     outputNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
-      // Resolve all the imports and includes
-      await this.resolveIncludes(transformNode);
-      this.debug('- all includes/imports processed');
-
-      let rootTemplate = false;
-      for (let i = 0; i < transformNode.childNodes.length; i++) {
-        const childTransformNode = transformNode.childNodes[i];
-
-        if ($$(childTransformNode).isA('xsl:output')) {
-          this.xsltOutput(childTransformNode, outputNode);
-        } else if ($$(childTransformNode).isA('xsl:strip-space')) {
-          this.xsltStripSpace(childTransformNode, outputNode);
-        } else if ($$(childTransformNode).isA('xsl:preserve-space')) {
-          this.xsltPreserveSpace(childTransformNode, outputNode);
-        } else if ($$(childTransformNode).isA('xsl:variable')) {
-          await this.xsltVariable(childTransformNode, outputNode);
-        } else if ($$(childTransformNode).isA('xsl:template') && childTransformNode.getAttribute('match') === '/') {
-          rootTemplate = true;
-          const context = this.clone({ contextNode: this.contextNode.ownerDocument });
-          await context.processChildNodes(childTransformNode, outputNode);
-          return true;
-        }
+      // The declarations were processed when the transform was compiled
+      // (see compile), leaving only the global variables and parameters.
+      // These may refer to each other in any order, so each is evaluated
+      // when it is first referred to (see evaluateGlobal) if that is before
+      // its turn.
+      this.cfg._cache.globals = new Map(this.cfg._compiled.globals.map((globalTransformNode) => {
+        return [this.expandVariableName(globalTransformNode, globalTransformNode.getAttribute('name')), globalTransformNode];
+      }));
+      for (const name of Array.from(this.cfg._cache.globals.keys())) {
+        await this.evaluateGlobal(name);
       }
 
-      if (!rootTemplate) {
-        await this.processChildNodes(transformNode, outputNode, { ignoreText: true });
-      }
+      const rootNode = this.contextNode.ownerDocument;
+      const context = this.clone({ contextNode: rootNode, nodeList: [rootNode] });
+      await context.applyTemplateRule(transformNode, outputNode);
+      return true;
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
@@ -1630,18 +3550,21 @@ var XsltContext = class {
    * @implements <xsl:template>
    * @param {Node} transformNode - The node being evaluated.
    * @param {Node} outputNode - The document to apply the results to.
+   * @param {Object} [options={}] - Set .matched when the template rule has
+   *   already been selected for the context node.
    */
   async xsltTemplate (
     transformNode,
-    outputNode
+    outputNode,
+    options = {}
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
       const match = $$(transformNode).getAttribute('match');
       const mode = $$(transformNode).getAttribute('mode') || null;
       if (match && ((mode && mode === this.mode) || (!mode && !this.mode))) {
-        if (this.xsltMatch(transformNode, match)) {
+        if (options.matched || this.xsltMatch(transformNode, match)) {
           this.debug('- matched against ' + this.getContext());
           await this.processChildNodes(transformNode, outputNode);
           return true;
@@ -1650,7 +3573,7 @@ var XsltContext = class {
         }
       }
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
 
     return false;
@@ -1674,11 +3597,11 @@ var XsltContext = class {
     }
 
     const outputDocument = outputNode.ownerDocument;
-    let text = $$(transformNode).textContent;
+    const text = $$(transformNode).textContent;
+    const newTextNode = $$(outputDocument).createTextNode(text);
     if (disableOutputEscaping) {
-      text = text.replace(/([<>'"&])/g, '[[$1]]');
+      newTextNode._disableOutputEscaping = true;
     }
-    const newTextNode = $$(outputDocument).createTextNode(text);
     outputNode.appendChild(newTextNode);
   }
 
@@ -1706,10 +3629,10 @@ var XsltContext = class {
       if (value) {
         value = this.processWhitespace(value, this.contextNode);
         this.debug('- select ' + select + ' = ' + value.toString());
+        const newTextNode = $$(outputDocument).createTextNode(value);
         if (disableOutputEscaping) {
-          value = value.replace(/([<>'"&])/g, '[[$1]]');
+          newTextNode._disableOutputEscaping = true;
         }
-        const newTextNode = $$(outputDocument).createTextNode(value);
         outputNode.appendChild(newTextNode);
       } else {
         this.debug('- no value');
@@ -1730,13 +3653,13 @@ var XsltContext = class {
     outputNode
   ) {
     this.logTransform(transformNode);
-    XsltContext.indent++;
+    this.cfg.indent++;
     try {
-      const variableName = transformNode.getAttribute('name');
-      await this.processVariable(transformNode, { override: true /*, asText: true */ });
+      const variableName = this.expandVariableName(transformNode, transformNode.getAttribute('name'));
+      await this.processVariable(transformNode, { override: true });
       this.debug('- variable ' + variableName + ' = "' + (this.getVariable(variableName, { asText: true }) || 'undefined').toString() + '"');
     } finally {
-      XsltContext.indent--;
+      this.cfg.indent--;
     }
   }
 
@@ -1752,17 +3675,10 @@ var XsltContext = class {
     transformNode,
     outputNode
   ) {
-    await this.processVariable(transformNode, { override: true, asText: true });
+    await this.processVariable(transformNode, { override: true });
   }
 };
 
-// ----------------------------------------------------------------------------
-// Static properties
-// ----------------------------------------------------------------------------
-
-XsltContext.indent = 0;
-XsltContext.fetchCache = {};
-
 // ----------------------------------------------------------------------------
 // Exports
 // ----------------------------------------------------------------------------
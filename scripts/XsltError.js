@@ -0,0 +1,143 @@
+/**
+ * @file XsltError.js - Errors reported by a transformation
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+/*
+ * @class XsltError
+ * @classdesc An error in a transform, or in applying it, located in the
+ *   transform. The code is that of the XSLT or XPath specifications for the
+ *   error: static errors in the transform have codes starting with XTSE or
+ *   XPST, dynamic errors with XTDE, type errors with XTTE or XPTY, and
+ *   <xsl:message terminate="yes"> has the code XTMM9000.
+ */
+var XsltError = class extends Error {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @constructor
+   * @param {string} code - The error code.
+   * @param {string} description - What is wrong.
+   * @param {Object} [details={}] - Where it went wrong: the uri of the
+   *   stylesheet module, the line, column and path of the instruction in
+   *   it, the xPath being evaluated, and the sourcePath of the context node
+   *   in the input document -- any of which may be unknown. The cause is
+   *   the error, if any, that led to this one.
+   */
+  constructor (
+    code,
+    description,
+    details = {}
+  ) {
+    super(XsltError.formatMessage(description, details));
+    this.name = 'XsltError';
+    this.code = code;
+    this.description = description;
+    this.uri = details.uri || null;
+    this.line = details.line || null;
+    this.column = details.column || null;
+    this.path = details.path || null;
+    this.xPath = details.xPath || null;
+    this.sourcePath = details.sourcePath || null;
+    if (details.cause) {
+      this.cause = details.cause;
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * The location of the instruction in the transform, as reported with
+   * messages.
+   * @member location
+   * @instance
+   * @returns {Object} - The transformURL, path, line, and column.
+   */
+  get location () {
+    return {
+      transformURL: this.uri,
+      path: this.path,
+      line: this.line,
+      column: this.column
+    };
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Describes an error together with where it went wrong.
+   * @method formatMessage
+   * @static
+   * @param {string} description - What is wrong.
+   * @param {Object} [details={}] - Where it went wrong (see constructor).
+   * @returns {string}
+   */
+  static formatMessage (
+    description,
+    details = {}
+  ) {
+    let message = description;
+    if (details.xPath) {
+      message += ' in expression "' + details.xPath + '"';
+    }
+    if (details.uri) {
+      message += ' in ' + details.uri;
+    }
+    if (details.line) {
+      message += ' (line ' + details.line + ', column ' + details.column + ')';
+    }
+    if (details.path) {
+      message += ' at ' + details.path;
+    }
+    if (details.sourcePath) {
+      message += ' against ' + details.sourcePath;
+    }
+
+    return message;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Reports several errors found together as one, such as the static errors
+   * of a transform (see XsltValidator). The error has the code of the first
+   * and lists them all, both in its message and as its errors property.
+   * @method combine
+   * @static
+   * @param {Array} errors - The errors (XsltError), of which there is at
+   *   least one.
+   * @returns {XsltError} - The error itself, if there is only one.
+   */
+  static combine (
+    errors
+  ) {
+    if (errors.length === 1) {
+      return errors[0];
+    }
+
+    const error = new XsltError(errors[0].code, `${errors.length} errors in the transform:\n` +
+      errors.map((error) => '  ' + error.toString()).join('\n'));
+    error.errors = errors;
+
+    return error;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @method toString
+   * @instance
+   * @returns {string} - The code and the message.
+   */
+  toString () {
+    return this.name + ' ' + this.code + ': ' + this.message;
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+exports.XsltError = XsltError;
+
+// ----------------------------------------------------------------------------
@@ -13,24 +13,41 @@
 
 // ----------------------------------------------------------------------------
 /*
+ * Each transformation has its own logging facade so that concurrent
+ * transformations do not share their logger or debug mode.
  * @class XsltLog
  * @classDesc Logging facade
  */
 class XsltLog {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @constructor
+   * @param {Object} [logger=console] - The logger to send messages to.
+   * @param {boolean} [debugMode=false] - The initial debug mode.
+   */
+  constructor (
+    logger = console,
+    debugMode = false
+  ) {
+    this._logger = logger;
+    this._debugMode = debugMode;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
   /*
-   * Boolean value to control the debug and "silly" message levels.
+   * Boolean value to control the info, debug, and "silly" message levels.
    * @property debugMode
-   * @static
+   * @instance
    * @type {boolean}
    */
-  static get debugMode () {
-    return XsltLog._debugMode || false;
+  get debugMode () {
+    return this._debugMode || false;
   }
 
-  static set debugMode (
+  set debugMode (
     value
   ) {
-    XsltLog._debugMode = value;
+    this._debugMode = value;
   }
 
   // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
@@ -42,38 +59,35 @@ class XsltLog {
    * object's methods. However, any method not provided will instead become
    * a null method -- meaning that messages emitted by that level will go
    * to the bit bucket and not show. Specifying an empty object or null for
-   * the logger will result no messages being emitted. The debug and "silly"
-   * levels can be deactivated by setting the debugMode to false.
+   * the logger will result no messages being emitted. The info, debug, and
+   * "silly" levels are only active when the debugMode is true, so that only
+   * warnings and errors are logged by default.
    * @property logger
-   * @static
+   * @instance
    * @type {Object}
    */
-  static get logger () {
+  get logger () {
     return {
-      info: (XsltLog._logger && XsltLog.info)
-        ? XsltLog._logger.info : (message) => {},
-      warn: (XsltLog._logger && XsltLog.warn)
-        ? XsltLog._logger.warn : (message) => {},
-      error: (XsltLog._logger && XsltLog.error)
-        ? XsltLog._logger.error : (message) => {},
-      debug: (XsltLog.debugMode && XsltLog._logger)
-        ? XsltLog._logger.debug : (message) => {},
-      silly: (XsltLog.debugMode && XsltLog._logger && XsltLog.silly)
-        ? XsltLog._logger.silly : (message) => {}
+      info: (this.debugMode && this._logger && this._logger.info)
+        ? this._logger.info : (message) => {},
+      warn: (this._logger && this._logger.warn)
+        ? this._logger.warn : (message) => {},
+      error: (this._logger && this._logger.error)
+        ? this._logger.error : (message) => {},
+      debug: (this.debugMode && this._logger && this._logger.debug)
+        ? this._logger.debug : (message) => {},
+      silly: (this.debugMode && this._logger && this._logger.silly)
+        ? this._logger.silly : (message) => {}
     };
   }
 
-  static set logger (
+  set logger (
     value
   ) {
-    XsltLog._logger = value;
+    this._logger = value;
   }
 }
 
-// ----------------------------------------------------------------------------
-
-XsltLog._logger = console;
-
 // ----------------------------------------------------------------------------
 // Exports
 // ----------------------------------------------------------------------------
@@ -0,0 +1,352 @@
+/**
+ * @file XsltNumber.js - Node counting and number formatting (Internal Object)
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ * @see {@link http://www.w3.org/TR/1999/REC-xslt-19991116#number XSLT Numbering}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const { Node } = require('./Node');
+const { XsltPattern } = require('./XsltPattern');
+
+// ----------------------------------------------------------------------------
+/*
+ * @class XsltNumber
+ * @classdesc Static helpers for <xsl:number>. Counting works with test
+ *   functions so that the caller decides how the count and from patterns
+ *   are matched.
+ */
+var XsltNumber = class {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines the list of numbers for a node.
+   * @method count
+   * @static
+   * @param {Node} node - The node being numbered.
+   * @param {string} level - One of 'single', 'multiple', or 'any'.
+   * @param {Function} countTest - Tests whether a node is to be counted.
+   * @param {Function} fromTest - Tests whether a node is where counting
+   *   starts from.
+   * @returns {Array} - The numbers, outermost first. The list is empty if
+   *   there is nothing to count.
+   */
+  static count (
+    node,
+    level,
+    countTest,
+    fromTest
+  ) {
+    switch (level) {
+      case 'any': {
+        let count = 0;
+        for (let precedingNode = node; precedingNode; precedingNode = XsltNumber.getPreceding(precedingNode)) {
+          if (precedingNode !== node && fromTest(precedingNode)) {
+            break;
+          }
+          if (countTest(precedingNode)) {
+            count++;
+          }
+        }
+        return (count > 0) ? [count] : [];
+      }
+      case 'multiple': {
+        return XsltNumber.getCountedAncestors(node, countTest, fromTest)
+          .reverse()
+          .map((ancestorNode) => XsltNumber.getSiblingNumber(ancestorNode, countTest));
+      }
+      default: {
+        const ancestorNode = XsltNumber.getCountedAncestors(node, countTest, fromTest)[0];
+        return (ancestorNode) ? [XsltNumber.getSiblingNumber(ancestorNode, countTest)] : [];
+      }
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests whether a node is of the same kind as another node -- the default
+   * count pattern.
+   * @method isSameKind
+   * @static
+   * @param {Node} node - The node to test.
+   * @param {Node} otherNode - The node being numbered.
+   * @returns {boolean}
+   */
+  static isSameKind (
+    node,
+    otherNode
+  ) {
+    if (node.nodeType !== otherNode.nodeType) {
+      return false;
+    }
+
+    switch (node.nodeType) {
+      case Node.ELEMENT_NODE:
+      case Node.ATTRIBUTE_NODE:
+        return node.localName === otherNode.localName && (node.namespaceURI || null) === (otherNode.namespaceURI || null);
+      case Node.PROCESSING_INSTRUCTION_NODE:
+        return node.target === otherNode.target;
+      default:
+        return true;
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the ancestor-or-self nodes that are counted, nearest first,
+   * stopping at the first ancestor matching the from test.
+   * @method getCountedAncestors
+   * @static
+   * @param {Node} node - The node being numbered.
+   * @param {Function} countTest - Tests whether a node is to be counted.
+   * @param {Function} fromTest - Tests whether a node is where counting
+   *   starts from.
+   * @returns {Array}
+   */
+  static getCountedAncestors (
+    node,
+    countTest,
+    fromTest
+  ) {
+    const ancestorNodes = [];
+    for (let ancestorNode = node; ancestorNode; ancestorNode = XsltPattern.getParent(ancestorNode)) {
+      if (fromTest(ancestorNode)) {
+        break;
+      }
+      if (countTest(ancestorNode)) {
+        ancestorNodes.push(ancestorNode);
+      }
+    }
+
+    return ancestorNodes;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Numbers a node by counting it and its counted preceding siblings.
+   * @method getSiblingNumber
+   * @static
+   * @param {Node} node - The node to number.
+   * @param {Function} countTest - Tests whether a node is to be counted.
+   * @returns {number}
+   */
+  static getSiblingNumber (
+    node,
+    countTest
+  ) {
+    let number = 1;
+    if (node.nodeType !== Node.ATTRIBUTE_NODE) {
+      for (let siblingNode = node.previousSibling; siblingNode; siblingNode = siblingNode.previousSibling) {
+        if (countTest(siblingNode)) {
+          number++;
+        }
+      }
+    }
+
+    return number;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the node before a node in document order, ignoring attributes
+   * other than the node itself.
+   * @method getPreceding
+   * @static
+   * @param {Node} node - The node to start from.
+   * @returns {Node|null}
+   */
+  static getPreceding (
+    node
+  ) {
+    if (node.nodeType === Node.ATTRIBUTE_NODE || !node.previousSibling) {
+      return XsltPattern.getParent(node);
+    }
+
+    let precedingNode = node.previousSibling;
+    while (precedingNode.lastChild) {
+      precedingNode = precedingNode.lastChild;
+    }
+
+    return precedingNode;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Formats a list of numbers according to a format string. The format
+   * string is split into alternating separator and format tokens. Each
+   * number is formatted with its corresponding format token, the last
+   * format token being reused for any remaining numbers.
+   * @method format
+   * @static
+   * @param {Array} numbers - The numbers to format.
+   * @param {string} [format='1'] - The format string.
+   * @param {Object} [options={}] - The groupingSeparator, groupingSize,
+   *   and letterValue to use.
+   * @returns {string}
+   */
+  static format (
+    numbers,
+    format = '1',
+    options = {}
+  ) {
+    const tokens = format.match(/[\p{L}\p{N}]+|[^\p{L}\p{N}]+/gu) || [];
+    const prefix = (tokens.length > 0 && !XsltNumber.isFormatToken(tokens[0])) ? tokens.shift() : '';
+    const suffix = (tokens.length > 0 && !XsltNumber.isFormatToken(tokens[tokens.length - 1])) ? tokens.pop() : '';
+
+    const formatTokens = [];
+    const separators = [];
+    tokens.forEach((token) => {
+      if (XsltNumber.isFormatToken(token)) {
+        formatTokens.push(token);
+      } else {
+        separators.push(token);
+      }
+    });
+    if (formatTokens.length === 0) {
+      formatTokens.push('1');
+    }
+
+    let text = prefix;
+    numbers.forEach((number, i) => {
+      if (i > 0) {
+        text += (separators.length === 0) ? '.' : separators[Math.min(i, separators.length) - 1];
+      }
+      text += XsltNumber.formatNumber(number, formatTokens[Math.min(i, formatTokens.length - 1)], options);
+    });
+
+    return text + suffix;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests whether a token of a format string is a format token (rather than
+   * a separator).
+   * @method isFormatToken
+   * @static
+   * @param {string} token - The token.
+   * @returns {boolean}
+   */
+  static isFormatToken (
+    token
+  ) {
+    return (/^[\p{L}\p{N}]/u).test(token);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Formats a single number with a format token. Tokens that are not
+   * supported are treated as '1', as are roman numerals for numbers of 4000
+   * or more.
+   * @method formatNumber
+   * @static
+   * @param {number} number - The number to format.
+   * @param {string} token - The format token.
+   * @param {Object} [options={}] - The groupingSeparator, groupingSize,
+   *   and letterValue to use.
+   * @returns {string}
+   */
+  static formatNumber (
+    number,
+    token,
+    options = {}
+  ) {
+    if (!isFinite(number) || number < 0) {
+      return String(number);
+    }
+
+    number = Math.round(number);
+    if (number > 0) {
+      if ((token === 'i' || token === 'I') && options.letterValue !== 'alphabetic') {
+        if (number < 4000) {
+          const roman = XsltNumber.toRoman(number);
+          return (token === 'i') ? roman.toLowerCase() : roman;
+        }
+      } else if (['a', 'A', 'i', 'I'].includes(token)) {
+        return XsltNumber.toAlphabetic(number, token);
+      }
+    }
+
+    const width = ((/^0*1$/).test(token)) ? token.length : 1;
+    const digits = String(number).padStart(width, '0');
+    const groupingSize = Number(options.groupingSize);
+
+    if (!options.groupingSeparator || !(groupingSize > 0)) {
+      return digits;
+    }
+
+    let text = '';
+    for (let i = digits.length; i > 0; i -= groupingSize) {
+      text = digits.substring(Math.max(0, i - groupingSize), i) + ((text) ? options.groupingSeparator + text : '');
+    }
+
+    return text;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Converts a number to the sequence of letters starting from a letter and
+   * running to the end of the alphabet -- A, B, ..., Z, AA, AB, ... for 'A',
+   * or i, j, ..., z, ii, ij, ... for 'i'.
+   * @method toAlphabetic
+   * @static
+   * @param {number} number - A positive integer.
+   * @param {string} [first='A'] - The first letter of the sequence.
+   * @returns {string}
+   */
+  static toAlphabetic (
+    number,
+    first = 'A'
+  ) {
+    const start = first.charCodeAt(0);
+    const base = ((first === first.toLowerCase()) ? 123 : 91) - start;
+
+    let text = '';
+    while (number > 0) {
+      number--;
+      text = String.fromCharCode(start + (number % base)) + text;
+      number = Math.floor(number / base);
+    }
+
+    return text;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Converts a number to upper case roman numerals.
+   * @method toRoman
+   * @static
+   * @param {number} number - A positive integer less than 4000.
+   * @returns {string}
+   */
+  static toRoman (
+    number
+  ) {
+    const numerals = [
+      [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+      [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+    ];
+
+    let text = '';
+    numerals.forEach(([value, numeral]) => {
+      while (number >= value) {
+        text += numeral;
+        number -= value;
+      }
+    });
+
+    return text;
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+exports.XsltNumber = XsltNumber;
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,613 @@
+/**
+ * @file XsltPattern.js - XSLT match patterns (Internal Object)
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ * @see {@link http://www.w3.org/TR/1999/REC-xslt-19991116#patterns XSLT Patterns}
+ *
+ * NOTE: Patterns are not evaluated as XPath expressions. Instead, each
+ *   alternative of a pattern is compiled into a list of step tests that are
+ *   checked from right to left, starting with the candidate node and moving
+ *   up through its ancestors. Only predicates and id()/key() anchors are
+ *   handed to the XPath processor.
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const { $$ } = require('./XDomHelper');
+const { Node } = require('./Node');
+const { XPathNamespaceResolver } = require('./XPathNamespaceResolver');
+const { Utils } = require('./Utils');
+
+// ----------------------------------------------------------------------------
+// Constants
+// ----------------------------------------------------------------------------
+
+// The node tests of a step that test the name: prefix:* and [prefix:]name
+const NAMESPACE_TEST_PATTERN = new RegExp('^(' + Utils.NCNAME + '):\\*$', 'u');
+const NAME_TEST_PATTERN = new RegExp('^(?:(' + Utils.NCNAME + '):)?(' + Utils.NCNAME + ')$', 'u');
+
+// ----------------------------------------------------------------------------
+/*
+ * @class XsltPattern
+ * @classdesc A single compiled alternative of an XSLT pattern, as used in
+ *   the match attribute of <xsl:template> and <xsl:key>.
+ */
+var XsltPattern = class {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @constructor
+   * @param {string} text - A pattern without any top-level '|'.
+   * @param {Node} transformNode - The node in the transform containing the
+   *   pattern. It is used to resolve namespace prefixes and to evaluate
+   *   predicates.
+   */
+  constructor (
+    text,
+    transformNode
+  ) {
+    this.text = text.trim();
+    this.transformNode = transformNode;
+    this.anchor = null; // null, 'root', or { expr: 'id(...)' | 'key(...)' }
+    this.steps = [];
+
+    const namespaceResolver = new XPathNamespaceResolver(transformNode);
+    let rest = this.text;
+    let connector = null;
+
+    if (rest === '/') {
+      this.anchor = 'root';
+      rest = '';
+    } else if ((/^\/\//).test(rest)) {
+      this.anchor = 'root';
+      connector = '//';
+      rest = rest.substr(2);
+    } else if ((/^\//).test(rest)) {
+      this.anchor = 'root';
+      connector = '/';
+      rest = rest.substr(1);
+    } else if ((/^(?:id|key)\s*\(/).test(rest)) {
+      const end = XsltPattern.scan(rest, ')', rest.indexOf('(') + 1);
+      this.anchor = { expr: rest.substring(0, end + 1) };
+      rest = rest.substr(end + 1).trim();
+      connector = ((/^\/\//).test(rest)) ? '//' : ((/^\//).test(rest)) ? '/' : null;
+      if (rest && !connector) {
+        throw new Error('invalid pattern: ' + this.text);
+      }
+      rest = rest.substr((connector) ? connector.length : 0);
+    }
+
+    if (connector && !rest.trim()) {
+      throw new Error('invalid pattern: ' + this.text);
+    }
+
+    while (rest.trim()) {
+      const end = XsltPattern.scan(rest, '/', 0);
+      this.steps.push(XsltPattern.parseStep(rest.substring(0, end), connector, namespaceResolver, this.text));
+      if (end >= rest.length) {
+        break;
+      }
+
+      connector = (rest.substr(end, 2) === '//') ? '//' : '/';
+      rest = rest.substr(end + connector.length);
+      if (!rest.trim()) {
+        throw new Error('invalid pattern: ' + this.text);
+      }
+    }
+
+    if (this.anchor === null && this.steps.length === 0) {
+      throw new Error('invalid pattern: ' + this.text);
+    }
+
+    this.priority = this.getDefaultPriority();
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Compiles a pattern into its alternatives. A template with a pattern
+   * such as "a|b" is treated as two separate template rules.
+   * @method compile
+   * @static
+   * @param {string} pattern - The pattern to compile.
+   * @param {Node} transformNode - The node in the transform containing the
+   *   pattern.
+   * @returns {Array} - The compiled alternatives.
+   */
+  static compile (
+    pattern,
+    transformNode
+  ) {
+    return XsltPattern.split(pattern).map((alternative) => new XsltPattern(alternative, transformNode));
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Splits a pattern into its top-level alternatives.
+   * @method split
+   * @static
+   * @param {string} pattern - The pattern to split.
+   * @returns {Array} - The alternatives, trimmed of whitespace.
+   */
+  static split (
+    pattern
+  ) {
+    const alternatives = [];
+    let start = 0;
+    let end = XsltPattern.scan(pattern, '|', start);
+
+    while (end < pattern.length) {
+      alternatives.push(pattern.substring(start, end).trim());
+      start = end + 1;
+      end = XsltPattern.scan(pattern, '|', start);
+    }
+    alternatives.push(pattern.substring(start).trim());
+
+    return alternatives;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the next occurrence of a character that is not within a string
+   * literal, a predicate, or an argument list.
+   * @method scan
+   * @static
+   * @param {string} text - The text to scan.
+   * @param {string} ch - The character to look for.
+   * @param {number} start - The position to start scanning from.
+   * @returns {number} - The position found, or the length of the text.
+   */
+  static scan (
+    text,
+    ch,
+    start
+  ) {
+    let depth = 0;
+    let quote = null;
+
+    for (let i = start; i < text.length; i++) {
+      const c = text[i];
+      if (quote) {
+        if (c === quote) {
+          quote = null;
+        }
+      } else if (c === '"' || c === '\'') {
+        quote = c;
+      } else if (c === ch && depth === 0) {
+        return i;
+      } else if (c === '[' || c === '(') {
+        depth++;
+      } else if (c === ']' || c === ')') {
+        depth--;
+      }
+    }
+
+    return text.length;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Parses a single step pattern -- an axis, a node test, and any number
+   * of predicates.
+   * @method parseStep
+   * @static
+   * @param {string} text - The text of the step.
+   * @param {string|null} connector - The '/' or '//' joining the step to the
+   *   step on its left (or null for the first step of a relative pattern).
+   * @param {XPathNamespaceResolver} namespaceResolver - Used to resolve the
+   *   prefix of the node test.
+   * @param {string} pattern - The full pattern, for error reporting.
+   * @returns {Object} - The step as { axis, test, predicates, connector }.
+   */
+  static parseStep (
+    text,
+    connector,
+    namespaceResolver,
+    pattern
+  ) {
+    let rest = text.trim();
+    let axis = 'child';
+
+    const axisMatch = rest.match(/^(?:(child|attribute)\s*::|(@))\s*/);
+    if (axisMatch) {
+      axis = (axisMatch[1] === 'child') ? 'child' : 'attribute';
+      rest = rest.substr(axisMatch[0].length);
+    }
+
+    const predicateStart = XsltPattern.scan(rest, '[', 0);
+    const nodeTest = rest.substring(0, predicateStart).trim();
+    rest = rest.substr(predicateStart);
+
+    const predicates = [];
+    while (rest.trim()) {
+      rest = rest.trim();
+      const end = XsltPattern.scan(rest, ']', 1);
+      if (rest[0] !== '[' || end >= rest.length) {
+        throw new Error('invalid pattern: ' + pattern);
+      }
+      predicates.push(rest.substring(1, end));
+      rest = rest.substr(end + 1);
+    }
+
+    let test;
+    let match;
+    if (nodeTest === '*') {
+      test = { type: 'any' };
+    } else if ((match = nodeTest.match(NAMESPACE_TEST_PATTERN))) {
+      test = { type: 'namespace', namespaceURI: XsltPattern.resolvePrefix(match[1], namespaceResolver, pattern) };
+    } else if ((match = nodeTest.match(/^(node|text|comment)\s*\(\s*\)$/))) {
+      test = { type: match[1] };
+    } else if ((match = nodeTest.match(/^processing-instruction\s*\(\s*(?:"([^"]*)"|'([^']*)')?\s*\)$/))) {
+      const target = (match[1] !== undefined) ? match[1] : match[2];
+      test = { type: 'processing-instruction', target: (target !== undefined) ? target.trim() : null };
+    } else if ((match = nodeTest.match(NAME_TEST_PATTERN))) {
+      test = {
+        type: 'name',
+        namespaceURI: (match[1]) ? XsltPattern.resolvePrefix(match[1], namespaceResolver, pattern) : null,
+        localName: match[2]
+      };
+    } else {
+      throw new Error('invalid pattern: ' + pattern);
+    }
+
+    return { axis, test, predicates, connector };
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Resolves a namespace prefix used in a pattern.
+   * @method resolvePrefix
+   * @static
+   * @param {string} prefix - The prefix to resolve.
+   * @param {XPathNamespaceResolver} namespaceResolver - The resolver to use.
+   * @param {string} pattern - The full pattern, for error reporting.
+   * @returns {string} - The namespace URI.
+   */
+  static resolvePrefix (
+    prefix,
+    namespaceResolver,
+    pattern
+  ) {
+    const namespaceURI = namespaceResolver.getNamespace(prefix);
+    if (!namespaceURI) {
+      throw new Error('undeclared namespace prefix "' + prefix + '" in pattern: ' + pattern);
+    }
+
+    return namespaceURI;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Computes the default priority of the pattern.
+   * @method getDefaultPriority
+   * @instance
+   * @returns {number} - One of 0, -0.25, -0.5 or 0.5.
+   * @see [XSLT] section 5.5.
+   */
+  getDefaultPriority () {
+    if (this.anchor !== null || this.steps.length !== 1 || this.steps[0].predicates.length > 0) {
+      return 0.5;
+    }
+
+    const test = this.steps[0].test;
+    if (test.type === 'name' || (test.type === 'processing-instruction' && test.target !== null)) {
+      return 0;
+    } else if (test.type === 'namespace') {
+      return -0.25;
+    }
+
+    return -0.5;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * The keys under which the pattern is indexed. A node can only match the
+   * pattern if one of its keys (see XsltPattern.getNodeKeys) is in this list.
+   * @property keys
+   * @instance
+   * @type {Array}
+   */
+  get keys () {
+    if (this.steps.length === 0) {
+      return (this.anchor === 'root') ? ['#document'] : ['*', '@*', '#text', '#comment', '#pi', '#document'];
+    }
+
+    const step = this.steps[this.steps.length - 1];
+    const test = step.test;
+    if (step.axis === 'attribute') {
+      if (test.type === 'name') {
+        return ['@' + XsltPattern.expandName(test.namespaceURI, test.localName)];
+      }
+      return (['any', 'namespace', 'node'].includes(test.type)) ? ['@*'] : [];
+    }
+
+    switch (test.type) {
+      case 'name':
+        return [XsltPattern.expandName(test.namespaceURI, test.localName)];
+      case 'any':
+      case 'namespace':
+        return ['*'];
+      case 'text':
+        return ['#text'];
+      case 'comment':
+        return ['#comment'];
+      case 'processing-instruction':
+        return ['#pi'];
+      default:
+        return ['*', '#text', '#comment', '#pi'];
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines the keys a node is to be looked up with. The first key is
+   * specific to the node's name, the second is the wildcard for its kind.
+   * @method getNodeKeys
+   * @static
+   * @param {Node} node - The node.
+   * @returns {Array}
+   */
+  static getNodeKeys (
+    node
+  ) {
+    switch (node.nodeType) {
+      case Node.ELEMENT_NODE:
+        return [XsltPattern.expandName(node.namespaceURI, node.localName || node.nodeName.replace(/^.*:/, '')), '*'];
+      case Node.ATTRIBUTE_NODE:
+        return ['@' + XsltPattern.expandName(node.namespaceURI, node.localName || node.nodeName.replace(/^.*:/, '')), '@*'];
+      case Node.TEXT_NODE:
+      case Node.CDATA_SECTION_NODE:
+        return ['#text'];
+      case Node.COMMENT_NODE:
+        return ['#comment'];
+      case Node.PROCESSING_INSTRUCTION_NODE:
+        return ['#pi'];
+      case Node.DOCUMENT_NODE:
+        return ['#document'];
+      default:
+        return [];
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Builds the expanded name used for indexing.
+   * @method expandName
+   * @static
+   * @param {string|null} namespaceURI - The namespace URI.
+   * @param {string} localName - The local name.
+   * @returns {string}
+   */
+  static expandName (
+    namespaceURI,
+    localName
+  ) {
+    return ((namespaceURI) ? '{' + namespaceURI + '}' : '') + localName;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests whether a node matches the pattern.
+   * @method matches
+   * @instance
+   * @param {Node} node - The candidate node.
+   * @param {XsltContext} context - The context used to evaluate predicates
+   *   and id()/key() anchors.
+   * @returns {boolean}
+   */
+  matches (
+    node,
+    context
+  ) {
+    if (this.steps.length === 0) {
+      return this.matchesAnchor(node, context);
+    }
+
+    return this.matchesStep(node, this.steps.length - 1, context);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests a node against a step and, recursively, its ancestors against
+   * the steps to the left.
+   * @method matchesStep
+   * @instance
+   * @param {Node} node - The node to test.
+   * @param {number} i - The index of the step.
+   * @param {XsltContext} context - The evaluation context.
+   * @returns {boolean}
+   */
+  matchesStep (
+    node,
+    i,
+    context
+  ) {
+    const step = this.steps[i];
+    if (!XsltPattern.testNode(node, step) || !this.testPredicates(node, step, context)) {
+      return false;
+    }
+
+    if (step.connector === null) {
+      return true;
+    }
+
+    const matchesLeft = (leftNode) => (i === 0) ? this.matchesAnchor(leftNode, context) : this.matchesStep(leftNode, i - 1, context);
+    let parentNode = XsltPattern.getParent(node);
+    if (step.connector === '/') {
+      return parentNode !== null && matchesLeft(parentNode);
+    }
+
+    while (parentNode) {
+      if (matchesLeft(parentNode)) {
+        return true;
+      }
+      parentNode = XsltPattern.getParent(parentNode);
+    }
+
+    return false;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests a node against the anchor of the pattern -- either the root node
+   * or the result of an id() or key() function.
+   * @method matchesAnchor
+   * @instance
+   * @param {Node} node - The node to test.
+   * @param {XsltContext} context - The evaluation context.
+   * @returns {boolean}
+   */
+  matchesAnchor (
+    node,
+    context
+  ) {
+    if (this.anchor === 'root') {
+      return node.nodeType === Node.DOCUMENT_NODE;
+    } else if (this.anchor === null) {
+      return false;
+    }
+
+    // The anchor nodes are cached with the transformation rather than with
+    // the pattern, as the pattern is shared by every transformation using
+    // the compiled stylesheet.
+    const documentNode = (node.nodeType === Node.DOCUMENT_NODE) ? node : node.ownerDocument;
+    const cache = context.cfg._cache;
+    cache.anchorNodes = cache.anchorNodes || new Map();
+    if (!cache.anchorNodes.has(this)) {
+      cache.anchorNodes.set(this, new Map());
+    }
+
+    const anchorNodesByDocument = cache.anchorNodes.get(this);
+    if (!anchorNodesByDocument.has(documentNode)) {
+      const anchorContext = context.clone({ contextNode: documentNode, contextPosition: 1, nodeList: [documentNode], transformNode: this.transformNode });
+      const anchorNodes = $$(documentNode).select(this.anchor.expr, anchorContext);
+      anchorNodesByDocument.set(documentNode, new Set((anchorNodes instanceof Array) ? anchorNodes : []));
+    }
+
+    return anchorNodesByDocument.get(documentNode).has(node);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests a node against the axis and node test of a step.
+   * @method testNode
+   * @static
+   * @param {Node} node - The node to test.
+   * @param {Object} step - The step.
+   * @returns {boolean}
+   */
+  static testNode (
+    node,
+    step
+  ) {
+    const test = step.test;
+    const nodeType = node.nodeType;
+
+    if (step.axis === 'attribute') {
+      if (nodeType !== Node.ATTRIBUTE_NODE || (/^xmlns(?::|$)/).test(node.nodeName)) {
+        return false;
+      }
+    } else if (![Node.ELEMENT_NODE, Node.TEXT_NODE, Node.CDATA_SECTION_NODE, Node.COMMENT_NODE, Node.PROCESSING_INSTRUCTION_NODE].includes(nodeType)) {
+      return false;
+    }
+
+    const isPrincipal = (step.axis === 'attribute') || nodeType === Node.ELEMENT_NODE;
+    switch (test.type) {
+      case 'name':
+        return isPrincipal &&
+          (node.localName || node.nodeName.replace(/^.*:/, '')) === test.localName &&
+          (node.namespaceURI || null) === test.namespaceURI;
+      case 'any':
+        return isPrincipal;
+      case 'namespace':
+        return isPrincipal && node.namespaceURI === test.namespaceURI;
+      case 'node':
+        return true;
+      case 'text':
+        return nodeType === Node.TEXT_NODE || nodeType === Node.CDATA_SECTION_NODE;
+      case 'comment':
+        return nodeType === Node.COMMENT_NODE;
+      case 'processing-instruction':
+        return nodeType === Node.PROCESSING_INSTRUCTION_NODE && (test.target === null || node.target === test.target);
+    }
+
+    return false;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Evaluates the predicates of a step. Each predicate is evaluated with the
+   * node positioned among its siblings on the step's axis that pass the
+   * node test and any preceding predicates.
+   * @method testPredicates
+   * @instance
+   * @param {Node} node - The node to test.
+   * @param {Object} step - The step.
+   * @param {XsltContext} context - The evaluation context.
+   * @returns {boolean}
+   */
+  testPredicates (
+    node,
+    step,
+    context
+  ) {
+    if (step.predicates.length === 0) {
+      return true;
+    }
+
+    const parentNode = XsltPattern.getParent(node);
+    let siblingNodes = [node];
+    if (parentNode) {
+      siblingNodes = Array.from(((step.axis === 'attribute') ? parentNode.attributes : parentNode.childNodes) || []);
+    }
+    let nodeList = siblingNodes.filter((siblingNode) => XsltPattern.testNode(siblingNode, step));
+
+    for (let i = 0; i < step.predicates.length; i++) {
+      const predicate = step.predicates[i];
+      const test = (candidateNode, position) => {
+        const predicateContext = context.clone({ contextNode: candidateNode, contextPosition: position, nodeList: nodeList, transformNode: this.transformNode });
+        const value = $$(candidateNode).select(predicate, predicateContext);
+        if (typeof value === 'number') {
+          return value === position;
+        }
+        return (value instanceof Array || typeof value === 'string') ? value.length > 0 : !!value;
+      };
+
+      if (i === step.predicates.length - 1) {
+        return test(node, nodeList.indexOf(node) + 1);
+      }
+      nodeList = nodeList.filter((candidateNode, j) => test(candidateNode, j + 1));
+      if (!nodeList.includes(node)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Retrieves the parent of a node, which for an attribute is its owner
+   * element.
+   * @method getParent
+   * @static
+   * @param {Node} node - The node.
+   * @returns {Node|null}
+   */
+  static getParent (
+    node
+  ) {
+    return ((node.nodeType === Node.ATTRIBUTE_NODE) ? node.ownerElement : node.parentNode) || null;
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+exports.XsltPattern = XsltPattern;
+
+// ----------------------------------------------------------------------------
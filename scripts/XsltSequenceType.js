@@ -0,0 +1,433 @@
+/**
+ * @file XsltSequenceType.js - Sequence types of the as attribute (Internal Object)
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ * @see {@link https://www.w3.org/TR/xpath20/#id-sequencetype-syntax XPath 2.0 Sequence Types}
+ *
+ * NOTE: Values are held as they are elsewhere in the engine: nodes as an
+ *   array of nodes (a node-set), atomic values as strings, numbers, and
+ *   booleans, and the empty sequence as an empty array. So a sequence of
+ *   more than one atomic value cannot be held, and the numeric types are
+ *   all held as numbers.
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const { Node } = require('./Node');
+const { XPathNamespaceResolver } = require('./XPathNamespaceResolver');
+const { Utils } = require('./Utils');
+
+// ----------------------------------------------------------------------------
+// Constants
+// ----------------------------------------------------------------------------
+
+// A sequence type: the item type, with any argument in parentheses, and the
+// occurrence indicator
+const SEQUENCE_TYPE_PATTERN = new RegExp('^(empty-sequence\\(\\s*\\)|' + Utils.NCNAME + '(?::' + Utils.NCNAME + ')?(?:\\s*\\(([^()]*)\\))?)\\s*([?*+]?)$', 'u');
+
+// ----------------------------------------------------------------------------
+/*
+ * @class XsltSequenceType
+ * @classdesc A parsed sequence type, such as 'xs:integer', 'element()*', or
+ *   'attribute(id)?', against which values are converted.
+ */
+var XsltSequenceType = class {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @constructor
+   * @param {string} text - The text of the sequence type.
+   * @param {Object} itemType - The parsed item type: { kind: 'empty' },
+   *   { kind: 'item' }, { kind: 'atomic', type }, or { kind: 'node',
+   *   nodeType, name } where nodeType is null for node() and name is null
+   *   when any name is allowed.
+   * @param {string} occurrence - One of '', '?', '*', or '+'.
+   */
+  constructor (
+    text,
+    itemType,
+    occurrence
+  ) {
+    this.text = text;
+    this.itemType = itemType;
+    this.occurrence = occurrence;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  // Static methods
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Parses a sequence type.
+   * @method parse
+   * @static
+   * @param {string} text - The text of the sequence type.
+   * @param {Node} [transformNode=null] - The node whose namespace
+   *   declarations are used to resolve prefixes. Without one, only the xs
+   *   prefix (for XML Schema) can be used.
+   * @returns {XsltSequenceType}
+   * @throws {Error} - An error with the code XPST0003 if the text is not a
+   *   sequence type or XPST0051 if the type is unknown.
+   */
+  static parse (
+    text,
+    transformNode = null
+  ) {
+    const match = text.trim().match(SEQUENCE_TYPE_PATTERN);
+    if (!match) {
+      throw XsltSequenceType.createError('XPST0003', `Invalid sequence type: ${text}`);
+    }
+
+    const itemText = match[1];
+    const argument = (match[2] || '').trim();
+    const occurrence = match[3];
+    const itemName = itemText.replace(/\s*\(.*$/, '');
+
+    let itemType;
+    if (!(/\(/).test(itemText)) {
+      const type = XsltSequenceType.expandName(itemName, transformNode);
+      if (type.namespaceURI !== XsltSequenceType.XS_NAMESPACE || !XsltSequenceType.ATOMIC_TYPES.includes(type.localName)) {
+        throw XsltSequenceType.createError('XPST0051', `Unknown atomic type: ${itemName}`);
+      }
+      itemType = { kind: 'atomic', type: type.localName };
+    } else if (itemName === 'empty-sequence') {
+      if (occurrence) {
+        throw XsltSequenceType.createError('XPST0003', `Invalid sequence type: ${text}`);
+      }
+      itemType = { kind: 'empty' };
+    } else if (itemName === 'item' && !argument) {
+      itemType = { kind: 'item' };
+    } else if (XsltSequenceType.NODE_TYPES[itemName] !== undefined) {
+      let name = null;
+      if (argument && argument !== '*') {
+        if (itemName === 'processing-instruction') {
+          name = { namespaceURI: null, localName: argument.replace(/^(['"])(.*)\1$/, '$2') };
+        } else if ((itemName === 'element' || itemName === 'attribute') && Utils.QNAME_PATTERN.test(argument)) {
+          name = XsltSequenceType.expandName(argument, transformNode);
+        } else {
+          throw XsltSequenceType.createError('XPST0003', `Invalid sequence type: ${text}`);
+        }
+      }
+      itemType = { kind: 'node', nodeType: XsltSequenceType.NODE_TYPES[itemName], name: name };
+    } else {
+      throw XsltSequenceType.createError('XPST0051', `Unknown item type: ${itemText}`);
+    }
+
+    return new XsltSequenceType(text.trim(), itemType, occurrence);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Expands a QName in a sequence type. An unprefixed name is in no
+   * namespace.
+   * @method expandName
+   * @static
+   * @param {string} qName - The name.
+   * @param {Node} [transformNode=null] - The node whose namespace
+   *   declarations are used to resolve a prefix.
+   * @returns {Object} - The namespaceURI (null if none) and localName.
+   */
+  static expandName (
+    qName,
+    transformNode = null
+  ) {
+    if (!(/:/).test(qName)) {
+      return {
+        namespaceURI: null,
+        localName: qName
+      };
+    }
+
+    const prefix = qName.replace(/:.*$/, '');
+    let namespaceURI = (transformNode) ? new XPathNamespaceResolver(transformNode).getNamespace(prefix) : null;
+    if (!namespaceURI && prefix === 'xs' && !transformNode) {
+      namespaceURI = XsltSequenceType.XS_NAMESPACE;
+    }
+    if (!namespaceURI) {
+      throw XsltSequenceType.createError('XPST0081', `Undeclared namespace prefix: ${prefix}`);
+    }
+
+    return {
+      namespaceURI: namespaceURI,
+      localName: qName.replace(/^.*:/, '')
+    };
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Creates an error with an XPath or XSLT error code.
+   * @method createError
+   * @static
+   * @param {string} code - The error code.
+   * @param {string} message - The description of the error.
+   * @returns {Error}
+   */
+  static createError (
+    code,
+    message
+  ) {
+    const error = new Error(message);
+    error.code = code;
+
+    return error;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Casts a string to an atomic type.
+   * @method castString
+   * @static
+   * @param {string} value - The string to cast.
+   * @param {string} type - The local name of the atomic type.
+   * @returns {string|number|boolean}
+   * @throws {Error} - An error with the code FORG0001 if the string is not a
+   *   valid value of the type.
+   */
+  static castString (
+    value,
+    type
+  ) {
+    const text = value.trim();
+    let valid = true;
+    switch (type) {
+      case 'boolean': {
+        valid = ['true', 'false', '1', '0'].includes(text);
+        value = (text === 'true' || text === '1');
+        break;
+      }
+      case 'integer': {
+        valid = (/^[+-]?\d+$/).test(text);
+        value = Number(text);
+        break;
+      }
+      case 'decimal': {
+        valid = (/^[+-]?(\d+(\.\d*)?|\.\d+)$/).test(text);
+        value = Number(text);
+        break;
+      }
+      case 'double':
+      case 'float': {
+        valid = (/^([+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?|-?INF|NaN)$/).test(text);
+        value = (/INF$/).test(text) ? Number(text.replace('INF', 'Infinity')) : Number(text);
+        break;
+      }
+    }
+
+    if (!valid) {
+      throw XsltSequenceType.createError('FORG0001', `Cannot cast "${text}" to xs:${type}`);
+    }
+
+    return value;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Describes an item for use in error messages.
+   * @method describeItem
+   * @static
+   * @param {*} item - The item.
+   * @returns {string}
+   */
+  static describeItem (
+    item
+  ) {
+    if (item != null && item.nodeType !== undefined) {
+      return 'a node (' + item.nodeName + ')';
+    }
+
+    switch (typeof item) {
+      case 'string':
+        return 'a string ("' + item + '")';
+      case 'number':
+        return 'a number (' + item + ')';
+      case 'boolean':
+        return 'a boolean (' + item + ')';
+      default:
+        return 'a value of unknown type';
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  // Instance methods
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Converts a value to the sequence type, applying the function conversion
+   * rules: nodes are atomized when atomic values are required, the string
+   * value of a node is cast to the required type, and the numeric types are
+   * interchangeable (an xs:integer must be a whole number). The content of a
+   * result tree fragment is treated as a sequence of nodes, unless a
+   * document-node() is required.
+   * @method convert
+   * @instance
+   * @param {string|number|boolean|Array|Node} value - The value to convert.
+   * @param {Object} [options={}] - Set .cast to cast strings to the required
+   *   type, as is done for parameters supplied with a type.
+   * @returns {string|number|boolean|Array} - The converted value.
+   * @throws {Error} - An error with the code XPTY0004 if the value does not
+   *   match the type, or FORG0001 if a string cannot be cast to it.
+   */
+  convert (
+    value,
+    options = {}
+  ) {
+    let items;
+    if (value instanceof Array) {
+      items = value;
+    } else if (value != null && value.nodeType === Node.DOCUMENT_FRAGMENT_NODE && !(this.itemType.kind === 'node' && this.itemType.nodeType === Node.DOCUMENT_NODE)) {
+      items = Array.from(value.childNodes);
+    } else if (value != null) {
+      items = [value];
+    } else {
+      items = [];
+    }
+
+    const describe = () => 'a sequence of ' + items.length + ' item' + ((items.length === 1) ? '' : 's');
+    if ((items.length === 0 && ['', '+'].includes(this.occurrence) && this.itemType.kind !== 'empty') ||
+        (items.length > 1 && ['', '?'].includes(this.occurrence)) ||
+        (items.length > 0 && this.itemType.kind === 'empty')) {
+      throw XsltSequenceType.createError('XPTY0004', `Required type is ${this.text}, but the value is ${describe()}`);
+    }
+
+    switch (this.itemType.kind) {
+      case 'empty':
+      case 'item': {
+        return value;
+      }
+      case 'node': {
+        items.forEach((item) => {
+          if (!this.matchesNode(item)) {
+            throw XsltSequenceType.createError('XPTY0004', `Required type is ${this.text}, but the value contains ${XsltSequenceType.describeItem(item)}`);
+          }
+        });
+        return (value != null && value.nodeType === Node.DOCUMENT_FRAGMENT_NODE && this.itemType.nodeType === Node.DOCUMENT_NODE) ? value : items;
+      }
+      default: {
+        if (items.length === 0) {
+          return [];
+        }
+        if (items.length > 1) {
+          throw new Error(`Sequences of more than one atomic value are not supported: ${this.text}`);
+        }
+        return this.convertAtomic(items[0], options);
+      }
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Converts a single item to the atomic type.
+   * @method convertAtomic
+   * @instance
+   * @param {string|number|boolean|Node} item - The item to convert.
+   * @param {Object} [options={}] - See convert().
+   * @returns {string|number|boolean}
+   */
+  convertAtomic (
+    item,
+    options = {}
+  ) {
+    const type = this.itemType.type;
+    const untyped = (item.nodeType !== undefined);
+    const value = (untyped) ? item.textContent : item;
+
+    if ((untyped || options.cast) && typeof value === 'string') {
+      return (['anyAtomicType', 'untypedAtomic', 'string'].includes(type)) ? value : XsltSequenceType.castString(value, type);
+    }
+
+    switch (type) {
+      case 'anyAtomicType': {
+        return value;
+      }
+      case 'string': {
+        if (typeof value === 'string') {
+          return value;
+        }
+        break;
+      }
+      case 'boolean': {
+        if (typeof value === 'boolean') {
+          return value;
+        }
+        break;
+      }
+      case 'integer': {
+        if (typeof value === 'number' && Number.isInteger(value)) {
+          return value;
+        }
+        break;
+      }
+      case 'decimal':
+      case 'double':
+      case 'float': {
+        if (typeof value === 'number') {
+          return value;
+        }
+        break;
+      }
+    }
+
+    throw XsltSequenceType.createError('XPTY0004', `Required type is ${this.text}, but the value is ${XsltSequenceType.describeItem(item)}`);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests whether an item is a node matching the node kind test.
+   * @method matchesNode
+   * @instance
+   * @param {*} item - The item to test.
+   * @returns {boolean}
+   */
+  matchesNode (
+    item
+  ) {
+    if (item == null || item.nodeType === undefined) {
+      return false;
+    }
+
+    let nodeType = item.nodeType;
+    if (nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      nodeType = Node.DOCUMENT_NODE;
+    } else if (nodeType === Node.CDATA_SECTION_NODE) {
+      nodeType = Node.TEXT_NODE;
+    }
+    if (this.itemType.nodeType !== null && nodeType !== this.itemType.nodeType) {
+      return false;
+    }
+
+    const name = this.itemType.name;
+    if (!name) {
+      return true;
+    } else if (nodeType === Node.PROCESSING_INSTRUCTION_NODE) {
+      return item.target === name.localName;
+    }
+
+    return (item.localName || item.nodeName) === name.localName && (item.namespaceURI || null) === name.namespaceURI;
+  }
+};
+
+XsltSequenceType.XS_NAMESPACE = 'http://www.w3.org/2001/XMLSchema';
+
+XsltSequenceType.ATOMIC_TYPES = [
+  'anyAtomicType', 'untypedAtomic', 'string', 'boolean', 'decimal', 'integer', 'double', 'float'
+];
+
+XsltSequenceType.NODE_TYPES = {
+  node: null,
+  element: Node.ELEMENT_NODE,
+  attribute: Node.ATTRIBUTE_NODE,
+  text: Node.TEXT_NODE,
+  comment: Node.COMMENT_NODE,
+  'processing-instruction': Node.PROCESSING_INSTRUCTION_NODE,
+  'document-node': Node.DOCUMENT_NODE
+};
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+exports.XsltSequenceType = XsltSequenceType;
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,489 @@
+/**
+ * @file XsltSerializer.js - Result tree serialization (Internal Object)
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ * @see {@link http://www.w3.org/TR/1999/REC-xslt-19991116#output XSLT Output}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const { Node } = require('./Node');
+
+// ----------------------------------------------------------------------------
+// Constants
+// ----------------------------------------------------------------------------
+
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+const HTML_VOID_ELEMENTS = [
+  'area', 'base', 'basefont', 'br', 'col', 'embed', 'frame', 'hr', 'img',
+  'input', 'isindex', 'keygen', 'link', 'meta', 'param', 'source', 'track',
+  'wbr'
+];
+
+const HTML_RAW_TEXT_ELEMENTS = ['script', 'style'];
+
+const HTML_BOOLEAN_ATTRIBUTES = [
+  'async', 'autofocus', 'autoplay', 'checked', 'compact', 'controls',
+  'declare', 'default', 'defer', 'disabled', 'formnovalidate', 'hidden',
+  'ismap', 'loop', 'multiple', 'nohref', 'noresize', 'noshade',
+  'novalidate', 'nowrap', 'open', 'readonly', 'required', 'reversed',
+  'selected'
+];
+
+// ----------------------------------------------------------------------------
+/*
+ * @class XsltSerializer
+ * @classdesc Serializes a result tree according to the xml, html, or text
+ *   output method.
+ */
+var XsltSerializer = class {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @constructor
+   * @param {Object} [output=null] - The settings of <xsl:output>, or null if
+   *   there is no <xsl:output> in the transform.
+   */
+  constructor (
+    output = null
+  ) {
+    this.output = output;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines the output method. When not specified, the html method is
+   * used if the first element of the result is <html> (in no namespace)
+   * with only whitespace text before it, and the xml method otherwise.
+   * @method getMethod
+   * @instance
+   * @param {Node} resultNode - The root of the result tree.
+   * @returns {string} - One of 'xml', 'html', or 'text'.
+   */
+  getMethod (
+    resultNode
+  ) {
+    const method = (this.output && this.output.method) ? this.output.method.trim().toLowerCase() : null;
+    if (['xml', 'html', 'text'].includes(method)) {
+      return method;
+    }
+
+    for (let i = 0; i < resultNode.childNodes.length; i++) {
+      const childNode = resultNode.childNodes[i];
+      if (childNode.nodeType === Node.ELEMENT_NODE) {
+        return (!childNode.namespaceURI && childNode.localName.toLowerCase() === 'html') ? 'html' : 'xml';
+      } else if (childNode.nodeType === Node.TEXT_NODE && (/\S/).test(childNode.nodeValue)) {
+        return 'xml';
+      }
+    }
+
+    return 'xml';
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Serializes the result tree.
+   * @method serialize
+   * @instance
+   * @param {Node} resultNode - The root of the result tree.
+   * @returns {string}
+   */
+  serialize (
+    resultNode
+  ) {
+    this.method = this.getMethod(resultNode);
+    if (this.method === 'text') {
+      return this.serializeText(resultNode);
+    }
+
+    let text = '';
+    if (this.method === 'xml' && this.output) {
+      if (!this.output.omitXmlDeclaration || this.output.omitXmlDeclaration.toLowerCase() !== 'yes') {
+        text += '<?xml';
+        text += ' version="' + (this.output.version || '1.0') + '"';
+        text += ' encoding="' + (this.output.encoding || 'UTF-8') + '"';
+        text += ' standalone="' + (this.output.standalone || 'no') + '"';
+        text += '?>\n';
+      }
+    }
+
+    const namespaces = { '': '', xml: XML_NAMESPACE };
+    const childNodes = this.getChildNodes(resultNode, this.isIndenting());
+    childNodes.forEach((childNode, i) => {
+      if (childNode.nodeType === Node.ELEMENT_NODE && !childNodes.slice(0, i).some((node) => node.nodeType === Node.ELEMENT_NODE)) {
+        text += this.serializeDoctype(childNode);
+      }
+      text += ((i > 0 && this.isIndenting()) ? '\n' : '') + this.serializeNode(childNode, namespaces, 1, this.isIndenting());
+    });
+
+    return text;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines whether indent="yes" was specified.
+   * @method isIndenting
+   * @instance
+   * @returns {boolean}
+   */
+  isIndenting () {
+    return !!this.output && (this.output.indent || '').trim().toLowerCase() === 'yes';
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Creates the document type declaration to write before the first
+   * element, if doctype-system (or, for html, doctype-public) was specified.
+   * @method serializeDoctype
+   * @instance
+   * @param {Node} elementNode - The first element of the result tree.
+   * @returns {string}
+   */
+  serializeDoctype (
+    elementNode
+  ) {
+    const doctypePublic = (this.output) ? this.output.doctypePublic : null;
+    const doctypeSystem = (this.output) ? this.output.doctypeSystem : null;
+
+    let doctype = '';
+    if (this.method === 'html' && doctypePublic) {
+      doctype = '<!DOCTYPE html PUBLIC "' + doctypePublic + '"' + ((doctypeSystem) ? ' "' + doctypeSystem + '"' : '') + '>';
+    } else if (this.method === 'html' && doctypeSystem) {
+      doctype = '<!DOCTYPE html SYSTEM "' + doctypeSystem + '">';
+    } else if (doctypeSystem) {
+      doctype = '<!DOCTYPE ' + elementNode.nodeName +
+        ((doctypePublic) ? ' PUBLIC "' + doctypePublic + '"' : ' SYSTEM') +
+        ' "' + doctypeSystem + '">';
+    }
+
+    return (doctype) ? doctype + '\n' : '';
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Retrieves the child nodes to serialize, leaving out empty text nodes
+   * and, when indenting element-only content, whitespace-only text nodes.
+   * @method getChildNodes
+   * @instance
+   * @param {Node} node - The parent node.
+   * @param {boolean} indent - Whether the children are to be indented.
+   * @returns {Array}
+   */
+  getChildNodes (
+    node,
+    indent
+  ) {
+    return Array.from(node.childNodes).filter((childNode) => {
+      if (childNode.nodeType !== Node.TEXT_NODE) {
+        return true;
+      }
+      return (indent) ? (/\S/).test(childNode.nodeValue) : childNode.nodeValue !== '';
+    });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines whether the children of an element can be indented without
+   * altering its content -- there is no text other than whitespace, and
+   * whitespace is not being preserved.
+   * @method canIndent
+   * @instance
+   * @param {Node} elementNode - The element.
+   * @returns {boolean}
+   */
+  canIndent (
+    elementNode
+  ) {
+    if (elementNode.getAttribute('xml:space') === 'preserve') {
+      return false;
+    }
+    if (this.method === 'html' && !elementNode.namespaceURI && HTML_RAW_TEXT_ELEMENTS.includes(elementNode.localName.toLowerCase())) {
+      return false;
+    }
+
+    return !Array.from(elementNode.childNodes).some((childNode) => {
+      return childNode.nodeType === Node.CDATA_SECTION_NODE ||
+        (childNode.nodeType === Node.TEXT_NODE && (/\S/).test(childNode.nodeValue));
+    });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Serializes a node of the result tree using the xml or html output
+   * method.
+   * @method serializeNode
+   * @instance
+   * @param {Node} node - The node to serialize.
+   * @param {Object} namespaces - The namespace prefixes in scope, mapped to
+   *   their namespace URIs.
+   * @param {number} depth - The nesting depth of the node.
+   * @param {boolean} indent - Whether indenting is permitted. Once mixed
+   *   content is encountered, its descendants are not indented.
+   * @param {Node} [parentNode=null] - The element containing the node.
+   * @returns {string}
+   */
+  serializeNode (
+    node,
+    namespaces,
+    depth,
+    indent,
+    parentNode = null
+  ) {
+    switch (node.nodeType) {
+      case Node.ELEMENT_NODE: {
+        return this.serializeElement(node, namespaces, depth, indent);
+      }
+      case Node.TEXT_NODE:
+      case Node.CDATA_SECTION_NODE: {
+        return this.serializeTextNode(node, parentNode);
+      }
+      case Node.COMMENT_NODE: {
+        return '<!--' + node.nodeValue + '-->';
+      }
+      case Node.PROCESSING_INSTRUCTION_NODE: {
+        return '<?' + node.target + ((node.data) ? ' ' + node.data : '') + ((this.method === 'html') ? '>' : '?>');
+      }
+      default: {
+        return '';
+      }
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Serializes an element, declaring any namespace that is not already in
+   * scope. With the html output method, elements in no namespace follow
+   * the HTML rules for void elements, boolean attributes, raw text, and the
+   * content type <meta> element.
+   * @method serializeElement
+   * @instance
+   * @param {Node} elementNode - The element to serialize.
+   * @param {Object} namespaces - The namespace prefixes in scope.
+   * @param {number} depth - The nesting depth of the element.
+   * @param {boolean} indent - Whether indenting is permitted.
+   * @returns {string}
+   */
+  serializeElement (
+    elementNode,
+    namespaces,
+    depth,
+    indent
+  ) {
+    const isHtml = this.method === 'html' && !elementNode.namespaceURI;
+    const name = elementNode.localName.toLowerCase();
+    const scope = Object.assign({}, namespaces);
+
+    let declarations = '';
+    const declare = (prefix, namespaceURI) => {
+      if (scope[prefix] !== namespaceURI && prefix !== 'xml' && (namespaceURI || !prefix)) {
+        scope[prefix] = namespaceURI;
+        declarations += ' ' + ((prefix) ? 'xmlns:' + prefix : 'xmlns') + '="' + XsltSerializer.escapeAttribute(namespaceURI) + '"';
+      }
+    };
+
+    const attributes = Array.from(elementNode.attributes);
+    attributes.forEach((attribute) => {
+      if ((/^xmlns(:|$)/).test(attribute.nodeName)) {
+        declare(attribute.nodeName.replace(/^xmlns:?/, ''), attribute.nodeValue);
+      }
+    });
+    if (!isHtml) {
+      declare(elementNode.prefix || '', elementNode.namespaceURI || '');
+    }
+
+    let text = '<' + elementNode.nodeName;
+    attributes.forEach((attribute) => {
+      if ((/^xmlns(:|$)/).test(attribute.nodeName)) {
+        return;
+      }
+      if (attribute.namespaceURI && attribute.prefix) {
+        declare(attribute.prefix, attribute.namespaceURI);
+      }
+
+      if (isHtml && HTML_BOOLEAN_ATTRIBUTES.includes(attribute.nodeName.toLowerCase()) && attribute.nodeValue.toLowerCase() === attribute.nodeName.toLowerCase()) {
+        text += ' ' + attribute.nodeName;
+      } else if (isHtml) {
+        text += ' ' + attribute.nodeName + '="' + XsltSerializer.escapeHtmlAttribute(attribute.nodeValue) + '"';
+      } else {
+        text += ' ' + attribute.nodeName + '="' + XsltSerializer.escapeAttribute(attribute.nodeValue) + '"';
+      }
+    });
+    text += declarations;
+
+    const indentChildren = indent && this.canIndent(elementNode);
+    let childNodes = this.getChildNodes(elementNode, indentChildren);
+    const contentType = isHtml && name === 'head';
+    if (contentType) {
+      childNodes = childNodes.filter((childNode) => !XsltSerializer.isContentTypeMeta(childNode));
+    }
+
+    let content = childNodes.map((childNode) => {
+      return ((indentChildren) ? '\n' + ('  ').repeat(depth) : '') +
+        this.serializeNode(childNode, scope, depth + 1, indentChildren, elementNode);
+    }).join('');
+    if (contentType) {
+      const encoding = (this.output && this.output.encoding) || 'UTF-8';
+      const mediaType = (this.output && this.output.mediaType) || 'text/html';
+      content = ((indentChildren) ? '\n' + ('  ').repeat(depth) : '') +
+        '<meta http-equiv="Content-Type" content="' + mediaType + '; charset=' + encoding + '">' + content;
+    }
+    if (indentChildren && content) {
+      content += '\n' + ('  ').repeat(depth - 1);
+    }
+
+    if (isHtml) {
+      return (HTML_VOID_ELEMENTS.includes(name) && !content) ? text + '>' : text + '>' + content + '</' + elementNode.nodeName + '>';
+    }
+
+    return (content) ? text + '>' + content + '</' + elementNode.nodeName + '>' : text + '/>';
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Serializes a text node. With the xml output method, text in elements
+   * listed in cdata-section-elements is written as CDATA sections. Text in
+   * HTML script and style elements, and text output with
+   * disable-output-escaping, is not escaped.
+   * @method serializeTextNode
+   * @instance
+   * @param {Node} textNode - The text or CDATA section node.
+   * @param {Node} parentNode - The element containing the node, or null.
+   * @returns {string}
+   */
+  serializeTextNode (
+    textNode,
+    parentNode
+  ) {
+    const text = textNode.nodeValue;
+    if (textNode._disableOutputEscaping) {
+      return text;
+    }
+    if (!parentNode) {
+      return XsltSerializer.escapeText(text);
+    }
+
+    if (this.method === 'html' && !parentNode.namespaceURI && HTML_RAW_TEXT_ELEMENTS.includes(parentNode.localName.toLowerCase())) {
+      return text;
+    }
+
+    const cdataSectionElements = (this.method === 'xml' && this.output && this.output.cdataSectionElements) || [];
+    const parentName = ((parentNode.namespaceURI) ? '{' + parentNode.namespaceURI + '}' : '') + parentNode.localName;
+    if (textNode.nodeType === Node.CDATA_SECTION_NODE || cdataSectionElements.includes(parentName)) {
+      return '<![CDATA[' + text.replace(/]]>/g, ']]]]><![CDATA[>') + ']]>';
+    }
+
+    return XsltSerializer.escapeText(text);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Serializes the result tree using the text output method -- the string
+   * value of the result tree without any escaping.
+   * @method serializeText
+   * @instance
+   * @param {Node} resultNode - The root of the result tree.
+   * @returns {string}
+   */
+  serializeText (
+    resultNode
+  ) {
+    let text = '';
+    const visit = (node) => {
+      if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+        text += node.nodeValue;
+      } else if ([Node.ELEMENT_NODE, Node.DOCUMENT_NODE, Node.DOCUMENT_FRAGMENT_NODE].includes(node.nodeType)) {
+        for (let i = 0; i < node.childNodes.length; i++) {
+          visit(node.childNodes[i]);
+        }
+      }
+    };
+
+    visit(resultNode);
+    return text;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests whether a node is a <meta http-equiv="Content-Type"> element.
+   * @method isContentTypeMeta
+   * @static
+   * @param {Node} node - The node to test.
+   * @returns {boolean}
+   */
+  static isContentTypeMeta (
+    node
+  ) {
+    return node.nodeType === Node.ELEMENT_NODE &&
+      !node.namespaceURI &&
+      node.localName.toLowerCase() === 'meta' &&
+      (node.getAttribute('http-equiv') || '').toLowerCase() === 'content-type';
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Escapes the markup characters in text content.
+   * @method escapeText
+   * @static
+   * @param {string} text - The text to escape.
+   * @returns {string}
+   */
+  static escapeText (
+    text
+  ) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Escapes an XML attribute value, including whitespace characters that
+   * would otherwise be normalized when the value is parsed.
+   * @method escapeAttribute
+   * @static
+   * @param {string} value - The value to escape.
+   * @returns {string}
+   */
+  static escapeAttribute (
+    value
+  ) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\t/g, '&#9;')
+      .replace(/\n/g, '&#10;')
+      .replace(/\r/g, '&#13;');
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Escapes an HTML attribute value. Neither '<' nor an '&' immediately
+   * followed by '{' is escaped.
+   * @method escapeHtmlAttribute
+   * @static
+   * @param {string} value - The value to escape.
+   * @returns {string}
+   */
+  static escapeHtmlAttribute (
+    value
+  ) {
+    return value
+      .replace(/&(?!{)/g, '&amp;')
+      .replace(/"/g, '&quot;');
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+exports.XsltSerializer = XsltSerializer;
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,219 @@
+/**
+ * @file XsltStylesheet.js - A compiled stylesheet
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const { FileUriResolver } = require('./FileUriResolver');
+const { XsltContext } = require('./XsltContext');
+const { XsltError } = require('./XsltError');
+const { XsltSequenceType } = require('./XsltSequenceType');
+const { XsltSerializer } = require('./XsltSerializer');
+const { XsltLog } = require('./XsltLog');
+const { Utils } = require('./Utils');
+
+// ----------------------------------------------------------------------------
+/*
+ * @class XsltStylesheet
+ * @classdesc A transform compiled once by XSLT.compile() and then applied to
+ *   any number of input documents. The stylesheet works on its own copy of
+ *   the transform document, into which the includes and imports are merged,
+ *   so the document passed in is never modified. Once compiled, the
+ *   stylesheet is frozen and holds nothing that is specific to a
+ *   transformation, so transformations may run concurrently.
+ */
+var XsltStylesheet = class {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @constructor
+   * @param {XmlDocument} transformDoc - The transform document, as a DOM
+   *   node.
+   * @param {Object} [options={}] - The transformURL of the transform and the
+   *   uriResolver to load its modules and documents with.
+   */
+  constructor (
+    transformDoc,
+    options = {}
+  ) {
+    this.transformURL = options.transformURL || null;
+    this.uriResolver = options.uriResolver || new FileUriResolver();
+    this.document = transformDoc.cloneNode(true);
+    Utils.setSystemId(this.document, this.transformURL);
+
+    // The declarations and compiled structures (see XsltContext.compile)
+    this.output = null;
+    this.decimalFormats = {};
+    this.stripSpaceList = {};
+    this.preserveSpaceList = {};
+    this.compiled = {};
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  // Static methods
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Compiles a transform.
+   * @method compile
+   * @static
+   * @param {XmlDocument} transformDoc - The transform document, as a DOM
+   *   node.
+   * @param {Object} [options={}] - Compilation options: transformURL,
+   *   uriResolver, logger, debug, and recover.
+   * @throws {XsltError} - The static errors of the transform (see
+   *   XsltValidator), combined into one if there are several.
+   * @returns {XsltStylesheet} - The compiled (and frozen) stylesheet.
+   */
+  static async compile (
+    transformDoc,
+    options = {}
+  ) {
+    const stylesheet = new XsltStylesheet(transformDoc, options);
+    const log = new XsltLog(options.logger || console, options.debug || false);
+
+    const startTime = Date.now();
+    const cfg = {
+      stripSpaceList: stylesheet.stripSpaceList,
+      preserveSpaceList: stylesheet.preserveSpaceList,
+      output: null,
+      decimalFormats: stylesheet.decimalFormats,
+      indent: 0,
+      log: log,
+      measures: Utils.createMeasures(),
+      uriResolver: stylesheet.uriResolver,
+      recover: options.recover || false,
+      _compiled: stylesheet.compiled,
+      _cache: {}
+    };
+    const xsltContext = new XsltContext(stylesheet.document, {
+      transformURL: stylesheet.transformURL,
+      cfg: cfg
+    });
+    await xsltContext.compile(stylesheet.document.documentElement);
+    stylesheet.output = cfg.output;
+    log.logger.info('# --- Compilation completed in ' + (Date.now() - startTime) + ' millisecs ---');
+
+    Utils.reportMeasures(cfg.measures, log.logger);
+
+    // The declarations and indexes are frozen all the way down (apart from
+    // the nodes of the transform -- see Utils.deepFreeze), but the
+    // uriResolver is only referred to
+    [stylesheet.output, stylesheet.decimalFormats, stylesheet.stripSpaceList, stylesheet.preserveSpaceList, stylesheet.compiled].forEach((item) => {
+      Utils.deepFreeze(item);
+    });
+    Object.freeze(stylesheet);
+
+    return stylesheet;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Determines the values of the parameters supplied for a transformation,
+   * casting those given a type to it. Other values are taken as they are.
+   * @method getParamValues
+   * @static
+   * @param {Object} params - An object of name/value parameters.
+   * @returns {Object} - A new object of name/value parameters.
+   * @throws {XsltError} - An error with the code FORG0001 or XPTY0004 if a
+   *   value cannot be cast to its type.
+   */
+  static getParamValues (
+    params
+  ) {
+    const paramValues = {};
+    for (const name in params) {
+      const param = params[name];
+      if (param != null && param.constructor === Object && param.as !== undefined) {
+        try {
+          paramValues[name] = XsltSequenceType.parse(param.as).convert(param.value, { cast: true });
+        } catch (exception) {
+          throw new XsltError(exception.code, `Invalid value for parameter ${name}: ` + exception.message, { cause: exception });
+        }
+      } else {
+        paramValues[name] = param;
+      }
+    }
+
+    return paramValues;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  // Instance methods
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Applies the stylesheet to an input document.
+   * @method transform
+   * @instance
+   * @param {XmlDocument} inputDoc - The input document root, as DOM node.
+   * @param {Object} [params={}] - An object of name/value parameters. A
+   *   parameter is given a type by passing its value as an object with the
+   *   value and the sequence type it is to be cast to, as in
+   *   { value: '007', as: 'xs:integer' }.
+   * @param {Object} [options={}] - Processing options: inputURL,
+   *   uriResolver (by default, that the stylesheet was compiled with),
+   *   customFunctions, logger, debug, errorOnAmbiguousMatch, onMessage, and
+   *   recover (see XSLT.transform()).
+   * @returns the processed document, as text in a string serialized
+   *   according to the output method (xml, html, or text).
+   */
+  async transform (
+    inputDoc,
+    params = {},
+    options = {}
+  ) {
+    // All the state of a transformation is kept here, rather than in the
+    // stylesheet, so that concurrent transformations are isolated.
+    const log = new XsltLog(options.logger || console, options.debug || false);
+    const logger = log.logger;
+
+    const fragmentNode = inputDoc.createDocumentFragment();
+
+    const startTime = Date.now();
+    const cfg = { // We use an object to ensure that the lists are pass-by-reference
+      stripSpaceList: this.stripSpaceList,
+      preserveSpaceList: this.preserveSpaceList,
+      errorOnAmbiguousMatch: options.errorOnAmbiguousMatch || false,
+      onMessage: options.onMessage || null,
+      recover: options.recover || false,
+      output: this.output,
+      decimalFormats: this.decimalFormats,
+      counter: 1,
+      indent: 0,
+      log: log,
+      measures: Utils.createMeasures(),
+      uriResolver: options.uriResolver || this.uriResolver,
+      _compiled: this.compiled,
+      _cache: {}
+    };
+    const xsltContext = new XsltContext(inputDoc.documentElement, {
+      variables: XsltStylesheet.getParamValues(params), // The global variables are added to these
+      inputURL: options.inputURL,
+      transformURL: this.transformURL,
+      customFunctions: options.customFunctions,
+      cfg: cfg,
+      logger: logger
+    });
+    await xsltContext.processRoot(this.document.documentElement, fragmentNode);
+    logger.info('# --- Processing completed in ' + (Date.now() - startTime) + ' millisecs ---');
+
+    const xml = new XsltSerializer(cfg.output).serialize(fragmentNode);
+
+    Utils.reportMeasures(cfg.measures, logger);
+
+    return xml;
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+exports.XsltStylesheet = XsltStylesheet;
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,634 @@
+/**
+ * @file XsltValidator.js - Static analysis of a transform (Internal Object)
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ * @see {@link https://www.w3.org/TR/xslt20/#element-syntax-summary XSLT Element Syntax Summary}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const XPath = require('xpath');
+const { Node } = require('./Node');
+const { XDomHelper } = require('./XDomHelper');
+
+// ----------------------------------------------------------------------------
+// Constants
+// ----------------------------------------------------------------------------
+
+const XSLT_NAMESPACE = 'http://www.w3.org/1999/XSL/Transform';
+
+// The attributes that any XSLT element may have: the standard attributes,
+// and the debug attribute of this implementation.
+const STANDARD_ATTRIBUTES = ['version', 'exclude-result-prefixes', 'extension-element-prefixes',
+  'xpath-default-namespace', 'default-collation', 'use-when', 'debug'];
+
+// The attributes (those required marked with *) of each XSLT element, and
+// where it may be: at the top level of the stylesheet (top), in a template
+// or other sequence constructor (inner), either (any), or as the stylesheet
+// itself (root). Elements that are not implemented are still listed, so that
+// they are not taken to be misspelled.
+const ELEMENTS = {
+  'analyze-string': { level: 'inner', attributes: ['select*', 'regex*', 'flags'] },
+  'apply-imports': { level: 'inner', attributes: [] },
+  'apply-templates': { level: 'inner', attributes: ['select', 'mode'] },
+  attribute: { level: 'inner', attributes: ['name*', 'namespace', 'select', 'separator', 'type', 'validation'] },
+  'attribute-set': { level: 'top', attributes: ['name*', 'use-attribute-sets'] },
+  'call-template': { level: 'inner', attributes: ['name*'] },
+  'character-map': { level: 'top', attributes: ['name*', 'use-character-maps'] },
+  choose: { level: 'inner', attributes: [] },
+  comment: { level: 'inner', attributes: ['select'] },
+  copy: { level: 'inner', attributes: ['copy-namespaces', 'inherit-namespaces', 'use-attribute-sets', 'type', 'validation'] },
+  'copy-of': { level: 'inner', attributes: ['select*', 'copy-namespaces', 'type', 'validation'] },
+  debug: { level: 'inner', attributes: [] },
+  'decimal-format': { level: 'top', attributes: ['name', 'decimal-separator', 'grouping-separator', 'infinity', 'minus-sign', 'NaN', 'percent', 'per-mille', 'zero-digit', 'digit', 'pattern-separator'] },
+  document: { level: 'inner', attributes: ['validation', 'type'] },
+  element: { level: 'inner', attributes: ['name*', 'namespace', 'inherit-namespaces', 'use-attribute-sets', 'type', 'validation'] },
+  fallback: { level: 'inner', attributes: [] },
+  'for-each': { level: 'inner', attributes: ['select*'] },
+  'for-each-group': { level: 'inner', attributes: ['select*', 'group-by', 'group-adjacent', 'group-starting-with', 'group-ending-with', 'collation'] },
+  function: { level: 'top', attributes: ['name*', 'as', 'override'] },
+  if: { level: 'inner', attributes: ['test*'] },
+  import: { level: 'top', attributes: ['href*'] },
+  'import-schema': { level: 'top', attributes: ['namespace', 'schema-location'] },
+  include: { level: 'top', attributes: ['href*'] },
+  key: { level: 'top', attributes: ['name*', 'match*', 'use*', 'collation'] },
+  'matching-substring': { level: 'inner', attributes: [] },
+  message: { level: 'inner', attributes: ['select', 'terminate'] },
+  namespace: { level: 'inner', attributes: ['name*', 'select'] },
+  'namespace-alias': { level: 'top', attributes: ['stylesheet-prefix*', 'result-prefix*'] },
+  'next-match': { level: 'inner', attributes: [] },
+  'non-matching-substring': { level: 'inner', attributes: [] },
+  number: { level: 'inner', attributes: ['value', 'select', 'level', 'count', 'from', 'format', 'lang', 'letter-value', 'ordinal', 'grouping-separator', 'grouping-size'] },
+  otherwise: { level: 'inner', attributes: [] },
+  output: { level: 'top', attributes: ['name', 'method', 'byte-order-mark', 'cdata-section-elements', 'doctype-public', 'doctype-system', 'encoding', 'escape-uri-attributes', 'include-content-type', 'indent', 'media-type', 'normalization-form', 'omit-xml-declaration', 'standalone', 'undeclare-prefixes', 'use-character-maps', 'version'] },
+  'output-character': { level: 'inner', attributes: ['character*', 'string*'] },
+  param: { level: 'any', attributes: ['name*', 'select', 'as', 'required', 'tunnel'] },
+  'perform-sort': { level: 'inner', attributes: ['select'] },
+  'preserve-space': { level: 'top', attributes: ['elements*'] },
+  'processing-instruction': { level: 'inner', attributes: ['name*', 'select'] },
+  'result-document': { level: 'inner', attributes: ['format', 'href', 'validation', 'type', 'method', 'byte-order-mark', 'cdata-section-elements', 'doctype-public', 'doctype-system', 'encoding', 'escape-uri-attributes', 'include-content-type', 'indent', 'media-type', 'normalization-form', 'omit-xml-declaration', 'standalone', 'undeclare-prefixes', 'use-character-maps', 'output-version'] },
+  sequence: { level: 'inner', attributes: ['select*'] },
+  sort: { level: 'inner', attributes: ['select', 'lang', 'order', 'collation', 'stable', 'case-order', 'data-type'] },
+  'strip-space': { level: 'top', attributes: ['elements*'] },
+  stylesheet: { level: 'root', attributes: ['id', 'default-validation', 'input-type-annotations'] },
+  template: { level: 'top', attributes: ['match', 'name', 'priority', 'mode', 'as'] },
+  text: { level: 'inner', attributes: ['disable-output-escaping'] },
+  transform: { level: 'root', attributes: ['id', 'default-validation', 'input-type-annotations'] },
+  'value-of': { level: 'inner', attributes: ['select', 'separator', 'disable-output-escaping'] },
+  variable: { level: 'any', attributes: ['name*', 'select', 'as'] },
+  when: { level: 'inner', attributes: ['test*'] },
+  'with-param': { level: 'inner', attributes: ['name*', 'select', 'as', 'tunnel'] }
+};
+
+// The attributes of XSLT elements that are attribute value templates
+const VALUE_TEMPLATES = {
+  attribute: ['name', 'namespace', 'separator'],
+  element: ['name', 'namespace'],
+  message: ['terminate'],
+  namespace: ['name'],
+  number: ['format', 'lang', 'letter-value', 'ordinal', 'grouping-separator', 'grouping-size'],
+  'processing-instruction': ['name'],
+  sort: ['lang', 'order', 'collation', 'stable', 'case-order', 'data-type'],
+  'value-of': ['separator']
+};
+
+// The attributes of XSLT elements that are expressions and patterns
+const EXPRESSIONS = ['select', 'test', 'use', 'value', 'group-by', 'group-adjacent'];
+const PATTERNS = {
+  template: ['match'],
+  key: ['match'],
+  number: ['count', 'from']
+};
+
+// The attributes in the XSLT namespace that a literal result element may have
+const LITERAL_RESULT_ATTRIBUTES = STANDARD_ATTRIBUTES.concat(['use-attribute-sets', 'inherit-namespaces', 'type', 'validation'])
+  .filter((name) => name !== 'debug');
+
+// ----------------------------------------------------------------------------
+/*
+ * @class XsltValidator
+ * @classdesc Finds the static errors of a transform, once its includes and
+ *   imports have been resolved, so that they are all reported together
+ *   before it is applied: elements that are misplaced or unknown, attributes
+ *   that are missing or unknown, expressions, patterns and attribute value
+ *   templates that do not parse, declarations that conflict, and references
+ *   to templates, keys, attribute sets, decimal formats, and namespace
+ *   prefixes that are not declared. A mode that no template rule has is
+ *   only warned about, as the built-in template rules still apply in it.
+ */
+var XsltValidator = class {
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * @constructor
+   * @param {XsltContext} context - The context compiling the transform, with
+   *   which errors are located.
+   */
+  constructor (
+    context
+  ) {
+    this.context = context;
+    this.errors = [];
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Tests whether the children of an element are at the top level of the
+   * stylesheet, that is whether it is the <xsl:stylesheet> element.
+   * @method isTopLevel
+   * @static
+   * @param {Node} parentNode - The element, or null.
+   * @returns {boolean}
+   */
+  static isTopLevel (
+    parentNode
+  ) {
+    return parentNode != null && parentNode.namespaceURI === XSLT_NAMESPACE &&
+      ['stylesheet', 'transform'].includes(parentNode.localName) && parentNode.parentNode.nodeType === Node.DOCUMENT_NODE;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Finds the static errors of a transform.
+   * @method validate
+   * @instance
+   * @param {Node} transformNode - The <xsl:stylesheet> element, with its
+   *   includes and imports resolved.
+   * @returns {Array} - The errors (XsltError), those of the elements in
+   *   document order first, which is empty if there are none.
+   */
+  validate (
+    transformNode
+  ) {
+    this.declarations = this.getDeclarations(transformNode);
+    this.validateElement(transformNode, null);
+    this.validateDeclarations();
+
+    return this.errors;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Records an error.
+   * @method addError
+   * @instance
+   * @param {string} code - The error code (see XsltError).
+   * @param {string} description - What is wrong.
+   * @param {Node} transformNode - The element or attribute that is wrong.
+   * @param {Object} [details={}] - The xPath that is wrong.
+   */
+  addError (
+    code,
+    description,
+    transformNode,
+    details = {}
+  ) {
+    this.errors.push(this.context.createError(code, description, transformNode, details));
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Indexes the top-level elements of the transform by their names.
+   * @method getDeclarations
+   * @instance
+   * @param {Node} transformNode - The <xsl:stylesheet> element.
+   * @returns {Object} - For each kind of declaration (templates, modes,
+   *   keys, attributeSets, decimalFormats, and globals), a map from the
+   *   name to the elements declaring it.
+   */
+  getDeclarations (
+    transformNode
+  ) {
+    const declarations = {
+      templates: new Map(),
+      modes: new Map(),
+      keys: new Map(),
+      attributeSets: new Map(),
+      decimalFormats: new Map(),
+      globals: new Map()
+    };
+    const add = (map, name, node) => {
+      map.set(name, (map.get(name) || []).concat([node]));
+    };
+
+    for (let i = 0; i < transformNode.childNodes.length; i++) {
+      const node = transformNode.childNodes[i];
+      if (node.nodeType !== Node.ELEMENT_NODE || node.namespaceURI !== XSLT_NAMESPACE) {
+        continue;
+      }
+
+      switch (node.localName) {
+        case 'template': {
+          if (node.hasAttribute('name')) {
+            add(declarations.templates, node.getAttribute('name'), node);
+          }
+          if (node.hasAttribute('match')) {
+            (node.getAttribute('mode') || '#default').trim().split(/\s+/).forEach((mode) => add(declarations.modes, mode, node));
+          }
+          break;
+        }
+        case 'key': {
+          add(declarations.keys, node.getAttribute('name'), node);
+          break;
+        }
+        case 'attribute-set': {
+          add(declarations.attributeSets, node.getAttribute('name'), node);
+          break;
+        }
+        case 'decimal-format': {
+          add(declarations.decimalFormats, node.getAttribute('name') || '_default', node);
+          break;
+        }
+        case 'variable':
+        case 'param': {
+          try {
+            add(declarations.globals, this.context.expandVariableName(node, node.getAttribute('name')), node);
+          } catch (exception) {
+            this.addError(exception.code, exception.message, node.getAttributeNode('name'));
+          }
+          break;
+        }
+      }
+    }
+
+    return declarations;
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Reports declarations of the same name and import precedence, of which
+   * only one is allowed, and attribute sets that use themselves.
+   * @method validateDeclarations
+   * @instance
+   */
+  validateDeclarations () {
+    const checkUnique = (map, code, kind) => {
+      map.forEach((nodes, name) => {
+        for (let i = 1; i < nodes.length; i++) {
+          if (nodes.slice(0, i).some((node) => this.context.compareImportPrecedence(node, nodes[i]) === 0)) {
+            this.addError(code, `duplicate ${kind} "${name}" with the same import precedence`, nodes[i]);
+          }
+        }
+      });
+    };
+    checkUnique(this.declarations.templates, 'XTSE0660', 'template');
+    checkUnique(this.declarations.globals, 'XTSE0630', 'global variable or parameter');
+
+    // The names of the attribute sets used by those of a name
+    const getUsedNames = (name) => (this.declarations.attributeSets.get(name) || [])
+      .map((node) => (node.getAttribute('use-attribute-sets') || '').trim().split(/\s+/))
+      .reduce((names, usedNames) => names.concat(usedNames.filter((usedName) => usedName)), []);
+    this.declarations.attributeSets.forEach((nodes, name) => {
+      const findCycle = (path) => {
+        for (const usedName of getUsedNames(path[path.length - 1])) {
+          if (usedName === name) {
+            return path.concat([usedName]);
+          } else if (!path.includes(usedName)) {
+            const cycle = findCycle(path.concat([usedName]));
+            if (cycle) {
+              return cycle;
+            }
+          }
+        }
+        return null;
+      };
+      const cycle = findCycle([name]);
+      if (cycle) {
+        this.addError('XTSE0720', `attribute set "${name}" uses itself (${cycle.join(' -> ')})`, nodes[0]);
+      }
+    });
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Checks an element of the transform and, in turn, its descendants. A
+   * top-level element in another namespace than XSLT is data for the
+   * stylesheet, and is ignored along with its descendants.
+   * @method validateElement
+   * @instance
+   * @param {Node} transformNode - The element.
+   * @param {Node} parentNode - Its parent, or null for the document element.
+   */
+  validateElement (
+    transformNode,
+    parentNode
+  ) {
+    if (transformNode.namespaceURI !== XSLT_NAMESPACE && XsltValidator.isTopLevel(parentNode)) {
+      return;
+    } else if (transformNode.namespaceURI === XSLT_NAMESPACE) {
+      this.validateInstruction(transformNode, parentNode);
+    } else {
+      this.validateLiteralResultElement(transformNode);
+    }
+
+    for (let i = 0; i < transformNode.childNodes.length; i++) {
+      if (transformNode.childNodes[i].nodeType === Node.ELEMENT_NODE) {
+        this.validateElement(transformNode.childNodes[i], transformNode);
+      }
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Checks an element in the XSLT namespace: that it is known and where it
+   * is allowed, that it has the attributes required and no others, and that
+   * its expressions, patterns, attribute value templates, and references
+   * are valid. In forwards-compatible mode, unknown elements and attributes
+   * are left for when they are evaluated (see
+   * XsltContext.isForwardsCompatible).
+   * @method validateInstruction
+   * @instance
+   * @param {Node} transformNode - The element.
+   * @param {Node} parentNode - Its parent, or null for the document element.
+   */
+  validateInstruction (
+    transformNode,
+    parentNode
+  ) {
+    const localName = transformNode.localName;
+    const definition = ELEMENTS[localName];
+    const isForwardsCompatible = this.context.isForwardsCompatible(transformNode);
+    if (!definition) {
+      if (!isForwardsCompatible) {
+        this.addError('XTSE0010', `unknown XSLT element: ${transformNode.nodeName}`, transformNode);
+      }
+      return;
+    }
+
+    const isTopLevel = XsltValidator.isTopLevel(parentNode);
+    if ((definition.level === 'root' && parentNode != null) ||
+        (definition.level === 'top' && !isTopLevel) ||
+        (definition.level === 'inner' && isTopLevel)) {
+      this.addError('XTSE0010', `${transformNode.nodeName} is not allowed ${(isTopLevel) ? 'at the top level' : 'here'}`, transformNode);
+    }
+
+    // Attributes
+    const allowed = definition.attributes.map((name) => name.replace(/\*$/, '')).concat(STANDARD_ATTRIBUTES);
+    for (let i = 0; i < transformNode.attributes.length; i++) {
+      const attribute = transformNode.attributes[i];
+      if (!attribute.namespaceURI && !attribute.nodeName.startsWith('xmlns') && !allowed.includes(attribute.nodeName) && !isForwardsCompatible) {
+        this.addError('XTSE0090', `unknown attribute ${attribute.nodeName} on ${transformNode.nodeName}`, attribute);
+      }
+    }
+    definition.attributes.filter((name) => name.endsWith('*')).forEach((name) => {
+      if (!transformNode.hasAttribute(name.replace(/\*$/, ''))) {
+        this.addError('XTSE0010', `${transformNode.nodeName} requires the ${name.replace(/\*$/, '')} attribute`, transformNode);
+      }
+    });
+    if (localName === 'template' && !transformNode.hasAttribute('match') &&
+        (!transformNode.hasAttribute('name') || transformNode.hasAttribute('mode') || transformNode.hasAttribute('priority'))) {
+      this.addError('XTSE0500', 'xsl:template requires a match attribute, or only a name attribute', transformNode);
+    }
+    if (localName === 'attribute-set') {
+      for (let i = 0; i < transformNode.childNodes.length; i++) {
+        const childNode = transformNode.childNodes[i];
+        if (childNode.nodeType === Node.ELEMENT_NODE && (childNode.namespaceURI !== XSLT_NAMESPACE || childNode.localName !== 'attribute')) {
+          this.addError('XTSE0010', `${childNode.nodeName} is not allowed in xsl:attribute-set`, childNode);
+        }
+      }
+    }
+    if (localName === 'value-of' && !transformNode.hasAttribute('select') && !transformNode.hasChildNodes()) {
+      this.addError('XTSE0870', 'xsl:value-of requires a select attribute or content', transformNode);
+    }
+    if (localName === 'namespace-alias') {
+      try {
+        this.context.resolveNamespaceAlias(transformNode);
+      } catch (exception) {
+        this.errors.push(exception);
+      }
+    }
+    this.validatePrefixes(transformNode.getAttributeNode('exclude-result-prefixes'));
+    this.validatePrefixes(transformNode.getAttributeNode('extension-element-prefixes'));
+
+    // Expressions, patterns, and attribute value templates
+    EXPRESSIONS.forEach((name) => {
+      if (transformNode.hasAttribute(name)) {
+        this.validateExpression(transformNode.getAttributeNode(name), transformNode.getAttribute(name));
+      }
+    });
+    (PATTERNS[localName] || []).forEach((name) => {
+      if (transformNode.hasAttribute(name)) {
+        try {
+          this.context.compilePattern(transformNode, transformNode.getAttribute(name));
+        } catch (exception) {
+          this.errors.push(exception);
+        }
+      }
+    });
+    (VALUE_TEMPLATES[localName] || []).forEach((name) => {
+      if (transformNode.hasAttribute(name)) {
+        this.validateValueTemplate(transformNode.getAttributeNode(name));
+      }
+    });
+    if (transformNode.hasAttribute('as') && ['variable', 'param', 'with-param'].includes(localName)) {
+      try {
+        this.context.compileSequenceType(transformNode);
+      } catch (exception) {
+        this.errors.push(exception);
+      }
+    }
+
+    // References
+    if (localName === 'call-template') {
+      const name = transformNode.getAttribute('name');
+      if (name && !this.declarations.templates.has(name)) {
+        this.addError('XTSE0650', `no template named "${name}"`, transformNode.getAttributeNode('name'));
+      }
+    } else if (localName === 'apply-templates' && transformNode.hasAttribute('mode')) {
+      const mode = transformNode.getAttribute('mode');
+      if (!mode.startsWith('#') && !this.declarations.modes.has(mode)) {
+        this.context.logger.warn('# XSLT: ' + this.context.createError(null, `no template rules in mode "${mode}"`, transformNode).message);
+      }
+    }
+    if (['attribute-set', 'copy', 'element'].includes(localName)) {
+      this.validateAttributeSets(transformNode.getAttributeNode('use-attribute-sets'));
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Checks a literal result element: that it has no unknown attributes in
+   * the XSLT namespace (unless in forwards-compatible mode), and that its
+   * attribute value templates and references to attribute sets are valid.
+   * @method validateLiteralResultElement
+   * @instance
+   * @param {Node} transformNode - The element.
+   */
+  validateLiteralResultElement (
+    transformNode
+  ) {
+    for (let i = 0; i < transformNode.attributes.length; i++) {
+      const attribute = transformNode.attributes[i];
+      if (attribute.nodeName.startsWith('xmlns')) {
+        continue;
+      } else if (attribute.namespaceURI !== XSLT_NAMESPACE) {
+        this.validateValueTemplate(attribute);
+      } else if (!LITERAL_RESULT_ATTRIBUTES.includes(attribute.localName) && !this.context.isForwardsCompatible(transformNode)) {
+        this.addError('XTSE0805', `unknown attribute ${attribute.nodeName} on a literal result element`, attribute);
+      } else if (attribute.localName === 'use-attribute-sets') {
+        this.validateAttributeSets(attribute);
+      } else if (['exclude-result-prefixes', 'extension-element-prefixes'].includes(attribute.localName)) {
+        this.validatePrefixes(attribute);
+      }
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Checks that an expression parses, and that the keys and decimal formats
+   * it names with string literals are declared.
+   * @method validateExpression
+   * @instance
+   * @param {Node} attribute - The attribute with the expression.
+   * @param {string} xPath - The expression.
+   */
+  validateExpression (
+    attribute,
+    xPath
+  ) {
+    let expression;
+    try {
+      expression = XDomHelper.parse(xPath);
+    } catch (exception) {
+      this.addExpressionError('XPST0003', exception.message, attribute, xPath);
+      return;
+    }
+
+    // The literal argument at a position of a call to a function
+    const getLiteral = (functionCall, position) => {
+      const argument = functionCall.arguments[position];
+      return (argument && argument.filter instanceof XPath.XString && !argument.locationPath && argument.filterPredicates.length === 0)
+        ? argument.filter.toString()
+        : null;
+    };
+
+    const visited = new Set();
+    const visit = (item) => {
+      if (!item || typeof item !== 'object' || visited.has(item)) {
+        return;
+      }
+      visited.add(item);
+
+      if (item instanceof XPath.FunctionCall) {
+        const functionName = String(item.functionName);
+        const keyName = (functionName === 'key') ? getLiteral(item, 0) : null;
+        const formatName = (functionName === 'format-number') ? getLiteral(item, 2) : null;
+        if (keyName !== null && !this.declarations.keys.has(keyName)) {
+          this.addExpressionError('XTDE1260', `no key named "${keyName}"`, attribute, xPath);
+        }
+        if (formatName !== null && !this.declarations.decimalFormats.has(formatName)) {
+          this.addExpressionError('XTDE1280', `no decimal format named "${formatName}"`, attribute, xPath);
+        }
+      }
+      Object.keys(item).forEach((key) => visit(item[key]));
+    };
+    visit(expression);
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Records an error in an expression. With the recover option, where an
+   * expression that cannot be evaluated is used as text instead (see
+   * XsltContext.xsltSelect), the error is only warned about.
+   * @method addExpressionError
+   * @instance
+   * @param {string} code - The error code (see XsltError).
+   * @param {string} description - What is wrong.
+   * @param {Node} attribute - The attribute with the expression.
+   * @param {string} xPath - The expression.
+   */
+  addExpressionError (
+    code,
+    description,
+    attribute,
+    xPath
+  ) {
+    if (this.context.cfg.recover) {
+      this.context.logger.warn('# XSLT: ' + this.context.createError(code, description, attribute, { xPath: xPath }).message);
+    } else {
+      this.addError(code, description, attribute, { xPath: xPath });
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Checks that the braces of an attribute value template match and that
+   * its expressions are valid.
+   * @method validateValueTemplate
+   * @instance
+   * @param {Node} attribute - The attribute value template.
+   */
+  validateValueTemplate (
+    attribute
+  ) {
+    let parts;
+    try {
+      parts = this.context.parseValueTemplate(attribute, attribute.nodeValue);
+    } catch (exception) {
+      if (this.context.cfg.recover) {
+        this.context.logger.warn('# XSLT: ' + exception.message);
+      } else {
+        this.errors.push(exception);
+      }
+      return;
+    }
+
+    parts.filter((part) => typeof part !== 'string').forEach((part) => this.validateExpression(attribute, part.xPath));
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Checks that the prefixes listed by an exclude-result-prefixes or
+   * extension-element-prefixes attribute are declared.
+   * @method validatePrefixes
+   * @instance
+   * @param {Node} attribute - The attribute, if any.
+   */
+  validatePrefixes (
+    attribute
+  ) {
+    if (!attribute) {
+      return;
+    }
+
+    try {
+      this.context.resolvePrefixes(attribute);
+    } catch (exception) {
+      this.errors.push(exception);
+    }
+  }
+
+  // - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - - -
+  /*
+   * Checks that the attribute sets named by a use-attribute-sets attribute
+   * are declared.
+   * @method validateAttributeSets
+   * @instance
+   * @param {Node} attribute - The use-attribute-sets attribute, if any.
+   */
+  validateAttributeSets (
+    attribute
+  ) {
+    if (!attribute) {
+      return;
+    }
+
+    attribute.nodeValue.trim().split(/\s+/).filter((name) => name).forEach((name) => {
+      if (!this.declarations.attributeSets.has(name)) {
+        this.addError('XTSE0710', `no attribute set named "${name}"`, attribute);
+      }
+    });
+  }
+};
+
+// ----------------------------------------------------------------------------
+// Exports
+// ----------------------------------------------------------------------------
+
+exports.XsltValidator = XsltValidator;
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,76 @@
+/**
+ * @file XsltAttribute.test.js - Tests of adding attributes to the elements
+ *   of the output
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (template, options = {}) => {
+  const parser = new DOMParser();
+  const xslt = `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/">${template}</xsl:template>
+  </xsl:stylesheet>`;
+
+  return XSLT.process(parser.parseFromString('<doc a="1" b="2"><p/></doc>', 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, { logger, ...options });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('adds the attributes created, copied and copied with their element', async () => {
+  const output = await transform(`<r>
+      <xsl:attribute name="x">1</xsl:attribute>
+      <xsl:copy-of select="doc/@a"/>
+      <xsl:for-each select="doc/@b"><xsl:copy/></xsl:for-each>
+      <xsl:copy-of select="doc/p"/>
+    </r>`);
+
+  assert.strictEqual(output, '<r x="1" a="1" b="2"><p/></r>');
+});
+
+test('reports attributes added after the children of the element', async () => {
+  await assert.rejects(transform('<r><c/><xsl:attribute name="x">1</xsl:attribute></r>'), { code: 'XTDE0410' });
+  await assert.rejects(transform('<r>text<xsl:copy-of select="doc/@a"/></r>'), { code: 'XTDE0410' });
+  await assert.rejects(transform('<r><xsl:copy-of select="doc/p"/><xsl:copy-of select="doc/@*"/></r>'), { code: 'XTDE0410' });
+  await assert.rejects(transform('<r><c/><xsl:for-each select="doc/@b"><xsl:copy/></xsl:for-each></r>'), { code: 'XTDE0410' });
+});
+
+test('reports attributes added outside of an element', async () => {
+  await assert.rejects(transform('<xsl:attribute name="x">1</xsl:attribute><r/>'), { code: 'XTDE0420' });
+  await assert.rejects(transform('<xsl:copy-of select="doc/@a"/><r/>'), { code: 'XTDE0420' });
+  await assert.rejects(transform('<xsl:for-each select="doc/@b"><xsl:copy/></xsl:for-each><r/>'), { code: 'XTDE0420' });
+});
+
+test('ignores the attributes that cannot be added with the recover option', async () => {
+  const warnings = [];
+  const output = await transform('<xsl:copy-of select="doc/@a"/><r><c/><xsl:attribute name="x">1</xsl:attribute><xsl:copy-of select="doc/@a"/><xsl:for-each select="doc/@b"><xsl:copy/></xsl:for-each></r>', {
+    recover: true,
+    logger: { ...logger, warn: (message) => warnings.push(message) }
+  });
+
+  assert.strictEqual(output, '<r><c/></r>');
+  assert.strictEqual(warnings.length, 4);
+  assert.ok(warnings.every((warning) => (/\(ignored\)$/).test(warning)));
+});
+
+// ----------------------------------------------------------------------------
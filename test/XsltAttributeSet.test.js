@@ -0,0 +1,102 @@
+/**
+ * @file XsltAttributeSet.test.js - Tests of xsl:attribute-set and
+ *   use-attribute-sets
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const stylesheet = (body) => `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">${body}</xsl:stylesheet>`;
+
+// The main module is at mem:/main.xsl, and the others are in the map
+const transform = (main, modules = {}) => {
+  const parser = new DOMParser();
+  const uriResolver = {
+    resolve: async (href, base) => modules[new URL(href, base).href]
+  };
+
+  return XSLT.process(parser.parseFromString('<doc><p n="1"/><p n="2"/></doc>', 'text/xml'), parser.parseFromString(main, 'text/xml'), {}, {
+    logger,
+    uriResolver,
+    transformURL: 'mem:/main.xsl'
+  });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('adds the attributes of the sets before those of the element', async () => {
+  const output = await transform(stylesheet(`<xsl:attribute-set name="a"><xsl:attribute name="x">a</xsl:attribute><xsl:attribute name="y">a</xsl:attribute></xsl:attribute-set>
+    <xsl:template match="/"><r>
+      <e xsl:use-attribute-sets="a" y="lre"/>
+      <xsl:element name="e" use-attribute-sets="a"><xsl:attribute name="x">element</xsl:attribute></xsl:element>
+      <xsl:for-each select="doc/p[1]"><xsl:copy use-attribute-sets="a"/></xsl:for-each>
+    </r></xsl:template>`));
+
+  assert.strictEqual(output, '<r><e x="a" y="lre"/><e x="element" y="a"/><p x="a" y="a"/></r>');
+});
+
+test('adds the attribute sets used by a set before its own attributes', async () => {
+  const output = await transform(stylesheet(`<xsl:attribute-set name="a" use-attribute-sets="b c"><xsl:attribute name="x">a</xsl:attribute></xsl:attribute-set>
+    <xsl:attribute-set name="b"><xsl:attribute name="x">b</xsl:attribute><xsl:attribute name="y">b</xsl:attribute></xsl:attribute-set>
+    <xsl:attribute-set name="c" use-attribute-sets="b"><xsl:attribute name="y">c</xsl:attribute><xsl:attribute name="z">c</xsl:attribute></xsl:attribute-set>
+    <xsl:template match="/"><r xsl:use-attribute-sets="a"/></xsl:template>`));
+
+  assert.strictEqual(output, '<r x="a" y="c" z="c"/>');
+});
+
+test('evaluates the attributes with the current node and only global variables in scope', async () => {
+  const output = await transform(stylesheet(`<xsl:variable name="v" select="'global'"/>
+    <xsl:attribute-set name="a"><xsl:attribute name="n"><xsl:value-of select="@n"/></xsl:attribute><xsl:attribute name="v"><xsl:value-of select="$v"/></xsl:attribute></xsl:attribute-set>
+    <xsl:template match="/"><r><xsl:apply-templates select="doc/p"/></r></xsl:template>
+    <xsl:template match="p"><xsl:variable name="v" select="'local'"/><e xsl:use-attribute-sets="a"/></xsl:template>`));
+
+  assert.strictEqual(output, '<r><e n="1" v="global"/><e n="2" v="global"/></r>');
+});
+
+test('merges the sets of the same name by import precedence', async () => {
+  const output = await transform(stylesheet(`<xsl:import href="a.xsl"/>
+    <xsl:attribute-set name="a"><xsl:attribute name="x">main</xsl:attribute></xsl:attribute-set>
+    <xsl:attribute-set name="a"><xsl:attribute name="y">main</xsl:attribute></xsl:attribute-set>
+    <xsl:template match="/"><r xsl:use-attribute-sets="a"/></xsl:template>`), {
+    'mem:/a.xsl': stylesheet('<xsl:attribute-set name="a"><xsl:attribute name="x">a</xsl:attribute><xsl:attribute name="z">a</xsl:attribute></xsl:attribute-set>')
+  });
+
+  assert.strictEqual(output, '<r x="main" z="a" y="main"/>');
+});
+
+test('reports the use of an attribute set that is not declared', async () => {
+  await assert.rejects(transform(stylesheet('<xsl:template match="/"><r xsl:use-attribute-sets="missing"/></xsl:template>')), { code: 'XTSE0710' });
+  await assert.rejects(transform(stylesheet(`<xsl:attribute-set name="a" use-attribute-sets="missing"/>
+    <xsl:template match="/"><xsl:element name="r" use-attribute-sets="a"/></xsl:template>`)), { code: 'XTSE0710' });
+});
+
+test('reports attribute sets that use themselves', async () => {
+  await assert.rejects(transform(stylesheet(`<xsl:attribute-set name="a" use-attribute-sets="b"/>
+    <xsl:attribute-set name="b" use-attribute-sets="c"/>
+    <xsl:attribute-set name="c" use-attribute-sets="a"/>
+    <xsl:template match="/"><r xsl:use-attribute-sets="a"/></xsl:template>`)), { code: 'XTSE0720', message: /a -> b -> c -> a/ });
+  await assert.rejects(transform(stylesheet(`<xsl:attribute-set name="a" use-attribute-sets="a"/>
+    <xsl:template match="/"><r/></xsl:template>`)), { code: 'XTSE0720' });
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,81 @@
+/**
+ * @file XsltBuiltInRules.test.js - Tests of the built-in template rules
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (xslt, xml) => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, { logger });
+};
+
+const input = '<doc><title>Act</title><!--note--><?pi data?><sec num="1">One <b>bold</b></sec></doc>';
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('copies the text of the document without any template rules', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:output method="text"/>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, 'ActOne bold');
+});
+
+test('recurses into elements without a matching rule', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:apply-templates/></r></xsl:template>
+    <xsl:template match="b"><i><xsl:apply-templates/></i></xsl:template>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r>ActOne <i>bold</i></r>');
+});
+
+test('copies the value of attributes', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:apply-templates select="//@num"/></r></xsl:template>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r>1</r>');
+});
+
+test('ignores comments and processing instructions', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:apply-templates select="doc/node()[not(self::*)]"/></r></xsl:template>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r/>');
+});
+
+test('recurses in the current mode', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:apply-templates mode="toc"/></r></xsl:template>
+    <xsl:template match="b"><i/></xsl:template>
+    <xsl:template match="b" mode="toc"><u/></xsl:template>
+    <xsl:template match="text()" mode="toc"/>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r><u/></r>');
+});
+
+// ----------------------------------------------------------------------------
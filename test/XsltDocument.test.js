@@ -0,0 +1,91 @@
+/**
+ * @file XsltDocument.test.js - Tests of the document() function
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const documents = {
+  'mem:/a.xml': '<doc>A</doc>',
+  'mem:/b.xml': '<doc>B</doc>',
+  'mem:/sub/c.xml': '<doc>C</doc>',
+  'mem:/sub/ref.xml': '<doc>c.xml</doc>'
+};
+
+const uriResolver = {
+  resolve: async (href, base) => documents[new URL(href, base).href]
+};
+
+const transform = async (template, options = {}) => {
+  const xslt = `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:f="urn:f" exclude-result-prefixes="f">
+    <xsl:template match="/">${template}</xsl:template>
+  </xsl:stylesheet>`;
+  const inputDoc = new DOMParser().parseFromString('<in/>', 'text/xml');
+  const xsltDoc = new DOMParser().parseFromString(xslt, 'text/xml');
+
+  return XSLT.process(inputDoc, xsltDoc, {}, { logger, uriResolver, transformURL: 'mem:/main.xsl', ...options });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('loads the documents relative to the stylesheet', async () => {
+  const output = await transform('<r><xsl:value-of select="concat(document(\'a.xml\'), document(\'sub/c.xml\'))"/></r>');
+
+  assert.strictEqual(output, '<r>AC</r>');
+});
+
+test('loads the documents of a node-set relative to the nodes', async () => {
+  const output = await transform('<r><xsl:value-of select="document(document(\'sub/ref.xml\')/doc)"/></r>');
+
+  assert.strictEqual(output, '<r>C</r>');
+});
+
+test('loads each document only once', async () => {
+  const output = await transform('<r><xsl:value-of select="count(document(\'a.xml\') | document(\'a.xml\'))"/></r>');
+
+  assert.strictEqual(output, '<r>1</r>');
+});
+
+test('gives an empty node-set for a document that cannot be loaded', async () => {
+  const output = await transform('<r><xsl:value-of select="count(document(\'missing.xml\'))"/></r>');
+
+  assert.strictEqual(output, '<r>0</r>');
+});
+
+test('calls the custom functions once while loading the documents', async () => {
+  let calls = 0;
+  const customFunctions = {
+    'urn:f': {
+      tick: function () {
+        calls++;
+        return new this.XPath.XString(String(calls));
+      }
+    }
+  };
+  const output = await transform('<r><xsl:value-of select="concat(f:tick(), document(\'a.xml\'), document(\'b.xml\'), f:tick())"/></r>', { customFunctions });
+
+  assert.strictEqual(output, '<r>1AB2</r>');
+  assert.strictEqual(calls, 2);
+});
+
+// ----------------------------------------------------------------------------
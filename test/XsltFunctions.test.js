@@ -0,0 +1,69 @@
+/**
+ * @file XsltFunctions.test.js - Tests of calling custom and extension
+ *   functions
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const customFunctions = {
+  'urn:a': {
+    twice: function (xPathContext, valueExpr) {
+      return new this.XPath.XString(valueExpr.evaluate(xPathContext).stringValue().repeat(2));
+    }
+  }
+};
+
+const transform = (template, declarations = '') => {
+  const parser = new DOMParser();
+  const xslt = `<xsl:stylesheet version="2.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
+    xmlns:a="urn:a" xmlns:b="urn:b" xmlns:exsl="http://exslt.org/common" exclude-result-prefixes="a b exsl">
+    ${declarations}
+    <xsl:template match="/">${template}</xsl:template>
+  </xsl:stylesheet>`;
+
+  return XSLT.process(parser.parseFromString('<doc>x</doc>', 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, { logger, customFunctions });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('calls the custom functions given with the options', async () => {
+  const output = await transform('<r><xsl:value-of select="a:twice(doc)"/></r>');
+
+  assert.strictEqual(output, '<r>xx</r>');
+});
+
+test('calls the functions declared with xsl:function', async () => {
+  const output = await transform('<r><xsl:value-of select="b:f()"/></r>', '<xsl:function name="b:f">f</xsl:function>');
+
+  assert.strictEqual(output, '<r>f</r>');
+});
+
+test('reports a function that is not declared in its namespace', async () => {
+  await assert.rejects(transform('<r><xsl:value-of select="a:thrice(doc)"/></r>'), { code: 'XPST0017', message: /a:thrice/ });
+  await assert.rejects(transform('<r><xsl:value-of select="b:g()"/></r>', '<xsl:function name="b:f">f</xsl:function>'), { code: 'XPST0017', message: /b:g/ });
+  await assert.rejects(transform('<r><xsl:value-of select="exsl:node-set(doc)"/></r>'), { code: 'XPST0017', message: /exsl:node-set/ });
+  await assert.rejects(transform('<r><xsl:value-of select="unknown()"/></r>'), { code: 'XPST0017', message: /unknown/ });
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,105 @@
+/**
+ * @file XsltImport.test.js - Tests of import precedence, <xsl:apply-imports>
+ *   and <xsl:next-match>
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const stylesheet = (body, version = '1.0') => `<xsl:stylesheet version="${version}" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">${body}</xsl:stylesheet>`;
+
+// The main module is at mem:/main.xsl, and the others are in the map
+const transform = (main, modules = {}, xml = '<doc><p>text</p></doc>') => {
+  const parser = new DOMParser();
+  const uriResolver = {
+    resolve: async (href, base) => modules[new URL(href, base).href]
+  };
+
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(main, 'text/xml'), {}, {
+    logger,
+    uriResolver,
+    transformURL: 'mem:/main.xsl'
+  });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('gives the importing module precedence over the imported ones', async () => {
+  const output = await transform(stylesheet(`<xsl:import href="a.xsl"/><xsl:import href="b.xsl"/>
+    <xsl:variable name="v" select="'main'"/>
+    <xsl:template match="/"><r><xsl:apply-templates select="doc/p"/>|<xsl:value-of select="$v"/>|<xsl:value-of select="$w"/></r></xsl:template>`), {
+    'mem:/a.xsl': stylesheet('<xsl:variable name="v" select="\'a\'"/><xsl:variable name="w" select="\'a\'"/><xsl:template match="p" priority="10">a</xsl:template>'),
+    'mem:/b.xsl': stylesheet('<xsl:variable name="w" select="\'b\'"/><xsl:template match="p">b</xsl:template>')
+  });
+
+  assert.strictEqual(output, '<r>b|main|b</r>');
+});
+
+test('gives an included module the precedence of the including one', async () => {
+  const output = await transform(stylesheet(`<xsl:import href="a.xsl"/><xsl:include href="b.xsl"/>
+    <xsl:template match="/"><r><xsl:apply-templates select="doc/p"/></r></xsl:template>`), {
+    'mem:/a.xsl': stylesheet('<xsl:template match="p" priority="10">a</xsl:template>'),
+    'mem:/b.xsl': stylesheet('<xsl:template match="p">b</xsl:template>')
+  });
+
+  assert.strictEqual(output, '<r>b</r>');
+});
+
+test('applies the template rules of the imported modules', async () => {
+  const output = await transform(stylesheet(`<xsl:import href="a.xsl"/>
+    <xsl:template match="/"><r><xsl:apply-templates select="doc/p"/></r></xsl:template>
+    <xsl:template match="p">main(<xsl:apply-imports/>)</xsl:template>`), {
+    'mem:/a.xsl': stylesheet('<xsl:import href="b.xsl"/><xsl:template match="p">a(<xsl:apply-imports/>)</xsl:template>'),
+    'mem:/b.xsl': stylesheet('<xsl:template match="p">b</xsl:template>')
+  });
+
+  assert.strictEqual(output, '<r>main(a(b))</r>');
+});
+
+test('applies the built-in template rule when no imported rule matches', async () => {
+  const output = await transform(stylesheet(`<xsl:import href="a.xsl"/>
+    <xsl:template match="/"><r><xsl:apply-templates select="doc/p"/></r></xsl:template>
+    <xsl:template match="p">[<xsl:apply-imports/>]</xsl:template>`), {
+    'mem:/a.xsl': stylesheet('<xsl:template match="q">a</xsl:template>')
+  });
+
+  assert.strictEqual(output, '<r>[text]</r>');
+});
+
+test('applies the next matching template rule', async () => {
+  const output = await transform(stylesheet(`<xsl:import href="a.xsl"/>
+    <xsl:template match="/"><r><xsl:apply-templates select="doc/p"/></r></xsl:template>
+    <xsl:template match="doc/p">1<xsl:next-match><xsl:with-param name="n" select="2"/></xsl:next-match></xsl:template>
+    <xsl:template match="p"><xsl:param name="n"/><xsl:value-of select="$n"/><xsl:next-match/></xsl:template>`, '2.0'), {
+    'mem:/a.xsl': stylesheet('<xsl:template match="*">3<xsl:next-match/></xsl:template>', '2.0')
+  });
+
+  assert.strictEqual(output, '<r>123text</r>');
+});
+
+test('reports xsl:apply-imports where there is no current template rule', async () => {
+  await assert.rejects(transform(stylesheet(`<xsl:template match="/"><r><xsl:for-each select="doc/p"><xsl:apply-imports/></xsl:for-each></r></xsl:template>
+    <xsl:template match="p">p</xsl:template>`)), { code: 'XTDE0560' });
+});
+
+// ----------------------------------------------------------------------------
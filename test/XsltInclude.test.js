@@ -0,0 +1,99 @@
+/**
+ * @file XsltInclude.test.js - Tests of resolving <xsl:include> and
+ *   <xsl:import> modules
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const stylesheet = (body) => `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">${body}</xsl:stylesheet>`;
+
+// The main module is at mem:/main.xsl, and the others are in the map
+const transform = (main, modules = {}) => {
+  const parser = new DOMParser();
+  const uriResolver = {
+    resolve: async (href, base) => modules[new URL(href, base).href]
+  };
+
+  return XSLT.process(parser.parseFromString('<doc/>', 'text/xml'), parser.parseFromString(main, 'text/xml'), {}, {
+    logger,
+    uriResolver,
+    transformURL: 'mem:/main.xsl'
+  });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('resolves the modules of nested includes and imports relative to the module', async () => {
+  const output = await transform(stylesheet(`<xsl:include href="lib/a.xsl"/>
+    <xsl:template match="/"><r><xsl:call-template name="a"/><xsl:call-template name="b"/><xsl:call-template name="c"/></r></xsl:template>`), {
+    'mem:/lib/a.xsl': stylesheet('<xsl:import href="../shared/c.xsl"/><xsl:include href="b.xsl"/><xsl:template name="a">a</xsl:template>'),
+    'mem:/lib/b.xsl': stylesheet('<xsl:template name="b">b</xsl:template>'),
+    'mem:/shared/c.xsl': stylesheet('<xsl:template name="c">c</xsl:template>')
+  });
+
+  assert.strictEqual(output, '<r>abc</r>');
+});
+
+test('resolves the href of a module against its xml:base', async () => {
+  const output = await transform(stylesheet(`<xsl:include href="a.xsl" xml:base="lib/"/>
+    <xsl:template match="/"><r><xsl:call-template name="a"/></r></xsl:template>`), {
+    'mem:/lib/a.xsl': stylesheet('<xsl:template name="a">a</xsl:template>')
+  });
+
+  assert.strictEqual(output, '<r>a</r>');
+});
+
+test('resolves document() in a module relative to the module', async () => {
+  const output = await transform(stylesheet(`<xsl:include href="lib/a.xsl"/>
+    <xsl:template match="/"><r><xsl:call-template name="a"/></r></xsl:template>`), {
+    'mem:/lib/a.xsl': stylesheet('<xsl:template name="a"><xsl:value-of select="document(\'data.xml\')"/>|<xsl:value-of select="count(document(\'\')/*/xsl:template)"/></xsl:template>'),
+    'mem:/lib/data.xml': '<data>lib</data>'
+  });
+
+  assert.strictEqual(output, '<r>lib|1</r>');
+});
+
+test('reports a module that cannot be loaded', async () => {
+  await assert.rejects(transform(stylesheet('<xsl:include href="missing.xsl"/>')), { code: 'XTSE0165' });
+  await assert.rejects(transform(stylesheet('<xsl:import href="lib/a.xsl"/>'), {
+    'mem:/lib/a.xsl': stylesheet('<xsl:import href="missing.xsl"/>')
+  }), { code: 'XTSE0165' });
+});
+
+test('reports a module that includes itself', async () => {
+  await assert.rejects(transform(stylesheet('<xsl:include href="main.xsl"/>')), { code: 'XTSE0180' });
+  await assert.rejects(transform(stylesheet('<xsl:include href="lib/a.xsl"/>'), {
+    'mem:/lib/a.xsl': stylesheet('<xsl:include href="../main.xsl"/>')
+  }), { code: 'XTSE0180' });
+});
+
+test('reports a module that imports itself', async () => {
+  await assert.rejects(transform(stylesheet('<xsl:import href="main.xsl"/>')), { code: 'XTSE0210' });
+  await assert.rejects(transform(stylesheet('<xsl:import href="lib/a.xsl"/>'), {
+    'mem:/lib/a.xsl': stylesheet('<xsl:import href="b.xsl"/>'),
+    'mem:/lib/b.xsl': stylesheet('<xsl:import href="a.xsl"/>')
+  }), { code: 'XTSE0210' });
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,83 @@
+/**
+ * @file XsltKey.test.js - Tests of xsl:key and the key() function
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (xslt, xml) => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, { logger });
+};
+
+const input = '<law><sec id="s1" ref="s2">One</sec><sec id="s2" ref="s1">Two</sec><sec id="s3" ref="s1">Three</sec></law>';
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('looks up nodes by a string key', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:key name="byId" match="sec" use="@id"/>
+    <xsl:template match="/"><r><xsl:value-of select="key('byId', 's2')"/></r></xsl:template>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r>Two</r>');
+});
+
+test('returns every node with a key value in document order', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:key name="byRef" match="sec" use="@ref"/>
+    <xsl:template match="/"><r><xsl:for-each select="key('byRef', 's1')"><xsl:value-of select="@id"/>,</xsl:for-each></r></xsl:template>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r>s2,s3,</r>');
+});
+
+test('looks up each value of a node-set argument', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:key name="byId" match="sec" use="@id"/>
+    <xsl:template match="/"><r><xsl:value-of select="count(key('byId', //sec/@ref))"/></r></xsl:template>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r>2</r>');
+});
+
+test('returns an empty node-set for an unknown value', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:key name="byId" match="sec" use="@id"/>
+    <xsl:template match="/"><r><xsl:value-of select="count(key('byId', 'nope'))"/></r></xsl:template>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r>0</r>');
+});
+
+test('looks up nodes in the document of the context node', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:my="urn:my" exclude-result-prefixes="my">
+    <xsl:key name="code" match="my:code" use="@n"/>
+    <my:codes><my:code n="1">first</my:code><my:code n="2">second</my:code></my:codes>
+    <xsl:template match="/"><r><xsl:for-each select="document('')"><xsl:value-of select="key('code', '2')"/></xsl:for-each></r></xsl:template>
+  </xsl:stylesheet>`, input);
+
+  assert.strictEqual(output, '<r>second</r>');
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,116 @@
+/**
+ * @file XsltLocation.test.js - Tests of locating errors in the transform and
+ *   nodes in the documents they were parsed from
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const stylesheet = (body) => `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform"
+  xmlns:saxon="http://saxon.sf.net/" exclude-result-prefixes="saxon">
+${body}
+</xsl:stylesheet>`;
+
+const input = `<doc>
+  <p>a</p>
+    <p>b</p>
+</doc>`;
+
+// The main module is at mem:/main.xsl, and the others are in the map
+const transform = (main, modules = {}, options = {}) => {
+  const parser = new DOMParser();
+  const uriResolver = {
+    resolve: async (href, base) => modules[new URL(href, base).href]
+  };
+
+  return XSLT.process(parser.parseFromString(input, 'text/xml'), parser.parseFromString(main, 'text/xml'), {}, {
+    logger,
+    uriResolver,
+    transformURL: 'mem:/main.xsl',
+    ...options
+  });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('locates an error at the line and column of the instruction', async () => {
+  await assert.rejects(transform(stylesheet(`<xsl:template match="/">
+  <r>
+    <xsl:value-of select="$undeclared"/>
+  </r>
+</xsl:template>`)), {
+    code: 'XPST0008',
+    uri: 'mem:/main.xsl',
+    line: 5,
+    column: 5,
+    path: '/xsl:stylesheet[1]/xsl:template[1]/r[1]/xsl:value-of[1]',
+    sourcePath: '/'
+  });
+});
+
+test('locates an error in the module it occurs in', async () => {
+  await assert.rejects(transform(stylesheet(`<xsl:include href="lib/a.xsl"/>
+<xsl:template match="/"><r><xsl:call-template name="a"/></r></xsl:template>`), {
+    'mem:/lib/a.xsl': stylesheet(`<xsl:template name="a">
+  <xsl:value-of select="1 +"/>
+</xsl:template>`)
+  }), {
+    code: 'XPST0003',
+    uri: 'mem:/lib/a.xsl',
+    line: 4,
+    path: '/xsl:stylesheet[1]/xsl:template[1]/xsl:value-of[1]/@select'
+  });
+});
+
+test('passes the location of a message to onMessage', async () => {
+  const locations = [];
+  await transform(stylesheet(`<xsl:include href="lib/a.xsl"/>
+<xsl:template match="/"><r><xsl:call-template name="a"/></r></xsl:template>`), {
+    'mem:/lib/a.xsl': stylesheet(`<xsl:template name="a">
+  <xsl:message>here</xsl:message>
+</xsl:template>`)
+  }, { onMessage: (message, { location }) => locations.push(location) });
+
+  assert.deepStrictEqual(locations.map(({ transformURL, line, column }) => ({ transformURL, line, column })), [{ transformURL: 'mem:/lib/a.xsl', line: 4, column: 3 }]);
+});
+
+test('reports where the input nodes were parsed from', async () => {
+  const output = await transform(stylesheet(`<xsl:template match="/">
+  <r><xsl:for-each select="//p"><xsl:value-of select="concat(saxon:line-number(), ':', saxon:column-number(), ' ')"/></xsl:for-each>
+    <xsl:value-of select="saxon:line-number(/doc)"/>|<xsl:value-of select="saxon:system-id()"/></r>
+</xsl:template>`), {}, { inputURL: 'mem:/input.xml' });
+
+  assert.strictEqual(output, '<r>2:3 3:5 1|mem:/input.xml</r>');
+});
+
+test('reports where the transform nodes were parsed from', async () => {
+  const output = await transform(stylesheet(`<xsl:include href="lib/a.xsl"/>
+<xsl:template match="/"><r><xsl:for-each select="document('lib/a.xsl')//xsl:template"><xsl:value-of select="concat(saxon:system-id(), ':', saxon:line-number())"/></xsl:for-each></r></xsl:template>`), {
+    'mem:/lib/a.xsl': stylesheet(`
+<xsl:template name="a"/>`)
+  });
+
+  assert.strictEqual(output, '<r>mem:/lib/a.xsl:4</r>');
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,55 @@
+/**
+ * @file XsltLog.test.js - Tests of the logging facade
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+const parse = (text) => new DOMParser().parseFromString(text, 'text/xml');
+
+const transform = parse(`
+<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+  <xsl:template match="/">
+    <xsl:message>hello</xsl:message>
+    <r/>
+  </xsl:template>
+</xsl:stylesheet>`);
+
+const recorder = (messages) => ({
+  debug: (message) => messages.push('debug: ' + message),
+  info: (message) => messages.push('info: ' + message),
+  warn: (message) => messages.push('warn: ' + message),
+  error: (message) => messages.push('error: ' + message)
+});
+
+test('logs only warnings and errors by default', async () => {
+  const messages = [];
+  await XSLT.process(parse('<x/>'), transform, {}, { logger: recorder(messages) });
+
+  assert.deepStrictEqual(messages, ['warn: hello']);
+});
+
+test('logs info messages in debug mode', async () => {
+  const messages = [];
+  await XSLT.process(parse('<x/>'), transform, {}, { logger: recorder(messages), debug: true });
+
+  assert.ok(messages.some((message) => message.startsWith('info: # --- Processing completed')));
+});
+
+// ----------------------------------------------------------------------------
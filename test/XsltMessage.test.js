@@ -0,0 +1,86 @@
+/**
+ * @file XsltMessage.test.js - Tests of xsl:message
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const transform = (xslt, options) => {
+  const parser = new DOMParser({ locator: true });
+  return XSLT.process(parser.parseFromString('<doc n="3"/>', 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, options);
+};
+
+const stylesheet = (messages) => `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+  <xsl:template match="/">
+    <r>${messages}</r>
+  </xsl:template>
+</xsl:stylesheet>`;
+
+const recorder = (messages) => ({
+  warn: (message) => messages.push('warn: ' + message),
+  error: (message) => messages.push('error: ' + message)
+});
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('logs the evaluated content of a message as a warning', async () => {
+  const messages = [];
+  const output = await transform(stylesheet('<xsl:message>n is <xsl:value-of select="doc/@n"/></xsl:message>'), { logger: recorder(messages) });
+
+  assert.strictEqual(output, '<r/>');
+  assert.deepStrictEqual(messages, ['warn: n is 3']);
+});
+
+test('passes messages to the onMessage listener instead of logging them', async () => {
+  const messages = [];
+  const calls = [];
+  await transform(stylesheet('<xsl:message>one</xsl:message><xsl:message terminate="no">two</xsl:message>'), {
+    logger: recorder(messages),
+    onMessage: (message, details) => calls.push([message, details.terminate])
+  });
+
+  assert.deepStrictEqual(messages, []);
+  assert.deepStrictEqual(calls, [['one', false], ['two', false]]);
+});
+
+test('stops the transformation with XTMM9000 when terminate is yes', async () => {
+  const messages = [];
+  await assert.rejects(transform(stylesheet('\n    <xsl:message terminate="{\'yes\'}">stop <xsl:value-of select="doc/@n"/></xsl:message><xsl:message>after</xsl:message>'), { logger: recorder(messages) }), (error) => {
+    assert.strictEqual(error.code, 'XTMM9000');
+    assert.strictEqual(error.messageText, 'stop 3');
+    assert.strictEqual(error.line, 4);
+    return true;
+  });
+
+  assert.deepStrictEqual(messages, ['error: stop 3']);
+});
+
+test('gives the onMessage listener the terminate flag and location', async () => {
+  const calls = [];
+  await assert.rejects(transform(stylesheet('<xsl:message terminate="yes">stop</xsl:message>'), {
+    transformURL: 'mem:/t.xsl',
+    onMessage: (message, details) => calls.push([message, details.terminate, details.location.transformURL])
+  }), { code: 'XTMM9000' });
+
+  assert.deepStrictEqual(calls, [['stop', true, 'mem:/t.xsl']]);
+});
+
+// ----------------------------------------------------------------------------
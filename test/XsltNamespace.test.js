@@ -0,0 +1,124 @@
+/**
+ * @file XsltNamespace.test.js - Tests of the namespaces of the output
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (xslt, xml = '<doc xmlns:in="urn:in"><in:p/></doc>') => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, { logger });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('copies the namespaces in scope to literal result elements, except the XSLT namespace', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:a="urn:a" xmlns="urn:default">
+    <xsl:template match="/"><r><a:e><e/></a:e></r></xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<r xmlns:a="urn:a" xmlns="urn:default"><a:e><e/></a:e></r>');
+});
+
+test('excludes the namespaces listed by exclude-result-prefixes', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:a="urn:a" xmlns:b="urn:b" exclude-result-prefixes="a">
+    <xsl:template match="/"><r xsl:exclude-result-prefixes="b"><e xmlns:c="urn:c"/><a:e/></r></xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<r><e xmlns:c="urn:c"/><a:e xmlns:a="urn:a"/></r>');
+});
+
+test('excludes all the namespaces with #all and the default namespace with #default', async () => {
+  const output = await transform(`<xsl:stylesheet version="2.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:a="urn:a" xmlns="urn:default">
+    <xsl:template match="/"><x:r xmlns:x="urn:x" xsl:exclude-result-prefixes="#all"><e/></x:r><r xsl:exclude-result-prefixes="#default a"/></xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<x:r xmlns:x="urn:x"><e xmlns="urn:default"/></x:r><r xmlns="urn:default"/>');
+});
+
+test('excludes the extension namespaces', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:ext="urn:ext" extension-element-prefixes="ext">
+    <xsl:template match="/"><r><ext:unknown><xsl:fallback>fallback</xsl:fallback></ext:unknown></r></xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<r>fallback</r>');
+});
+
+test('reports undeclared prefixes in exclude-result-prefixes and extension-element-prefixes', async () => {
+  await assert.rejects(transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" exclude-result-prefixes="a">
+    <xsl:template match="/"><r/></xsl:template>
+  </xsl:stylesheet>`), { code: 'XTSE0808' });
+  await assert.rejects(transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" extension-element-prefixes="a">
+    <xsl:template match="/"><r/></xsl:template>
+  </xsl:stylesheet>`), { code: 'XTSE1430' });
+  await assert.rejects(transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" exclude-result-prefixes="#default">
+    <xsl:template match="/"><r/></xsl:template>
+  </xsl:stylesheet>`), { code: 'XTSE0809' });
+});
+
+test('outputs the namespaces of aliased prefixes as their result namespaces', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:out="urn:alias">
+    <xsl:namespace-alias stylesheet-prefix="out" result-prefix="xsl"/>
+    <xsl:template match="/"><out:stylesheet version="1.0"><out:template match="{local-name(*)}"><out:value-of select="."/></out:template></out:stylesheet></xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform"><xsl:template match="doc"><xsl:value-of select="."/></xsl:template></xsl:stylesheet>');
+});
+
+test('resolves the prefix of a computed element name against the stylesheet', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:in="urn:stylesheet" exclude-result-prefixes="in">
+    <xsl:template match="/"><r><xsl:for-each select="*/*"><xsl:element name="{name()}"/><xsl:element name="x:e" namespace="urn:x"/><xsl:element name="e" namespace=""/></xsl:for-each></r></xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<r><in:p xmlns:in="urn:stylesheet"/><x:e xmlns:x="urn:x"/><e/></r>');
+});
+
+test('reports invalid computed element names', async () => {
+  const xslt = (name) => `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><xsl:element name="${name}"/></xsl:template>
+  </xsl:stylesheet>`;
+
+  await assert.rejects(transform(xslt('1e')), { code: 'XTDE0820' });
+  await assert.rejects(transform(xslt('u:e')), { code: 'XTDE0830' });
+});
+
+test('adds namespace nodes with xsl:namespace', async () => {
+  const output = await transform(`<xsl:stylesheet version="2.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:namespace name="a" select="'urn:a'"/><xsl:namespace name="b">urn:b</xsl:namespace></r></xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<r xmlns:a="urn:a" xmlns:b="urn:b"/>');
+});
+
+test('reports namespace nodes that conflict with the element', async () => {
+  const xslt = (content) => `<xsl:stylesheet version="2.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:a="urn:a">
+    <xsl:template match="/">${content}</xsl:template>
+  </xsl:stylesheet>`;
+
+  await assert.rejects(transform(xslt('<a:r><xsl:namespace name="a">urn:other</xsl:namespace></a:r>')), { code: 'XTDE0430' });
+  await assert.rejects(transform(xslt('<r xsl:exclude-result-prefixes="a"><xsl:namespace name="">urn:default</xsl:namespace></r>')), { code: 'XTDE0440' });
+  await assert.rejects(transform(xslt('<r><xsl:namespace name="b"/></r>')), { code: 'XTDE0930' });
+  await assert.rejects(transform(xslt('<r><xsl:namespace name="1b">urn:b</xsl:namespace></r>')), { code: 'XTDE0920' });
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,109 @@
+/**
+ * @file XsltNumber.test.js - Tests of xsl:number
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+const { XsltNumber } = require('../scripts/XsltNumber');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (xslt, xml) => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, { logger });
+};
+
+// Numbers each element selected with the given xsl:number
+const numbered = (select, number) => transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:for-each select="${select}">${number} </xsl:for-each></r></xsl:template>
+  </xsl:stylesheet>`, input);
+
+const input = `<act>
+  <part><sec><para/><para/></sec><sec><para/></sec></part>
+  <part><sec><para/></sec><note/><sec><para/><para/></sec></part>
+</act>`;
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('numbers nodes among their siblings with level="single"', async () => {
+  const output = await numbered('//sec', '<xsl:number/>');
+
+  assert.strictEqual(output, '<r>1 2 1 2 </r>');
+});
+
+test('numbers the nearest counted ancestor with level="single"', async () => {
+  const output = await numbered('//para', '<xsl:number count="sec"/>');
+
+  assert.strictEqual(output, '<r>1 1 2 1 2 2 </r>');
+});
+
+test('numbers each counted ancestor with level="multiple"', async () => {
+  const output = await numbered('//para', '<xsl:number level="multiple" count="part|sec|para"/>');
+
+  assert.strictEqual(output, '<r>1.1.1 1.1.2 1.2.1 2.1.1 2.2.1 2.2.2 </r>');
+});
+
+test('numbers through the document with level="any"', async () => {
+  const output = await numbered('//para', '<xsl:number level="any"/>');
+
+  assert.strictEqual(output, '<r>1 2 3 4 5 6 </r>');
+});
+
+test('restarts numbering at nodes matching from', async () => {
+  const output = await numbered('//para', '<xsl:number level="any" from="part"/>');
+
+  assert.strictEqual(output, '<r>1 2 3 1 2 3 </r>');
+});
+
+test('formats numbers with the value attribute', async () => {
+  const output = await numbered('/act', '<xsl:number value="1234567" grouping-separator="," grouping-size="3"/>');
+
+  assert.strictEqual(output, '<r>1,234,567 </r>');
+});
+
+test('formats tokens with separators, padding, roman numerals and letters', () => {
+  assert.strictEqual(XsltNumber.format([2, 3, 4], '(1.a.i)'), '(2.c.iv)');
+  assert.strictEqual(XsltNumber.format([7], '001'), '007');
+  assert.strictEqual(XsltNumber.format([1999, 28], 'I-A'), 'MCMXCIX-AB');
+  assert.strictEqual(XsltNumber.format([1, 2, 3], 'A.1'), 'A.2.3');
+  assert.strictEqual(XsltNumber.format([], '1.'), '.');
+});
+
+test('formats roman numerals of 4000 or more as decimal numbers', () => {
+  assert.strictEqual(XsltNumber.formatNumber(3999, 'I'), 'MMMCMXCIX');
+  assert.strictEqual(XsltNumber.formatNumber(4000, 'I'), '4000');
+  assert.strictEqual(XsltNumber.formatNumber(4000, 'i'), '4000');
+});
+
+test('numbers alphabetically from the letter of the token', () => {
+  assert.strictEqual(XsltNumber.formatNumber(27, 'a'), 'aa');
+  assert.strictEqual(XsltNumber.formatNumber(1, 'i', { letterValue: 'alphabetic' }), 'i');
+  assert.strictEqual(XsltNumber.formatNumber(2, 'I', { letterValue: 'alphabetic' }), 'J');
+  assert.strictEqual(XsltNumber.formatNumber(19, 'i', { letterValue: 'alphabetic' }), 'ii');
+});
+
+test('formats with attribute value templates', async () => {
+  const output = await numbered('//sec', '<xsl:number format="{substring(\'aA\', count(../preceding-sibling::part) + 1, 1)}"/>');
+
+  assert.strictEqual(output, '<r>a b A B </r>');
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,68 @@
+/**
+ * @file XsltOutputEscaping.test.js - Tests of disable-output-escaping
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (template, xml = '<doc>&lt;b&gt; [[x]]</doc>') => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/">${template}</xsl:template>
+  </xsl:stylesheet>`, 'text/xml'), {}, { logger });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('writes xsl:text without escaping', async () => {
+  const output = await transform('<r><xsl:text disable-output-escaping="yes">&lt;br/&gt;</xsl:text><xsl:text>&lt;br/&gt;</xsl:text></r>');
+
+  assert.strictEqual(output, '<r><br/>&lt;br/&gt;</r>');
+});
+
+test('writes xsl:value-of without escaping', async () => {
+  const output = await transform('<r><xsl:value-of select="doc" disable-output-escaping="yes"/></r>');
+
+  assert.strictEqual(output, '<r><b> [[x]]</r>');
+});
+
+test('leaves brackets in source text alone', async () => {
+  const output = await transform('<r><xsl:value-of select="doc"/></r>');
+
+  assert.strictEqual(output, '<r>&lt;b&gt; [[x]]</r>');
+});
+
+test('ignores disable-output-escaping in attributes', async () => {
+  const output = await transform('<r><xsl:attribute name="a"><xsl:text disable-output-escaping="yes">&lt;&amp;</xsl:text></xsl:attribute></r>');
+
+  assert.strictEqual(output, '<r a="&lt;&amp;"/>');
+});
+
+test('keeps disable-output-escaping when copying a result tree fragment', async () => {
+  const output = await transform(`<xsl:variable name="v"><xsl:text disable-output-escaping="yes">&amp;nbsp;</xsl:text></xsl:variable>
+    <r><xsl:copy-of select="$v"/>|<xsl:value-of select="$v"/></r>`);
+
+  assert.strictEqual(output, '<r>&nbsp;|&amp;nbsp;</r>');
+});
+
+// ----------------------------------------------------------------------------
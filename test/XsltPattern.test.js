@@ -0,0 +1,153 @@
+/**
+ * @file XsltPattern.test.js - Tests of XSLT match patterns
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+const { XsltPattern } = require('../scripts/XsltPattern');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (xslt, xml) => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, { logger });
+};
+
+const transformNode = new DOMParser().parseFromString('<xsl:template xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:n="urn:n"/>', 'text/xml').documentElement;
+
+// Lists the names of the elements each matching template rule is applied to
+const matching = (patterns, xml) => transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:n="urn:n" exclude-result-prefixes="n">
+    <xsl:template match="/"><r><xsl:apply-templates select="//node() | //@*"/></r></xsl:template>
+    <xsl:template match="node() | @*" priority="-1"/>
+    ${patterns.map((pattern) => `<xsl:template match="${pattern}" priority="1">[<xsl:value-of select="name()"/>]</xsl:template>`).join('')}
+  </xsl:stylesheet>`, xml);
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('matches names with non-ASCII characters', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:línea="urn:l" exclude-result-prefixes="línea">
+    <xsl:template match="/"><r><xsl:apply-templates select="*/*"/></r></xsl:template>
+    <xsl:template match="página">P</xsl:template>
+    <xsl:template match="línea:*">L</xsl:template>
+    <xsl:template match="línea:número">N</xsl:template>
+  </xsl:stylesheet>`, '<libro xmlns:línea="urn:l"><página/><línea:otra/><línea:número/></libro>');
+
+  assert.strictEqual(output, '<r>PLN</r>');
+});
+
+test('splits a pattern into its alternatives', () => {
+  const alternatives = XsltPattern.compile('a | b[@x = "|"] | /', transformNode);
+
+  assert.deepStrictEqual(alternatives.map((pattern) => pattern.text), ['a', 'b[@x = "|"]', '/']);
+});
+
+test('computes default priorities', () => {
+  const priority = (pattern) => XsltPattern.compile(pattern, transformNode)[0].getDefaultPriority();
+
+  assert.strictEqual(priority('a'), 0);
+  assert.strictEqual(priority('@a'), 0);
+  assert.strictEqual(priority('processing-instruction("x")'), 0);
+  assert.strictEqual(priority('n:*'), -0.25);
+  assert.strictEqual(priority('*'), -0.5);
+  assert.strictEqual(priority('node()'), -0.5);
+  assert.strictEqual(priority('a/b'), 0.5);
+  assert.strictEqual(priority('a[1]'), 0.5);
+  assert.strictEqual(priority('/'), 0.5);
+  assert.strictEqual(priority('id("x")'), 0.5);
+});
+
+test('indexes patterns by the name of the last step', () => {
+  const keys = (pattern) => XsltPattern.compile(pattern, transformNode)[0].keys;
+
+  assert.deepStrictEqual(keys('a/n:b'), ['{urn:n}b']);
+  assert.deepStrictEqual(keys('@n:b'), ['@{urn:n}b']);
+  assert.deepStrictEqual(keys('n:*'), ['*']);
+  assert.deepStrictEqual(keys('text()'), ['#text']);
+  assert.deepStrictEqual(keys('/'), ['#document']);
+});
+
+test('rejects patterns that are not patterns', () => {
+  assert.throws(() => XsltPattern.compile('a/following::b', transformNode));
+  assert.throws(() => XsltPattern.compile('id("x") b', transformNode));
+});
+
+test('matches descendants of the root with //', async () => {
+  const output = await matching(['//c', '/a/b'], '<a><b><c/></b><c/></a>');
+
+  assert.strictEqual(output, '<r>[b][c][c]</r>');
+});
+
+test('matches parent and ancestor steps', async () => {
+  const output = await matching(['a/c', 'a//d'], '<a><b><c/><d/></b><c/></a>');
+
+  assert.strictEqual(output, '<r>[d][c]</r>');
+});
+
+test('matches id() and key() anchors', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:key name="k" match="b" use="@k"/>
+    <xsl:template match="/"><r><xsl:apply-templates select="//b | //c"/></r></xsl:template>
+    <xsl:template match="b">-</xsl:template>
+    <xsl:template match="key('k', 'x')">K</xsl:template>
+    <xsl:template match="id('i2')/c | key('k', 'y')//c">C</xsl:template>
+    <xsl:template match="c"/>
+  </xsl:stylesheet>`, '<!DOCTYPE a [<!ATTLIST b id ID #IMPLIED>]><a><b k="x"/><b id="i2"><c/></b><b k="y"><b><c/></b></b></a>');
+
+  assert.strictEqual(output, '<r>K-C--C</r>');
+});
+
+test('matches positional and last() predicates', async () => {
+  const output = await matching(['b[1]', 'b[last()]', 'c[position() = 2]'], '<a><b/><c/><b/><c/><b/></a>');
+
+  assert.strictEqual(output, '<r>[b][c][b]</r>');
+});
+
+test('evaluates predicates against the siblings matching the step', async () => {
+  const output = await matching(['b[@x][2]'], '<a><b/><b x="1"/><b/><b x="2"/></a>');
+
+  assert.strictEqual(output, '<r>[b]</r>');
+});
+
+test('matches attributes', async () => {
+  const output = await matching(['@x', 'c/@*', '@n:y'], '<a x="1" xmlns:n="urn:n"><c z="2" n:y="3"/></a>');
+
+  assert.strictEqual(output, '<r>[x][z][n:y]</r>');
+});
+
+test('matches names by namespace rather than prefix', async () => {
+  const output = await matching(['n:b', 'n:*'], '<a xmlns:m="urn:n"><m:b/><m:c/><b/></a>');
+
+  assert.strictEqual(output, '<r>[m:b][m:c]</r>');
+});
+
+test('matches node kind tests', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:apply-templates select="a/node()"/></r></xsl:template>
+    <xsl:template match="text()">T</xsl:template>
+    <xsl:template match="comment()">C</xsl:template>
+    <xsl:template match="processing-instruction('p')">P</xsl:template>
+    <xsl:template match="processing-instruction()"/>
+  </xsl:stylesheet>`, '<a>t<!--c--><?p d?><?q d?></a>');
+
+  assert.strictEqual(output, '<r>TCP</r>');
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,35 @@
+/**
+ * @file XsltSequenceType.test.js - Tests of sequence types
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XsltSequenceType } = require('../scripts/XsltSequenceType');
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('parses names with non-ASCII characters', () => {
+  const transformNode = new DOMParser().parseFromString('<x xmlns:línea="urn:l"/>', 'text/xml').documentElement;
+
+  assert.deepStrictEqual(XsltSequenceType.parse('element(página)*').itemType.name, { namespaceURI: null, localName: 'página' });
+  assert.deepStrictEqual(XsltSequenceType.parse('attribute(línea:número)', transformNode).itemType.name, { namespaceURI: 'urn:l', localName: 'número' });
+});
+
+test('rejects names that are not QNames', () => {
+  assert.throws(() => XsltSequenceType.parse('element(a b)'), { code: 'XPST0003' });
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,149 @@
+/**
+ * @file XsltSerializer.test.js - Tests of result tree serialization
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+// Serializes the result of a template with the given xsl:output attributes
+const serialize = (output, result) => {
+  const parser = new DOMParser();
+  const transform = parser.parseFromString(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    ${(output === null) ? '' : '<xsl:output ' + output + '/>'}
+    <xsl:template match="/">${result}</xsl:template>
+  </xsl:stylesheet>`, 'text/xml');
+
+  return XSLT.process(parser.parseFromString('<doc>a &lt; b &amp; c</doc>', 'text/xml'), transform, {}, { logger });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('writes an XML declaration with the xml method', async () => {
+  const output = await serialize('method="xml" encoding="ISO-8859-1"', '<r/>');
+
+  assert.strictEqual(output, '<?xml version="1.0" encoding="ISO-8859-1" standalone="no"?>\n<r/>');
+});
+
+test('writes only the string value of the result with the text method', async () => {
+  const output = await serialize('method="text"', '<r>x <b><xsl:value-of select="doc"/></b></r>');
+
+  assert.strictEqual(output, 'x a < b & c');
+});
+
+test('uses the html method for an html result element', async () => {
+  const output = await serialize(null, '<html><body><br/><p>x</p></body></html>');
+
+  assert.strictEqual(output, '<html><body><br><p>x</p></body></html>');
+});
+
+test('uses the xml method for any other result element', async () => {
+  const output = await serialize(null, '<xhtml><br/></xhtml>');
+
+  assert.strictEqual(output, '<xhtml><br/></xhtml>');
+});
+
+test('writes void elements without end tags with the html method', async () => {
+  const output = await serialize('method="html"', '<div><img src="a.png"/><hr/><span/></div>');
+
+  assert.strictEqual(output, '<div><img src="a.png"><hr><span></span></div>');
+});
+
+test('minimizes boolean attributes with the html method', async () => {
+  const output = await serialize('method="html"', '<input type="checkbox" checked="checked" disabled="no"/>');
+
+  assert.strictEqual(output, '<input type="checkbox" checked disabled="no">');
+});
+
+test('does not escape script and style content with the html method', async () => {
+  const output = await serialize('method="html"', '<div><script>if (a &lt; b &amp;&amp; c) {}</script><p>a &lt; b</p></div>');
+
+  assert.strictEqual(output, '<div><script>if (a < b && c) {}</script><p>a &lt; b</p></div>');
+});
+
+test('does not escape ampersands before braces in html attributes', async () => {
+  const output = await serialize('method="html"', '<a href="x?a=1&amp;b=2" title="&amp;{{x}}"/>');
+
+  assert.strictEqual(output, '<a href="x?a=1&amp;b=2" title="&{x}"></a>');
+});
+
+test('inserts a content type meta element into the html head', async () => {
+  const output = await serialize('method="html" encoding="ISO-8859-1"', '<html><head><meta http-equiv="content-type" content="x"/><title>t</title></head></html>');
+
+  assert.strictEqual(output, '<html><head><meta http-equiv="Content-Type" content="text/html; charset=ISO-8859-1"><title>t</title></head></html>');
+});
+
+test('writes processing instructions without a closing ? with the html method', async () => {
+  const output = await serialize('method="html"', '<div><xsl:processing-instruction name="php">echo 1;</xsl:processing-instruction></div>');
+
+  assert.strictEqual(output, '<div><?php echo 1;></div>');
+});
+
+test('indents element-only content with indent="yes"', async () => {
+  const output = await serialize('omit-xml-declaration="yes" indent="yes"', '<r><a><b/></a><c/></r>');
+
+  assert.strictEqual(output, '<r>\n  <a>\n    <b/>\n  </a>\n  <c/>\n</r>');
+});
+
+test('does not indent mixed content or preserved whitespace', async () => {
+  const output = await serialize('omit-xml-declaration="yes" indent="yes"', '<r><p>a <b>b</b> c</p><pre xml:space="preserve"><a/></pre></r>');
+
+  assert.strictEqual(output, '<r>\n  <p>a <b>b</b> c</p>\n  <pre xml:space="preserve"><a/></pre>\n</r>');
+});
+
+test('does not indent html script content', async () => {
+  const output = await serialize('method="html" indent="yes"', '<div><script><xsl:comment>x</xsl:comment></script></div>');
+
+  assert.strictEqual(output, '<div>\n  <script><!--x--></script>\n</div>');
+});
+
+test('writes a document type declaration with the xml method', async () => {
+  assert.strictEqual(await serialize('omit-xml-declaration="yes" doctype-system="law.dtd"', '<law/>'), '<!DOCTYPE law SYSTEM "law.dtd">\n<law/>');
+  assert.strictEqual(await serialize('omit-xml-declaration="yes" doctype-public="-//X//law" doctype-system="law.dtd"', '<law/>'), '<!DOCTYPE law PUBLIC "-//X//law" "law.dtd">\n<law/>');
+  assert.strictEqual(await serialize('omit-xml-declaration="yes" doctype-public="-//X//law"', '<law/>'), '<law/>');
+});
+
+test('writes a document type declaration with the html method', async () => {
+  const output = await serialize('method="html" doctype-public="-//W3C//DTD HTML 4.01//EN"', '<html/>');
+
+  assert.strictEqual(output, '<!DOCTYPE html PUBLIC "-//W3C//DTD HTML 4.01//EN">\n<html></html>');
+});
+
+test('splits CDATA sections around ]]>', async () => {
+  const output = await serialize('omit-xml-declaration="yes" cdata-section-elements="p"', '<p>a]]&gt;b</p>');
+
+  assert.strictEqual(output, '<p><![CDATA[a]]]]><![CDATA[>b]]></p>');
+});
+
+test('writes cdata-section-elements as CDATA sections with the xml method', async () => {
+  const output = await serialize('method="xml" cdata-section-elements="p" omit-xml-declaration="yes"', '<html><body><p>a &lt; b</p></body></html>');
+
+  assert.strictEqual(output, '<html><body><p><![CDATA[a < b]]></p></body></html>');
+});
+
+test('ignores cdata-section-elements with the html method', async () => {
+  const output = await serialize('method="html" cdata-section-elements="p"', '<html><body><p>a &lt; b</p></body></html>');
+
+  assert.strictEqual(output, '<html><body><p>a &lt; b</p></body></html>');
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,101 @@
+/**
+ * @file XsltSort.test.js - Tests of xsl:sort
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (xslt, xml, params = {}) => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(xslt, 'text/xml'), params, { logger });
+};
+
+// Applies templates to the items sorted by the given xsl:sort elements
+const sorted = (sorts, xml, params) => transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:param name="order" select="'ascending'"/>
+    <xsl:template match="/"><r><xsl:apply-templates select="list/item">${sorts}</xsl:apply-templates></r></xsl:template>
+    <xsl:template match="item"><xsl:value-of select="."/>,</xsl:template>
+  </xsl:stylesheet>`, xml, params);
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('sorts nodes before applying templates', async () => {
+  const output = await sorted('<xsl:sort/>', '<list><item>b</item><item>c</item><item>a</item></list>');
+
+  assert.strictEqual(output, '<r>a,b,c,</r>');
+});
+
+test('evaluates sort keys relative to each node', async () => {
+  const output = await sorted('<xsl:sort select="@n"/>', '<list><item n="2">b</item><item n="3">c</item><item n="1">a</item></list>');
+
+  assert.strictEqual(output, '<r>a,b,c,</r>');
+});
+
+test('sorts numbers with NaN first', async () => {
+  const output = await sorted('<xsl:sort data-type="number"/>', '<list><item>10</item><item>x</item><item>9</item><item>-1</item></list>');
+
+  assert.strictEqual(output, '<r>x,-1,9,10,</r>');
+});
+
+test('sorts numbers in descending order with NaN last', async () => {
+  const output = await sorted('<xsl:sort data-type="number" order="descending"/>', '<list><item>10</item><item>x</item><item>9</item></list>');
+
+  assert.strictEqual(output, '<r>10,9,x,</r>');
+});
+
+test('orders upper or lower case first', async () => {
+  const input = '<list><item>b</item><item>A</item><item>a</item><item>B</item></list>';
+
+  assert.strictEqual(await sorted('<xsl:sort case-order="upper-first"/>', input), '<r>A,a,B,b,</r>');
+  assert.strictEqual(await sorted('<xsl:sort case-order="lower-first"/>', input), '<r>a,A,b,B,</r>');
+});
+
+test('sorts by the collation of the language', async () => {
+  const input = '<list><item>z</item><item>ä</item><item>a</item></list>';
+
+  assert.strictEqual(await sorted('<xsl:sort lang="de"/>', input), '<r>a,ä,z,</r>');
+  assert.strictEqual(await sorted('<xsl:sort lang="sv"/>', input), '<r>a,z,ä,</r>');
+});
+
+test('evaluates attribute value templates', async () => {
+  const output = await sorted('<xsl:sort order="{$order}"/>', '<list><item>a</item><item>c</item><item>b</item></list>', { order: 'descending' });
+
+  assert.strictEqual(output, '<r>c,b,a,</r>');
+});
+
+test('sorts by each key in turn and keeps document order for ties', async () => {
+  const output = await sorted('<xsl:sort select="@g"/><xsl:sort select="@n" data-type="number"/>',
+    '<list><item g="b" n="1">b1</item><item g="a" n="10">a10</item><item g="a" n="9">a9</item><item g="b" n="1">b1-again</item></list>');
+
+  assert.strictEqual(output, '<r>a9,a10,b1,b1-again,</r>');
+});
+
+test('sorts in xsl:for-each with position() in sorted order', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:for-each select="list/item"><xsl:sort/><xsl:value-of select="position()"/><xsl:value-of select="."/></xsl:for-each></r></xsl:template>
+  </xsl:stylesheet>`, '<list><item>b</item><item>a</item></list>');
+
+  assert.strictEqual(output, '<r>1a2b</r>');
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,100 @@
+/**
+ * @file XsltStylesheet.test.js - Tests of compiled stylesheets
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const parse = (text) => new DOMParser().parseFromString(text, 'text/xml');
+
+const transformText = `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:a="urn:alias">
+  <xsl:namespace-alias stylesheet-prefix="a" result-prefix="xsl"/>
+  <xsl:attribute-set name="numbered"><xsl:attribute name="n"><xsl:number/></xsl:attribute></xsl:attribute-set>
+  <xsl:key name="byId" match="item" use="@id"/>
+  <xsl:param name="label" select="'item'"/>
+  <xsl:template match="/"><a:list><xsl:apply-templates select="list/item"/><xsl:apply-templates select="key('byId', 'x')" mode="key"/></a:list></xsl:template>
+  <xsl:template match="item"><entry xsl:use-attribute-sets="numbered"><xsl:value-of select="concat($label, ':', .)"/></entry></xsl:template>
+  <xsl:template match="item" mode="key"><key><xsl:value-of select="."/></key></xsl:template>
+</xsl:stylesheet>`;
+
+const input = (items) => parse('<list>' + items.map((item) => `<item id="${item}">${item}</item>`).join('') + '</list>');
+
+const expected = (items, label = 'item') => '<xsl:list xmlns:xsl="http://www.w3.org/1999/XSL/Transform">' +
+  items.map((item, i) => `<entry n="${i + 1}">${label}:${item}</entry>`).join('') +
+  ((items.includes('x')) ? '<key>x</key>' : '') + '</xsl:list>';
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('gives the same result every time it is applied', async () => {
+  const stylesheet = await XSLT.compile(parse(transformText), { logger });
+
+  assert.strictEqual(await stylesheet.transform(input(['a', 'x']), {}, { logger }), expected(['a', 'x']));
+  assert.strictEqual(await stylesheet.transform(input(['a', 'x']), {}, { logger }), expected(['a', 'x']));
+  assert.strictEqual(await stylesheet.transform(input(['b']), { label: 'other' }, { logger }), expected(['b'], 'other'));
+  assert.strictEqual(await stylesheet.transform(input(['a', 'x']), {}, { logger }), expected(['a', 'x']));
+});
+
+test('gives the same results to concurrent transformations', async () => {
+  const stylesheet = await XSLT.compile(parse(transformText), { logger });
+  const inputs = [['a', 'x'], ['b'], ['c', 'd', 'x'], ['e'], ['x']];
+
+  const outputs = await Promise.all(inputs.map((items, i) => stylesheet.transform(input(items), { label: 'l' + i }, { logger })));
+
+  assert.deepStrictEqual(outputs, inputs.map((items, i) => expected(items, 'l' + i)));
+});
+
+test('does not modify the transform document', async () => {
+  const transformDoc = parse(transformText);
+  const stylesheet = await XSLT.compile(transformDoc, { logger });
+  await stylesheet.transform(input(['a']), {}, { logger });
+
+  assert.strictEqual(new XMLSerializer().serializeToString(transformDoc), new XMLSerializer().serializeToString(parse(transformText)));
+});
+
+test('builds its indexes when compiled and freezes them', async () => {
+  const stylesheet = await XSLT.compile(parse(transformText), { logger });
+  const compiled = stylesheet.compiled;
+
+  assert.ok(Object.isFrozen(stylesheet));
+  ['templatesByMode', 'templatesByName', 'keysByName', 'attributeSetsByName', 'namespaceAliases', 'literalResultElements', 'patterns'].forEach((name) => {
+    assert.ok(compiled[name], name + ' is built');
+    assert.ok(Object.isFrozen(compiled[name]), name + ' is frozen');
+  });
+  assert.ok(Object.isFrozen(compiled.attributeSetsByName.numbered));
+  assert.ok(Object.isFrozen(compiled.templatesByMode.key.candidates));
+  assert.throws(() => compiled.literalResultElements.set(stylesheet.document, {}), TypeError);
+  assert.throws(() => { compiled.namespaceAliases.x = null; }, TypeError);
+
+  const literalResultElements = compiled.literalResultElements.size;
+  await stylesheet.transform(input(['a', 'x']), {}, { logger });
+  assert.strictEqual(compiled.literalResultElements.size, literalResultElements);
+});
+
+test('indexes a literal result element used as the transform', async () => {
+  const stylesheet = await XSLT.compile(parse('<r xsl:version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform"><xsl:apply-templates mode="m"/></r>'), { logger });
+
+  assert.strictEqual(await stylesheet.transform(input(['a']), {}, { logger }), '<r>a</r>');
+  assert.strictEqual(await stylesheet.transform(input(['b']), {}, { logger }), '<r>b</r>');
+});
+
+// ----------------------------------------------------------------------------
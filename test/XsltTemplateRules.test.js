@@ -0,0 +1,104 @@
+/**
+ * @file XsltTemplateRules.test.js - Tests of template rule conflict resolution
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (xslt, xml, options = {}) => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, Object.assign({ logger }, options));
+};
+
+const stylesheet = (templates) => `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:apply-templates select="law/*"/></r></xsl:template>
+    ${templates}
+  </xsl:stylesheet>`;
+
+const input = '<law><sec/><para/></law>';
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('prefers the rule with the higher default priority', async () => {
+  const output = await transform(stylesheet(`
+    <xsl:template match="law/sec">path</xsl:template>
+    <xsl:template match="sec">name</xsl:template>
+    <xsl:template match="node()">node</xsl:template>
+    <xsl:template match="*">any</xsl:template>`), input);
+
+  assert.strictEqual(output, '<r>pathany</r>');
+});
+
+test('honors an explicit priority', async () => {
+  const output = await transform(stylesheet(`
+    <xsl:template match="*" priority="2">any</xsl:template>
+    <xsl:template match="law/sec">path</xsl:template>`), input);
+
+  assert.strictEqual(output, '<r>anyany</r>');
+});
+
+test('gives each alternative of a union its own priority', async () => {
+  const output = await transform(stylesheet(`
+    <xsl:template match="sec | *">union</xsl:template>
+    <xsl:template match="para">para</xsl:template>`), input);
+
+  assert.strictEqual(output, '<r>unionpara</r>');
+});
+
+test('ranks imported rules below the importing stylesheet', async () => {
+  const modules = {
+    'mem:/main.xsl': `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+      <xsl:import href="imported.xsl"/>
+      <xsl:template match="/"><r><xsl:apply-templates select="law/*"/></r></xsl:template>
+      <xsl:template match="*">main</xsl:template>
+    </xsl:stylesheet>`,
+    'mem:/imported.xsl': `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+      <xsl:template match="sec" priority="10">imported</xsl:template>
+    </xsl:stylesheet>`
+  };
+  const uriResolver = { resolve: async (href, base) => modules[new URL(href, base).href] };
+
+  const output = await transform(modules['mem:/main.xsl'], input, { transformURL: 'mem:/main.xsl', uriResolver });
+
+  assert.strictEqual(output, '<r>mainmain</r>');
+});
+
+test('resolves an ambiguous match in favor of the last rule with a warning', async () => {
+  const warnings = [];
+  const output = await transform(stylesheet(`
+    <xsl:template match="sec">first</xsl:template>
+    <xsl:template match="sec">last</xsl:template>
+    <xsl:template match="para">para</xsl:template>`), input, { logger: { warn: (message) => warnings.push(message) } });
+
+  assert.strictEqual(output, '<r>lastpara</r>');
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /ambiguous rule match/);
+});
+
+test('reports an ambiguous match as XTDE0540 with errorOnAmbiguousMatch', async () => {
+  await assert.rejects(transform(stylesheet(`
+    <xsl:template match="law/sec">first</xsl:template>
+    <xsl:template match="*/sec">last</xsl:template>`), input, { errorOnAmbiguousMatch: true }), { code: 'XTDE0540' });
+});
+
+// ----------------------------------------------------------------------------
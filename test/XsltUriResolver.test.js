@@ -0,0 +1,125 @@
+/**
+ * @file XsltUriResolver.test.js - Tests of loading modules and documents
+ *   with a URI resolver
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const parse = (text) => new DOMParser().parseFromString(text, 'text/xml');
+
+const stylesheet = (body) => `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">${body}</xsl:stylesheet>`;
+
+const modules = {
+  'mem:/main.xsl': stylesheet('<xsl:import href="lib/imported.xsl"/><xsl:include href="lib/included.xsl"/><xsl:template match="/"><r><xsl:call-template name="imported"/><xsl:call-template name="included"/><xsl:value-of select="document(\'data.xml\')"/></r></xsl:template>'),
+  'mem:/lib/imported.xsl': stylesheet('<xsl:template name="imported">imported|</xsl:template>'),
+  'mem:/lib/included.xsl': stylesheet('<xsl:template name="included">included|</xsl:template>'),
+  'mem:/data.xml': '<data>compiled</data>'
+};
+
+// Records the references resolved, and returns the documents from the map
+const createResolver = (documents, requests = []) => ({
+  resolve: async (href, base) => {
+    requests.push(href + ' ' + base);
+    return documents[new URL(href, base).href];
+  }
+});
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('loads the imported and included modules and documents with the resolver', async () => {
+  const requests = [];
+  const xsltDoc = parse(modules['mem:/main.xsl']);
+  const output = await XSLT.process(parse('<in/>'), xsltDoc, {}, { logger, transformURL: 'mem:/main.xsl', uriResolver: createResolver(modules, requests) });
+
+  assert.strictEqual(output, '<r>imported|included|compiled</r>');
+  assert.deepStrictEqual(requests.sort(), [
+    'data.xml mem:/main.xsl',
+    'lib/imported.xsl mem:/main.xsl',
+    'lib/included.xsl mem:/main.xsl'
+  ]);
+});
+
+test('accepts DOM documents from the resolver', async () => {
+  const resolver = {
+    resolve: async (href, base) => parse(modules[new URL(href, base).href])
+  };
+  const output = await XSLT.process(parse('<in/>'), parse(modules['mem:/main.xsl']), {}, { logger, transformURL: 'mem:/main.xsl', uriResolver: resolver });
+
+  assert.strictEqual(output, '<r>imported|included|compiled</r>');
+});
+
+test('loads the documents of a transformation with its own resolver', async () => {
+  const compiled = await XSLT.compile(parse(modules['mem:/main.xsl']), { logger, transformURL: 'mem:/main.xsl', uriResolver: createResolver(modules) });
+  const resolver = createResolver({ 'mem:/data.xml': '<data>transformed</data>' });
+
+  assert.strictEqual(await compiled.transform(parse('<in/>'), {}, { logger }), '<r>imported|included|compiled</r>');
+  assert.strictEqual(await compiled.transform(parse('<in/>'), {}, { logger, uriResolver: resolver }), '<r>imported|included|transformed</r>');
+});
+
+test('reports a module that the resolver cannot load', async () => {
+  const resolver = {
+    resolve: async () => { throw new Error('not found'); }
+  };
+
+  await assert.rejects(
+    XSLT.compile(parse(stylesheet('<xsl:include href="missing.xsl"/>')), { logger, transformURL: 'mem:/main.xsl', uriResolver: resolver }),
+    /missing\.xsl/
+  );
+});
+
+test('reads files by file: URL and by path relative to the base directory', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xslt-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'doc.xml'), '<doc>file</doc>');
+    const resolver = new XSLT.FileUriResolver({ baseDir: dir });
+
+    assert.strictEqual(await resolver.resolve('doc.xml'), '<doc>file</doc>');
+    assert.strictEqual(await resolver.resolve('doc.xml', pathToFileURL(path.join(dir, 'main.xsl')).href), '<doc>file</doc>');
+    assert.strictEqual(await resolver.resolve(pathToFileURL(path.join(dir, 'doc.xml')).href + '#frag'), '<doc>file</doc>');
+    await assert.rejects(resolver.resolve('missing.xml'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('loads modules from the file system by default', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'xslt-'));
+  try {
+    fs.mkdirSync(path.join(dir, 'lib'));
+    fs.writeFileSync(path.join(dir, 'lib', 'included.xsl'), modules['mem:/lib/included.xsl']);
+    fs.writeFileSync(path.join(dir, 'data.xml'), '<data>file</data>');
+    const xsltDoc = parse(stylesheet('<xsl:include href="lib/included.xsl"/><xsl:template match="/"><r><xsl:call-template name="included"/><xsl:value-of select="document(\'data.xml\')"/></r></xsl:template>'));
+    const output = await XSLT.process(parse('<in/>'), xsltDoc, {}, { logger, transformURL: pathToFileURL(path.join(dir, 'main.xsl')).href });
+
+    assert.strictEqual(output, '<r>included|file</r>');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ----------------------------------------------------------------------------
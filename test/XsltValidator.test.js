@@ -0,0 +1,99 @@
+/**
+ * @file XsltValidator.test.js - Tests of the static analysis of a transform
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const transform = (xslt, xml = '<a/>') => {
+  const parser = new DOMParser();
+  return XSLT.process(parser.parseFromString(xml, 'text/xml'), parser.parseFromString(xslt, 'text/xml'), {}, { logger });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('ignores top-level elements in another namespace', async () => {
+  const output = await transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform" xmlns:my="urn:my" exclude-result-prefixes="my">
+    <my:data pattern="a{b"><my:item select="1 +"/></my:data>
+    <xsl:template match="/"><r><xsl:value-of select="count(document('')/*/my:data)"/></r></xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<r>1</r>');
+});
+
+test('still reports attribute value templates of literal result elements', async () => {
+  await assert.rejects(transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r pattern="a{b"/></xsl:template>
+  </xsl:stylesheet>`), { code: 'XTSE0350' });
+});
+
+test('falls back from unknown instructions in forwards-compatible mode', async () => {
+  const output = await transform(`<xsl:stylesheet version="3.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:newdeclaration/>
+    <xsl:template match="/" newattribute="x">
+      <r><xsl:newthing><xsl:fallback>fell back</xsl:fallback></xsl:newthing></r>
+    </xsl:template>
+  </xsl:stylesheet>`);
+
+  assert.strictEqual(output, '<r>fell back</r>');
+});
+
+test('reports unknown instructions without a fallback when evaluated in forwards-compatible mode', async () => {
+  await assert.rejects(transform(`<xsl:stylesheet version="2.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:newthing/></r></xsl:template>
+  </xsl:stylesheet>`), { code: 'XTDE1450' });
+});
+
+test('reports unknown instructions and attributes in a 1.0 stylesheet', async () => {
+  await assert.rejects(transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/" newattribute="x"><r><xsl:newthing><xsl:fallback/></xsl:newthing></r></xsl:template>
+  </xsl:stylesheet>`), (error) => error.code === 'XTSE0090' && error.errors.length === 2);
+});
+
+test('reports declarations without their required attributes', async () => {
+  await assert.rejects(transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:key name="byId" match="a"/>
+    <xsl:template match="/"><r/></xsl:template>
+  </xsl:stylesheet>`), { code: 'XTSE0010', message: /xsl:key requires the use attribute/ });
+});
+
+test('reports keys and decimal formats that are not declared', async () => {
+  await assert.rejects(transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:value-of select="key('byId', 'x')"/></r></xsl:template>
+  </xsl:stylesheet>`), { code: 'XTDE1260' });
+  await assert.rejects(transform(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:template match="/"><r><xsl:value-of select="format-number(1, '0', 'eu')"/></r></xsl:template>
+  </xsl:stylesheet>`), { code: 'XTDE1280' });
+});
+
+test('reports decimal formats named only when evaluated that are not declared', async () => {
+  const xslt = `<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    <xsl:decimal-format name="eu" decimal-separator="," grouping-separator="."/>
+    <xsl:template match="/"><r><xsl:value-of select="format-number(2.5, '0,0', string(a/@format))"/></r></xsl:template>
+  </xsl:stylesheet>`;
+
+  assert.strictEqual(await transform(xslt, '<a format="eu"/>'), '<r>2,5</r>');
+  await assert.rejects(transform(xslt, '<a format="us"/>'), { code: 'XTDE1280', message: /"us"/ });
+});
+
+// ----------------------------------------------------------------------------
@@ -0,0 +1,139 @@
+/**
+ * @file XsltVariables.test.js - Tests of variables and parameters
+ * @author {@link mailto:grant.vergottini@xcential.com Grant Vergottini}
+ * @version 1.0
+ * @copyright &copy; 2019 -- {@link http://xcential.com Xcential Corp.}
+ */
+
+'use strict';
+
+// ----------------------------------------------------------------------------
+// Imports
+// ----------------------------------------------------------------------------
+
+const assert = require('assert');
+const { test } = require('node:test');
+const { DOMParser, XMLSerializer } = require('@xmldom/xmldom');
+
+const { XSLT } = require('../scripts/XSLT');
+
+// ----------------------------------------------------------------------------
+// Helpers
+// ----------------------------------------------------------------------------
+
+const logger = { debug () {}, info () {}, warn () {}, error () {} };
+
+const input = '<doc><sec n="1"><p>a</p><p>b</p></sec><sec n="2"><p>c</p></sec></doc>';
+
+const transform = (template, params = {}, xml = input, declarations = '') => {
+  const parser = new DOMParser();
+  return XSLT.process((typeof xml === 'string') ? parser.parseFromString(xml, 'text/xml') : xml, parser.parseFromString(`<xsl:stylesheet version="1.0" xmlns:xsl="http://www.w3.org/1999/XSL/Transform">
+    ${declarations}
+    <xsl:template match="/">${template}</xsl:template>
+  </xsl:stylesheet>`, 'text/xml'), params, { logger });
+};
+
+// ----------------------------------------------------------------------------
+// Tests
+// ----------------------------------------------------------------------------
+
+test('does not modify the input document', async () => {
+  const inputDoc = new DOMParser().parseFromString(input, 'text/xml');
+  const output = await transform(`<xsl:variable name="secs" select="//sec"/>
+    <xsl:variable name="doc" select="document('')"/>
+    <r><xsl:value-of select="count($secs/p)"/>,<xsl:value-of select="count($doc//xsl:template)"/>,<xsl:value-of select="count(//*)"/></r>`, {}, inputDoc);
+
+  assert.strictEqual(output, '<r>3,1,6</r>');
+  assert.strictEqual(new XMLSerializer().serializeToString(inputDoc), input);
+});
+
+test('keeps the position and identity of nodes selected through variables', async () => {
+  const output = await transform(`<xsl:variable name="ps" select="//p"/>
+    <r><xsl:for-each select="$ps"><xsl:value-of select="position()"/><xsl:value-of select="count(preceding::p)"/>
+    <xsl:if test="count(. | /doc/sec[1]/p[2]) = 1">*</xsl:if></xsl:for-each></r>`);
+
+  assert.strictEqual(output, '<r>1021*32</r>');
+});
+
+test('evaluates a result tree fragment as a document of its own', async () => {
+  const output = await transform(`<xsl:variable name="v"><x>1</x><x>2</x></xsl:variable>
+    <r><xsl:value-of select="$v"/>,<xsl:value-of select="string-length($v)"/>,<xsl:value-of select="count(//x)"/></r>
+    <xsl:copy-of select="$v"/>`);
+
+  assert.strictEqual(output, '<r>12,2,0</r><x>1</x><x>2</x>');
+});
+
+test('binds variables with their types', async () => {
+  const output = await transform(`<xsl:variable name="s" select="&quot;it's&quot;"/>
+    <xsl:variable name="n" select="1 + 1"/>
+    <xsl:variable name="b" select="1 = 2"/>
+    <xsl:variable name="secs" select="doc/sec"/>
+    <r><xsl:value-of select="concat($s, '|', $n * 2, '|', $b, '|', not($b), '|', count($secs[2]/p), '|', $secs[@n = $n]/p)"/></r>`);
+
+  assert.strictEqual(output, '<r>it\'s|4|false|true|1|c</r>');
+});
+
+test('binds variables with hyphens, dots and prefixes in their names', async () => {
+  const output = await transform(`<xsl:variable name="a-b.c" select="2"/>
+    <xsl:variable name="my:v" select="3" xmlns:my="urn:my"/>
+    <r xmlns:other="urn:my"><xsl:value-of select="$a-b.c * $other:v"/></r>`);
+
+  assert.strictEqual(output, '<r xmlns:other="urn:my">6</r>');
+});
+
+test('binds parameters with their types', async () => {
+  const output = await transform('<r><xsl:value-of select="concat($s, \'|\', $n + 1, \'|\', boolean($b))"/></r>',
+    { s: 'x\'"y', n: 41, b: false }, input, '<xsl:param name="s"/><xsl:param name="n"/><xsl:param name="b"/>');
+
+  assert.strictEqual(output, '<r>x\'"y|42|false</r>');
+});
+
+test('keeps the whitespace of result tree fragments', async () => {
+  const output = await transform(`<xsl:variable name="v">a   b
+c</xsl:variable>
+    <r><xsl:value-of select="string-length($v)"/>|<xsl:value-of select="translate($v, ' &#10;', '_/')"/>|<xsl:copy-of select="$v"/></r>`);
+
+  assert.strictEqual(output, '<r>7|a___b/c|a   b\nc</r>');
+});
+
+test('does not guess the types of string values', async () => {
+  const output = await transform('<r><xsl:value-of select="concat($code, \'|\', boolean($flag))"/><xsl:variable name="f">false</xsl:variable><xsl:if test="$f">|true</xsl:if></r>',
+    { code: '007', flag: 'false' }, input, '<xsl:param name="code"/><xsl:param name="flag"/>');
+
+  assert.strictEqual(output, '<r>007|true|true</r>');
+});
+
+test('converts values to the type given by the as attribute', async () => {
+  const output = await transform(`<xsl:variable name="n" as="xs:integer" xmlns:xs="http://www.w3.org/2001/XMLSchema">12</xsl:variable>
+    <r><xsl:value-of select="$n + $code"/></r>`,
+  { code: { value: '007', as: 'xs:integer' } }, input, '<xsl:param name="code"/>');
+
+  assert.strictEqual(output, '<r>19</r>');
+});
+
+test('reports values that do not match the type given by the as attribute', async () => {
+  await assert.rejects(transform('<xsl:variable name="n" as="element()" select="1"/><r/>'), { code: 'XTTE0570' });
+  await assert.rejects(transform('<r/>', { code: { value: 'x', as: 'xs:integer' } }), { code: 'FORG0001' });
+});
+
+test('evaluates global variables that refer to later ones', async () => {
+  const output = await transform('<r><xsl:value-of select="concat($g, \'|\', $h, \'|\', $i)"/></r>', { p: 'x' }, input,
+    '<xsl:variable name="g" select="$h + 1"/><xsl:variable name="h" select="count(//p)"/><xsl:variable name="i"><xsl:value-of select="$p"/>!</xsl:variable><xsl:param name="p" select="$g"/>');
+
+  assert.strictEqual(output, '<r>4|3|x!</r>');
+});
+
+test('evaluates the default of a global parameter that refers to a later variable', async () => {
+  const output = await transform('<r><xsl:value-of select="$p"/></r>', {}, input,
+    '<xsl:param name="p" select="concat($v, \'!\')"/><xsl:variable name="v" select="name(/*)"/>');
+
+  assert.strictEqual(output, '<r>doc!</r>');
+});
+
+test('reports circular references between global variables', async () => {
+  await assert.rejects(transform('<r/>', {}, input, '<xsl:variable name="g" select="$h"/><xsl:variable name="h" select="$g + 1"/>'), { code: 'XTDE0640' });
+  await assert.rejects(transform('<r/>', {}, input, '<xsl:variable name="g"><xsl:value-of select="$g"/></xsl:variable>'), { code: 'XTDE0640' });
+  await assert.rejects(transform('<r/>', {}, input, '<xsl:variable name="g" select="$undeclared"/>'), { code: 'XPST0008' });
+});
+
+// ----------------------------------------------------------------------------